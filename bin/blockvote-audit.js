@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// Offline election auditor. Re-verifies an election without trusting a running server: every
+// transaction hash, block link and Merkle root is recomputed, every ballot signature is checked
+// against its voter's public key, the ballots are recounted with the election's voting method,
+// and the recount is compared with the published results.
+//
+//   node bin/blockvote-audit.js --dump election-2-archive.json [options]
+//   node bin/blockvote-audit.js --db --election 2 [options]
+//
+// --dump reads a signed archive from GET /api/admin/elections/:id/archive; no database is
+// needed, and the recount is compared with the tally stored in the archive. --db reads the live
+// tables through the DB_* settings, which should name a SELECT-only account; nothing is written.
+// The recount is compared with the results the server publishes from those tables, so the
+// election's results must be published (closed, certified or archived). Options:
+//   --results-url <url>  compare with GET <url>/api/elections/:id/results instead (as well, for --dump)
+//   --key-id <id>        require the dump to be signed by this key (see GET /api/signing-key)
+//   --report <file>      write the JSON report to a file instead of stdout
+//
+// The JSON report goes to stdout (or --report), a human summary to stderr. Exit code 0 means
+// no discrepancies, 1 that there were some, 2 that the audit could not be completed.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const USAGE = 'Usage: blockvote-audit (--dump <archive.json> | --db --election <id>) ' +
+    '[--results-url <url>] [--key-id <id>] [--report <file>]';
+
+const EXIT_PASSED = 0;
+const EXIT_DISCREPANCIES = 1;
+const EXIT_INCOMPLETE = 2;
+
+function parseArgs(argv) {
+    const options = {};
+    const valued = { '--dump': 'dump', '--election': 'election', '--results-url': 'resultsUrl', '--key-id': 'keyId', '--report': 'report' };
+
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        if (arg === '--db') {
+            options.db = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (valued[arg]) {
+            if (k + 1 >= argv.length) return { error: `${arg} needs a value` };
+            options[valued[arg]] = argv[++k];
+        } else {
+            return { error: `Unknown argument '${arg}'` };
+        }
+    }
+
+    if (options.help) return options;
+    if (Boolean(options.dump) === Boolean(options.db)) return { error: 'Give either --dump or --db' };
+    if (options.db && !/^\d+$/.test(options.election || '')) return { error: '--db needs --election <id>' };
+    return options;
+}
+
+function fail(message) {
+    console.error(`blockvote-audit: ${message}`);
+    process.exit(EXIT_INCOMPLETE);
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (options.help) {
+    console.error(USAGE);
+    process.exit(EXIT_PASSED);
+}
+if (options.error) fail(`${options.error}\n${USAGE}`);
+
+// The server module picks its storage backend when it loads. A dump needs no database, and
+// the auditor never uses rate limiting, so neither should reach for a network service.
+process.env.STORAGE_BACKEND = options.db ? 'mysql' : 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+const server = require('../server');
+
+// GET a JSON document. callback(err, body); non-2xx statuses are errors.
+function fetchJson(url, callback) {
+    const client = url.startsWith('https:') ? https : http;
+    client.get(url, { headers: { Accept: 'application/json' } }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                return callback(new Error(`${url} answered ${res.statusCode}: ${body.slice(0, 200)}`));
+            }
+            try {
+                callback(null, JSON.parse(body));
+            } catch (parseErr) {
+                callback(new Error(`${url} did not return JSON`));
+            }
+        });
+    }).on('error', callback);
+}
+
+// A signed archive: its own verification report covers the signature, chain, ballot signatures,
+// votes, audit entries and the recount against the tally stored in the archive
+function auditDump(file, callback) {
+    let envelope;
+    try {
+        envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (readErr) {
+        return callback(new Error(`Cannot read ${file}: ${readErr.message}`));
+    }
+
+    const verification = server.verifyElectionArchive(envelope);
+    if (verification.error) return callback(new Error(`${file}: ${verification.error}`));
+
+    const discrepancies = [];
+    const add = (check, issues) => issues.forEach(issue => discrepancies.push(Object.assign({ check }, issue)));
+    if (!verification.signature.valid) add('signature', [{ reason: 'invalid_signature' }]);
+    if (!verification.digest_valid) add('digest', [{ reason: 'sha256_mismatch' }]);
+    if (options.keyId && verification.signature.key_id !== options.keyId) {
+        add('signing_key', [{ reason: 'unexpected_key', expected: options.keyId, actual: verification.signature.key_id }]);
+    }
+    add('block', verification.blocks.broken);
+    add('transaction', verification.transactions.issues);
+    add('ballot_signature', verification.ballot_signatures.invalid);
+    add('vote', verification.votes.issues);
+    add('audit_entry', verification.audit_entries.tampered);
+    if (verification.recount.error) add('recount', [{ reason: verification.recount.error }]);
+    add('archived_tally', verification.recount.differences);
+
+    const { archive } = envelope;
+    callback(null, {
+        source: { type: 'dump', file, signing_key_id: verification.signature.key_id, key_pinned: Boolean(options.keyId) },
+        archive,
+        checks: {
+            signature: verification.signature,
+            digest_valid: verification.digest_valid,
+            blocks: verification.blocks.total,
+            transactions: verification.transactions.total,
+            ballot_signatures: verification.ballot_signatures.total,
+            votes: verification.votes.total,
+            audit_entries: verification.audit_entries.total
+        },
+        discrepancies
+    });
+}
+
+// The live tables, read-only: the whole chain is walked, with transaction, ballot signature and
+// vote checks limited to the election
+function auditDatabase(electionId, callback) {
+    const { storage } = server;
+
+    storage.elections.findById(electionId, (err, election) => {
+        if (err) return callback(err);
+        if (!election) return callback(new Error(`Election ${electionId} not found`));
+
+        server.loadElectionRecords(election.id, (err, records) => {
+            if (err) return callback(err);
+            storage.blocks.listAll((err, blocks) => {
+                if (err) return callback(err);
+                storage.transactions.listAll((err, transactions) => {
+                    if (err) return callback(err);
+                    storage.votes.listAll((err, votes) => {
+                        if (err) return callback(err);
+                        storage.archives.listLedgerEntries((err, archivedEntries) => {
+                            if (err) return callback(err);
+
+                            let ledger;
+                            try {
+                                ledger = server.verifyLedger(blocks, transactions, votes, election.id, archivedEntries);
+                            } catch (verifyErr) {
+                                return callback(verifyErr);
+                            }
+
+                            const discrepancies = [];
+                            const add = (check, issues) => issues.forEach(issue => discrepancies.push(Object.assign({ check }, issue)));
+                            add('block', ledger.broken_blocks);
+                            add('transaction', ledger.tampered_transactions);
+                            add('transaction', ledger.orphaned_transactions);
+                            add('vote', ledger.vote_mismatches);
+                            add('ballot_signature', server.ballotSignatureIssues(records.transactions, records.voter_keys));
+
+                            callback(null, {
+                                source: { type: 'database', host: process.env.DB_HOST || 'localhost', database: process.env.DB_NAME || 'blockvote' },
+                                archive: Object.assign({ election }, JSON.parse(JSON.stringify(records))),
+                                checks: {
+                                    blocks: ledger.blocks,
+                                    transactions: ledger.transactions,
+                                    ballot_signatures: records.transactions.length,
+                                    votes: ledger.votes.total
+                                },
+                                discrepancies
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// The results the recount is compared with: the results endpoint when one was given, otherwise
+// for --db the tally the server publishes from the same tables. callback(err, reported, url), url
+// null for the database; nothing is reported for a dump without --results-url, whose archived
+// tally was already compared.
+function loadReportedResults(election, callback) {
+    if (options.resultsUrl) {
+        const url = `${options.resultsUrl.replace(/\/+$/, '')}/api/elections/${election.id}/results`;
+        return fetchJson(url, (err, reported) => callback(err, reported, url));
+    }
+    if (!options.db) return callback(null, null, null);
+
+    if (!server.resultsPublished(election.status)) {
+        return callback(new Error(`Election ${election.id} is ${election.status}; its results are not published yet, ` +
+            'so there is nothing to compare the recount with'));
+    }
+    server.loadResults(election, (err, reported) => {
+        if (err) return callback(err);
+        callback(null, JSON.parse(JSON.stringify(reported)), null);
+    });
+}
+
+// Recount, then compare with the published results
+function recountAndCompare(audit, callback) {
+    let recount;
+    try {
+        recount = JSON.parse(JSON.stringify(server.recountArchive(audit.archive)));
+    } catch (recountErr) {
+        return callback(new Error(`Recount failed: ${recountErr.message}`));
+    }
+    audit.recount = recount;
+
+    loadReportedResults(audit.archive.election, (err, reported, url) => {
+        if (err) return callback(err);
+        if (!reported) return callback(null, audit);
+
+        const differences = server.tallyDifferences(recount, reported);
+        audit.results_endpoint = { source: url ? 'results_url' : 'database', url, matches: differences.length === 0, differences };
+        differences.forEach(difference => audit.discrepancies.push(Object.assign({ check: 'results_endpoint' }, difference)));
+        callback(null, audit);
+    });
+}
+
+function buildReport(audit) {
+    const { election } = audit.archive;
+    return {
+        tool: 'blockvote-audit',
+        audited_at: new Date().toISOString(),
+        passed: audit.discrepancies.length === 0,
+        source: audit.source,
+        election: {
+            id: election.id,
+            title: election.title,
+            status: election.status,
+            voting_method: election.voting_method,
+            ballot_encryption: election.ballot_encryption || 'none'
+        },
+        checks: audit.checks,
+        recount: audit.recount,
+        results_endpoint: audit.results_endpoint || null,
+        discrepancies: audit.discrepancies
+    };
+}
+
+function describeWinners(recount) {
+    if (recount.decrypted === false) return 'not decrypted yet';
+    if (recount.winners) {
+        const names = new Map((recount.candidates || []).map(c => [Number(c.id), c.name]));
+        return recount.winners.map(id => names.get(Number(id)) || `#${id}`).join(', ') || 'none';
+    }
+    const leader = (recount.candidates || [])[0];
+    return leader ? `${leader.name} (${leader.vote_count} votes)` : 'none';
+}
+
+function printSummary(report) {
+    const lines = [];
+    const { election, source, checks } = report;
+    lines.push(`BlockVote audit of election ${election.id} "${election.title}" (${election.voting_method}, ${election.status})`);
+
+    if (source.type === 'dump') {
+        const signature = checks.signature.valid ? 'valid' : 'INVALID';
+        const pinned = source.key_pinned ? '' : ' (key not pinned; pass --key-id to check it)';
+        lines.push(`Source: archive ${source.file}, signed by key ${source.signing_key_id || 'unknown'}, signature ${signature}${pinned}`);
+        lines.push(`Checked: ${checks.blocks} blocks, ${checks.transactions} transactions, ${checks.ballot_signatures} ballot signatures, ` +
+            `${checks.votes} votes, ${checks.audit_entries} audit entries`);
+    } else {
+        lines.push(`Source: database ${source.database} on ${source.host}`);
+        lines.push(`Checked: ${checks.blocks.total} blocks (${checks.blocks.verified} verified, ${checks.blocks.legacy} legacy), ` +
+            `${checks.transactions.total} transactions, ${checks.ballot_signatures} ballot signatures, ${checks.votes} votes`);
+    }
+
+    const ballots = report.recount.total_ballots !== undefined ? report.recount.total_ballots : report.recount.total_votes;
+    if (report.recount.contests) {
+        lines.push(`Recount: ${ballots} counted ballots`);
+        report.recount.contests.forEach(contest => {
+            lines.push(`  ${contest.title} (${contest.voting_method}): ${contest.undervotes} undervotes; winner(s): ${describeWinners(contest)}`);
+        });
+    } else {
+        lines.push(`Recount: ${ballots} counted ballots; winner(s): ${describeWinners(report.recount)}`);
+    }
+    if (report.results_endpoint) {
+        const endpoint = report.results_endpoint;
+        const compared = endpoint.url ? `Results endpoint ${endpoint.url}` : 'Published results in the database';
+        lines.push(`${compared}: ${endpoint.matches ? 'matches' : `${endpoint.differences.length} difference(s)`}`);
+    }
+
+    report.discrepancies.slice(0, 20).forEach(d => {
+        const { check, ...detail } = d;
+        lines.push(`  ! ${check}: ${JSON.stringify(detail)}`);
+    });
+    if (report.discrepancies.length > 20) lines.push(`  ... and ${report.discrepancies.length - 20} more in the JSON report`);
+
+    lines.push(report.passed ? 'RESULT: PASS' : `RESULT: FAIL (${report.discrepancies.length} discrepancies)`);
+    console.error(lines.join('\n'));
+}
+
+function finish(err, audit) {
+    const close = (code) => server.storage.close(() => process.exit(code));
+    if (err) {
+        console.error(`blockvote-audit: ${err.message}`);
+        return close(EXIT_INCOMPLETE);
+    }
+
+    const report = buildReport(audit);
+    const json = JSON.stringify(report, null, 2) + '\n';
+    const code = report.passed ? EXIT_PASSED : EXIT_DISCREPANCIES;
+    printSummary(report);
+    if (options.report) {
+        fs.writeFileSync(options.report, json);
+        return close(code);
+    }
+    // Exit only once a piped report has been flushed
+    process.stdout.write(json, () => close(code));
+}
+
+const run = options.db
+    ? (callback) => auditDatabase(options.election, callback)
+    : (callback) => auditDump(options.dump, callback);
+
+run((err, audit) => {
+    if (err) return finish(err);
+    recountAndCompare(audit, finish);
+});
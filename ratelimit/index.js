@@ -0,0 +1,26 @@
+// Rate limiter stores. The limiting middleware in server.js keeps its counters in a store
+// returned by createLimiterStore, so several server instances can share limits through Redis.
+//
+// Every store counts hits in fixed windows and is callback-style:
+//   increment(key, windowMs, callback)  count a hit; callback(err, { count, resetMs }) where
+//                                       resetMs is how long until the key's window ends
+//   reset(key, callback)                forget a key's count
+//   close(callback)                     release timers and connections
+// plus a `name`.
+const BACKENDS = {
+    memory: './memory',
+    redis: './redis'
+};
+
+// backend defaults to RATE_LIMIT_STORE, then 'memory'. options are passed to the backend
+// (the Redis backend accepts an existing `client`).
+function createLimiterStore(backend, options) {
+    const name = backend || process.env.RATE_LIMIT_STORE || 'memory';
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown rate limit store '${name}'; expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    // Required lazily so the memory store doesn't need a Redis client installed
+    return require(BACKENDS[name])(options);
+}
+
+module.exports = { createLimiterStore };
@@ -0,0 +1,45 @@
+// In-memory rate limiter store: fixed-window counters in a Map. Limits are per process, so
+// use the Redis store when several instances sit behind a load balancer.
+const SWEEP_INTERVAL_MS = 60000;
+
+function createMemoryStore() {
+    const windows = new Map();
+
+    // Drop expired windows now and then so idle keys don't accumulate
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= now) windows.delete(key);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        increment(key, windowMs, callback) {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            const result = { count: entry.count, resetMs: entry.resetAt - now };
+            setImmediate(() => callback(null, result));
+        },
+
+        reset(key, callback) {
+            windows.delete(key);
+            if (callback) setImmediate(() => callback(null));
+        },
+
+        close(callback) {
+            clearInterval(sweeper);
+            windows.clear();
+            if (callback) setImmediate(() => callback(null));
+        }
+    };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,53 @@
+// Redis rate limiter store, shared by every instance pointed at the same server. Works with
+// any client exposing Redis commands as callback-style methods (ioredis, or node-redis with
+// its legacy mode); by default an ioredis client is created from REDIS_URL.
+const KEY_PREFIX = process.env.RATE_LIMIT_KEY_PREFIX || 'blockvote:ratelimit:';
+
+// INCR and start the window's expiry on the first hit in one round trip, atomically
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+
+function createRedisStore(options = {}) {
+    let client = options.client;
+    if (!client) {
+        const Redis = require('ioredis');
+        client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+    }
+
+    return {
+        name: 'redis',
+
+        increment(key, windowMs, callback) {
+            client.eval(INCREMENT_SCRIPT, 1, KEY_PREFIX + key, windowMs, (err, reply) => {
+                if (err) return callback(err);
+                callback(null, { count: Number(reply[0]), resetMs: Number(reply[1]) });
+            });
+        },
+
+        reset(key, callback) {
+            client.del(KEY_PREFIX + key, (err) => {
+                if (callback) callback(err || null);
+            });
+        },
+
+        close(callback) {
+            // Leave a client we were handed to its owner
+            if (options.client) {
+                if (callback) setImmediate(() => callback(null));
+                return;
+            }
+            client.quit((err) => {
+                if (callback) callback(err || null);
+            });
+        }
+    };
+}
+
+module.exports = createRedisStore;
@@ -1,648 +1,6418 @@
 const express = require('express');
-const mysql = require('mysql2');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
 require('dotenv').config();
+const { createStorage } = require('./storage');
+const { createLimiterStore } = require('./ratelimit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Data access goes through the storage layer (see storage/index.js). STORAGE_BACKEND picks
+// MySQL (the default) or the in-memory store.
+const storage = createStorage();
+
+// ============================================================================
+// Rate Limiting and Load Shedding
+// ============================================================================
+
+// Behind a reverse proxy, set TRUST_PROXY (true, a hop count or a subnet list) so req.ip is
+// the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Fixed-window limits as { max, windowMs }. Each can be overridden with an env var of the
+// form "<max>/<window seconds>", e.g. RATE_LIMIT_VOTE=30/60, or turned off with "off".
+function rateLimitRule(envName, max, windowSeconds) {
+    const setting = process.env[envName];
+    if (setting === 'off' || setting === '0') return null;
+    const match = /^(\d+)\/(\d+)$/.exec(setting || '');
+    if (setting && !match) {
+        console.warn(`${envName} should look like "<max>/<window seconds>"; using ${max}/${windowSeconds}`);
+    }
+    return match
+        ? { max: Number(match[1]), windowMs: Number(match[2]) * 1000 }
+        : { max, windowMs: windowSeconds * 1000 };
+}
+
+const RATE_LIMITS = {
+    api: rateLimitRule('RATE_LIMIT_API', 300, 60),                            // every /api request, per IP
+    login: rateLimitRule('RATE_LIMIT_LOGIN', 10, 60),                         // login attempts, per IP
+    voter_register: rateLimitRule('RATE_LIMIT_VOTER_REGISTER', 10, 3600),     // voter registrations, per IP
+    vote: rateLimitRule('RATE_LIMIT_VOTE', 30, 60),                           // vote submissions, per IP
+    vote_voter: rateLimitRule('RATE_LIMIT_VOTE_VOTER', 5, 60)                 // vote submissions, per voter address
+};
+
+// Counters live in the store RATE_LIMIT_STORE picks: in memory (the default) or Redis, so
+// that several instances enforce one shared limit (see ratelimit/index.js)
+const limiterStore = createLimiterStore();
+
+function byClientIp(req) {
+    return req.ip;
+}
+
+// Authenticated peer nodes are exempt from the per-IP API limit; replication traffic would
+// otherwise use up the allowance of every client behind the same address
+function byClientIpUnlessPeer(req) {
+    return isPeerRequest(req) ? null : req.ip;
+}
+
+function byVoterAddress(req) {
+    const address = req.body && req.body.voter_address;
+    return typeof address === 'string' && address ? address : null;
+}
+
+// Middleware counting requests against the named limit, keyed by keyOf(req). Sets the
+// RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers (reporting whichever limit
+// on the request is closest to running out) and answers 429 with Retry-After once it's spent.
+// If the store is unreachable requests are let through rather than locking everyone out.
+function rateLimit(name, keyOf) {
+    const rule = RATE_LIMITS[name];
+
+    return (req, res, next) => {
+        const subject = rule && keyOf(req);
+        if (!subject) return next();
+
+        limiterStore.increment(`${name}:${subject}`, rule.windowMs, (err, hit) => {
+            if (err) {
+                console.error('Rate limiter store error; allowing request:', err);
+                return next();
+            }
+
+            const remaining = Math.max(0, rule.max - hit.count);
+            const resetSeconds = Math.max(1, Math.ceil(hit.resetMs / 1000));
+            if (!req.rateLimit || remaining <= req.rateLimit.remaining) {
+                req.rateLimit = { name, limit: rule.max, remaining, reset: resetSeconds };
+                res.set({
+                    'RateLimit-Policy': `${rule.max};w=${rule.windowMs / 1000}`,
+                    'RateLimit-Limit': String(rule.max),
+                    'RateLimit-Remaining': String(remaining),
+                    'RateLimit-Reset': String(resetSeconds)
+                });
+            }
+
+            if (hit.count > rule.max) {
+                res.set('Retry-After', String(resetSeconds));
+                return res.status(429).json({
+                    error: 'Too many requests. Try again later.',
+                    reason: 'rate_limited',
+                    limit: name,
+                    retry_after: resetSeconds
+                });
+            }
+            next();
+        });
+    };
+}
+
+// Circuit breaker: once requests are queueing for a database connection, further API requests
+// are refused with 503 for CIRCUIT_BREAKER_COOLDOWN_MS instead of piling onto the queue. After
+// the cooldown the next request checks the pool again (half-open) and either closes the
+// breaker or opens it for another cooldown. The health check is always answered.
+const CIRCUIT_BREAKER_QUEUE_LIMIT = parseInt(process.env.CIRCUIT_BREAKER_QUEUE_LIMIT) || 20;
+const CIRCUIT_BREAKER_COOLDOWN_MS = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 5000;
+let circuitOpenUntil = 0;
+
+function circuitBreakerOpen() {
+    const now = Date.now();
+    if (circuitOpenUntil > now) return true;
+
+    const pool = storage.poolStats();
+    if (pool.queued < CIRCUIT_BREAKER_QUEUE_LIMIT) return false;
+
+    circuitOpenUntil = now + CIRCUIT_BREAKER_COOLDOWN_MS;
+    console.warn(`Database pool saturated (${pool.in_use} in use, ${pool.queued} queued); shedding load for ${CIRCUIT_BREAKER_COOLDOWN_MS}ms`);
+    return true;
+}
+
+function shedLoad(req, res, next) {
+    if (req.path === '/health' || !circuitBreakerOpen()) return next();
+
+    res.set('Retry-After', String(Math.max(1, Math.ceil((circuitOpenUntil - Date.now()) / 1000))));
+    res.status(503).json({ error: 'Server is busy. Try again shortly.', reason: 'overloaded' });
+}
+
+// JSON body size limits. Routes listed here get their own (tighter) limit; everything else
+// gets JSON_BODY_LIMIT.
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100kb';
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+// Bulk imports take CSV (as text/csv) as well as JSON
+const IMPORT_ROUTES = ['/api/admin/elections/:id/candidates/import', '/api/admin/elections/:id/voters/import'];
+const ROUTE_BODY_LIMITS = {
+    '/api/admin/login': '4kb',
+    '/api/admin/password': '4kb',
+    '/api/admin/password-reset': '4kb',
+    '/api/voters/register': '16kb',
+    '/api/vote': '64kb',
+    '/api/admin/archives': process.env.ARCHIVE_BODY_LIMIT || '50mb',
+    '/api/peer': process.env.PEER_BODY_LIMIT || '10mb',
+    [IMPORT_ROUTES[0]]: IMPORT_BODY_LIMIT,
+    [IMPORT_ROUTES[1]]: IMPORT_BODY_LIMIT
+};
+
 // Middleware
 app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use('/api', rateLimit('api', byClientIpUnlessPeer));
+app.use('/api', shedLoad);
+// A route's own parser runs first; the general one then sees the body already parsed
+Object.keys(ROUTE_BODY_LIMITS).forEach(path => app.use(path, bodyParser.json({ limit: ROUTE_BODY_LIMITS[path] })));
+app.use(IMPORT_ROUTES, bodyParser.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }));
+app.use(bodyParser.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.static('public'));
 
-// MySQL Database Connection with connection pooling
-// Note: mysql2 rejects some legacy connection options when passed to a Connection.
-// Keep only supported pool options here to avoid warnings.
-const db = mysql.createPool({
-    connectionLimit: 10,
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'blockvote'
-});
-
-// Test database connection
-db.getConnection((err, connection) => {
-    if (err) {
-        console.error('Database connection failed: ' + err.stack);
-        return;
-    }
-    console.log('Connected to BlockVote MySQL database as id ' + connection.threadId);
-    connection.release();
+// ============================================================================
+// Blockchain Ledger
+// ============================================================================
+
+// transaction_hash and current_hash columns are VARCHAR(64), so ledger hashes are
+// '0x' followed by the first 62 hex chars of a SHA-256 digest.
+const GENESIS_PREVIOUS_HASH = '0x' + '0'.repeat(62);
+const BLOCK_INTERVAL_MS = parseInt(process.env.BLOCK_INTERVAL_MS) || 10000;
+const BLOCK_MAX_TRANSACTIONS = parseInt(process.env.BLOCK_MAX_TRANSACTIONS) || 500;
+
+function ledgerHash(data) {
+    return '0x' + crypto.createHash('sha256').update(data).digest('hex').substring(0, 62);
+}
+
+// JSON with object keys sorted, so the same payload always hashes the same way
+// no matter how the client (or a MySQL JSON column) ordered its keys.
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJson).join(',') + ']';
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return '{' + Object.keys(value).sort()
+            .filter(key => typeof value[key] !== 'undefined')
+            .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+            .join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+// JSON columns (vote_data, ballot) come back from MySQL either already parsed or as text
+function parseVoteData(voteData) {
+    return typeof voteData === 'string' ? JSON.parse(voteData) : voteData;
+}
+
+// Deterministic digest of the signed vote payload. Recomputable from a stored
+// blockchain_transactions row, which is what integrity checks rely on. Ranked and
+// approval ballots carry their selections in `ballot`; plurality ballots leave it
+// out so their hashes are unchanged.
+function hashTransaction(tx) {
+    return ledgerHash(canonicalJson({
+        election_id: Number(tx.election_id),
+        candidate_id: Number(tx.candidate_id),
+        voter_address: tx.voter_address,
+        vote_data: tx.vote_data,
+        signature: tx.signature,
+        ballot: tx.ballot || undefined
+    }));
+}
+
+function merkleRoot(hashes) {
+    if (hashes.length === 0) return ledgerHash('');
+
+    let level = hashes.slice();
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            // Odd node out is paired with itself
+            const right = i + 1 < level.length ? level[i + 1] : level[i];
+            next.push(ledgerHash(level[i] + right));
+        }
+        level = next;
+    }
+    return level[0];
+}
+
+// Sibling hashes from a leaf up to the root. `position` says which side the sibling sits on,
+// so a verifier computes ledgerHash(current + sibling) for 'right' and ledgerHash(sibling + current)
+// for 'left'. Mirrors merkleRoot, including pairing an odd node out with itself.
+function merkleProof(hashes, index) {
+    const proof = [];
+    let level = hashes.slice();
+    let position = index;
+
+    while (level.length > 1) {
+        const isRight = position % 2 === 1;
+        const siblingIndex = isRight ? position - 1 : Math.min(position + 1, level.length - 1);
+        proof.push({ position: isRight ? 'left' : 'right', hash: level[siblingIndex] });
+
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            const right = i + 1 < level.length ? level[i + 1] : level[i];
+            next.push(ledgerHash(level[i] + right));
+        }
+        level = next;
+        position = Math.floor(position / 2);
+    }
+    return proof;
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+    const computed = proof.reduce((current, step) =>
+        step.position === 'right' ? ledgerHash(current + step.hash) : ledgerHash(step.hash + current), leaf);
+    return computed === root;
+}
+
+// Block timestamps are hashed at second precision because DATETIME drops milliseconds
+function hashBlock(block) {
+    return ledgerHash(canonicalJson({
+        block_number: Number(block.block_number),
+        previous_hash: block.previous_hash,
+        merkle_root: block.merkle_root,
+        timestamp: new Date(block.timestamp).toISOString(),
+        transaction_count: Number(block.transaction_count)
+    }));
+}
+
+// Seal pending transactions into the next block. The storage backend seals atomically, so a
+// transaction is never half-assigned to a block that failed to insert.
+let sealingBlock = false;
+
+function sealPendingTransactions(callback) {
+    if (sealingBlock) return callback(null, null);
+    sealingBlock = true;
+
+    const done = (err, block) => {
+        sealingBlock = false;
+        callback(err, block);
+    };
+
+    storage.blocks.sealPending(BLOCK_MAX_TRANSACTIONS, buildBlock, done);
+}
+
+// The block after `last` (null for the first) over the given transaction hashes, in that order
+function buildBlock(hashes, last) {
+    const block = {
+        block_number: last ? last.block_number + 1 : 0,
+        previous_hash: last ? last.current_hash : GENESIS_PREVIOUS_HASH,
+        merkle_root: merkleRoot(hashes),
+        timestamp: new Date(Math.floor(Date.now() / 1000) * 1000),
+        transaction_count: hashes.length
+    };
+    block.current_hash = hashBlock(block);
+    block.block_size = Buffer.byteLength(hashes.join(''));
+    return block;
+}
+
+// Walk the chain from genesis and recompute every hash. Blocks without a merkle_root
+// predate the block producer (seeded sample data) and can only be counted, not verified.
+// When electionId is given the whole chain is still walked, but transaction and vote
+// checks are limited to that election. archivedEntries are the { id, transaction_hash,
+// block_number } left behind by elections removed after archiving; blocks still commit to them.
+const INTEGRITY_REPORT_SAMPLE_SIZE = 100;
+
+function verifyLedger(blocks, transactions, votes, electionId, archivedEntries = []) {
+    const report = {
+        valid: true,
+        election_id: electionId || null,
+        checked_at: new Date().toISOString(),
+        blocks: { total: blocks.length, verified: 0, legacy: 0 },
+        transactions: { total: 0, sealed: 0, pending: 0, failed: 0, archived: archivedEntries.length },
+        votes: { total: 0 },
+        first_broken_link: null,
+        broken_blocks: [],
+        tampered_transactions: [],
+        orphaned_transactions: [],
+        vote_mismatches: []
+    };
+
+    const inScope = (row) => !electionId || Number(row.election_id) === Number(electionId);
+    const addIssue = (list, issue) => {
+        report.valid = false;
+        if (list.length < INTEGRITY_REPORT_SAMPLE_SIZE) list.push(issue);
+    };
+
+    const txByBlock = new Map();
+    transactions.concat(archivedEntries).forEach(tx => {
+        if (tx.block_number === null || typeof tx.block_number === 'undefined') return;
+        if (!txByBlock.has(tx.block_number)) txByBlock.set(tx.block_number, []);
+        txByBlock.get(tx.block_number).push(tx);
+    });
+
+    const blockNumbers = new Set();
+    let previous = null;
+    let sealedSeen = false;
+
+    blocks.forEach(block => {
+        blockNumbers.add(block.block_number);
+
+        if (!block.merkle_root && !sealedSeen) {
+            report.blocks.legacy++;
+            previous = block;
+            return;
+        }
+        sealedSeen = true;
+
+        const breakLink = (reason, expected, actual) => {
+            const issue = { block_number: block.block_number, reason, expected, actual };
+            if (!report.first_broken_link) report.first_broken_link = issue;
+            addIssue(report.broken_blocks, issue);
+        };
+
+        if (!block.merkle_root) {
+            return breakLink('missing_merkle_root', 'merkle root', null);
+        }
+
+        const expectedPrevious = previous ? previous.current_hash : GENESIS_PREVIOUS_HASH;
+        if (block.previous_hash !== expectedPrevious) {
+            breakLink('previous_hash_mismatch', expectedPrevious, block.previous_hash);
+        } else if (previous && block.block_number !== previous.block_number + 1) {
+            breakLink('block_number_gap', previous.block_number + 1, block.block_number);
+        }
+
+        // Transactions are sealed in id order, so the Merkle root is rebuilt in that order too
+        const blockTxs = (txByBlock.get(block.block_number) || []).slice().sort((a, b) => a.id - b.id);
+        const recomputedRoot = merkleRoot(blockTxs.map(tx => tx.transaction_hash));
+        const recomputedHash = hashBlock(block);
+
+        if (blockTxs.length !== Number(block.transaction_count)) {
+            breakLink('transaction_count_mismatch', Number(block.transaction_count), blockTxs.length);
+        } else if (recomputedRoot !== block.merkle_root) {
+            breakLink('merkle_root_mismatch', block.merkle_root, recomputedRoot);
+        } else if (recomputedHash !== block.current_hash) {
+            breakLink('block_hash_mismatch', block.current_hash, recomputedHash);
+        } else {
+            report.blocks.verified++;
+        }
+
+        previous = block;
+    });
+
+    const txById = new Map();
+    const votedTxIds = new Set();
+    transactions.forEach(tx => txById.set(tx.id, tx));
+    votes.forEach(vote => votedTxIds.add(vote.transaction_id));
+
+    transactions.filter(inScope).forEach(tx => {
+        report.transactions.total++;
+
+        const recomputed = hashTransaction({
+            election_id: tx.election_id,
+            candidate_id: tx.candidate_id,
+            voter_address: tx.voter_address,
+            vote_data: parseVoteData(tx.vote_data),
+            signature: tx.signature,
+            ballot: parseVoteData(tx.ballot)
+        });
+        if (recomputed !== tx.transaction_hash) {
+            addIssue(report.tampered_transactions, { transaction_hash: tx.transaction_hash, recomputed_hash: recomputed });
+        }
+
+        const hasBlock = tx.block_number !== null && typeof tx.block_number !== 'undefined';
+        if (hasBlock && blockNumbers.has(tx.block_number)) {
+            report.transactions.sealed++;
+        } else if (!hasBlock && tx.status === 'pending') {
+            report.transactions.pending++;
+        } else if (!hasBlock && tx.status === 'failed') {
+            // A pending ballot that lost to the same voter's ballot sealed on another node
+            report.transactions.failed++;
+        } else {
+            addIssue(report.orphaned_transactions, {
+                transaction_hash: tx.transaction_hash,
+                status: tx.status,
+                block_number: hasBlock ? tx.block_number : null,
+                reason: hasBlock ? 'block_missing' : 'not_in_block'
+            });
+        }
+
+        if (!votedTxIds.has(tx.id)) {
+            addIssue(report.vote_mismatches, { transaction_hash: tx.transaction_hash, reason: 'no_vote_record' });
+        }
+    });
+
+    votes.filter(inScope).forEach(vote => {
+        report.votes.total++;
+
+        const tx = txById.get(vote.transaction_id);
+        if (!tx) {
+            return addIssue(report.vote_mismatches, { vote_id: vote.id, transaction_id: vote.transaction_id, reason: 'transaction_missing' });
+        }
+        if (Number(tx.election_id) !== Number(vote.election_id) || Number(tx.candidate_id) !== Number(vote.candidate_id) ||
+            canonicalJson(parseVoteData(tx.ballot) || null) !== canonicalJson(parseVoteData(vote.ballot) || null)) {
+            addIssue(report.vote_mismatches, { vote_id: vote.id, transaction_hash: tx.transaction_hash, reason: 'vote_transaction_mismatch' });
+        }
+    });
+
+    return report;
+}
+
+function buildIntegrityReport(electionId, callback) {
+    storage.blocks.listAll((err, blocks) => {
+        if (err) return callback(err);
+        storage.transactions.listAll((err, transactions) => {
+            if (err) return callback(err);
+            storage.votes.listAll((err, votes) => {
+                if (err) return callback(err);
+                storage.archives.listLedgerEntries((err, archivedEntries) => {
+                    if (err) return callback(err);
+
+                    let report;
+                    try {
+                        report = verifyLedger(blocks, transactions, votes, electionId, archivedEntries);
+                    } catch (verifyErr) {
+                        return callback(verifyErr);
+                    }
+                    callback(null, report);
+                });
+            });
+        });
+    });
+}
+
+// The verify routes are public, so only checks run by a signed-in admin or auditor are recorded;
+// anonymous callers could otherwise grow the audit log without limit
+function logChainVerification(req, report) {
+    resolveAdminSession(req, (err, admin) => {
+        if (err) return console.error('Error checking admin session:', err);
+        if (!admin) return;
+
+        const details = {
+            election_id: report.election_id,
+            valid: report.valid,
+            first_broken_link: report.first_broken_link,
+            blocks: report.blocks,
+            transactions: report.transactions
+        };
+        writeAuditLog(admin.id, 'admin', 'VERIFY_CHAIN', report.election_id ? 'election' : 'blockchain', details, (logErr) => {
+            if (logErr) console.error('Error logging chain verification:', logErr);
+        });
+    });
+}
+
+let blockProducer = null;
+
+function startBlockProducer() {
+    // In peer mode blocks are sealed in turns with the other nodes (see Peer Replication)
+    if (PEER_MODE) {
+        blockProducer = setInterval(peerTick, PEER_POLL_MS);
+        return;
+    }
+
+    blockProducer = setInterval(() => {
+        sealPendingTransactions((err, block) => {
+            if (err) {
+                console.error('Error sealing block:', err);
+                return;
+            }
+            if (block) {
+                console.log(`Sealed block #${block.block_number} with ${block.transaction_count} transaction(s): ${block.current_hash}`);
+                publishStreamEvent('block', block);
+            }
+        });
+    }, BLOCK_INTERVAL_MS);
+}
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+// Every audit entry is chained to the one before it: entry_hash covers the entry's fields and
+// previous_hash, and the latest hash is kept as the chain head (system_settings 'audit_chain_head'
+// in MySQL). Editing or deleting a row, or dropping the newest rows, breaks the chain at that point.
+// Entries are written one at a time, in call order, under a row lock on the chain head.
+const auditQueue = [];
+let writingAuditEntry = false;
+
+// details is stored as JSON; it is hashed in canonical form so MySQL's own JSON formatting
+// doesn't change the hash
+function hashAuditEntry(entry) {
+    return ledgerHash(canonicalJson({
+        previous_hash: entry.previous_hash,
+        user_id: entry.user_id === null || entry.user_id === undefined ? null : Number(entry.user_id),
+        user_type: entry.user_type,
+        action: entry.action,
+        resource_type: entry.resource_type,
+        details: parseVoteData(entry.details),
+        timestamp: new Date(entry.timestamp).toISOString()
+    }));
+}
+
+// Append an entry to the audit log. details may be an object or a JSON string. callback(err)
+// is optional.
+function writeAuditLog(userId, userType, action, resourceType, details, callback) {
+    auditQueue.push({
+        entry: {
+            user_id: userId === undefined ? null : userId,
+            user_type: userType,
+            action,
+            resource_type: resourceType,
+            details: typeof details === 'string' ? details : JSON.stringify(details || {})
+        },
+        callback: callback || ((err) => {
+            if (err) console.error(`Error writing ${action} audit entry:`, err);
+        })
+    });
+    drainAuditQueue();
+}
+
+function drainAuditQueue() {
+    if (writingAuditEntry || auditQueue.length === 0) return;
+    writingAuditEntry = true;
+
+    const { entry, callback } = auditQueue.shift();
+    appendAuditEntry(entry, (err) => {
+        writingAuditEntry = false;
+        callback(err);
+        drainAuditQueue();
+    });
+}
+
+function appendAuditEntry(entry, callback) {
+    storage.audit.append(entry, (head) => {
+        entry.previous_hash = head || GENESIS_PREVIOUS_HASH;
+        entry.timestamp = new Date(Math.floor(Date.now() / 1000) * 1000);
+        entry.entry_hash = hashAuditEntry(entry);
+    }, (err) => callback(err));
+}
+
+// Walk the audit log from its first row and recompute every hash. Rows from before chaining
+// was enabled (no entry_hash, ahead of the first chained row) are counted as legacy.
+function verifyAuditChain(callback) {
+    storage.audit.head((err, head) => {
+        if (err) return callback(err);
+
+        const report = {
+            valid: true,
+            entries: { total: 0, verified: 0, legacy: 0 },
+            head,
+            first_broken_link: null
+        };
+        const breakAt = (row, reason, expected, actual) => {
+            if (report.first_broken_link) return;
+            report.valid = false;
+            report.first_broken_link = { id: row ? row.id : null, reason, expected, actual };
+        };
+
+        let previousHash = null;
+        let lastRow = null;
+
+        storage.audit.forEach((row) => {
+            report.entries.total++;
+            lastRow = row;
+
+            if (!row.entry_hash) {
+                if (previousHash === null) {
+                    report.entries.legacy++;
+                } else {
+                    breakAt(row, 'unchained_entry', null, null);
+                }
+                return;
+            }
+
+            const expectedPrevious = previousHash === null ? GENESIS_PREVIOUS_HASH : previousHash;
+            if (row.previous_hash !== expectedPrevious) {
+                breakAt(row, 'previous_hash_mismatch', expectedPrevious, row.previous_hash);
+            }
+
+            const recomputed = hashAuditEntry(row);
+            if (recomputed !== row.entry_hash) {
+                breakAt(row, 'entry_hash_mismatch', recomputed, row.entry_hash);
+            } else if (!report.first_broken_link) {
+                report.entries.verified++;
+            }
+            previousHash = row.entry_hash;
+        }, (err) => {
+            if (err) return callback(err);
+            // Rows deleted from the end leave no gap in the chain, only a stale head
+            if (previousHash !== null && report.head && report.head !== previousHash) {
+                breakAt(lastRow, 'head_mismatch', report.head, previousHash);
+            }
+            callback(null, report);
+        });
+    });
+}
+
+// Exports handed to outside auditors are signed with the server's Ed25519 key. Set
+// SERVER_SIGNING_KEY to a PEM private key so signatures stay verifiable across restarts.
+const SERVER_SIGNING_KEY = process.env.SERVER_SIGNING_KEY
+    ? crypto.createPrivateKey(process.env.SERVER_SIGNING_KEY.replace(/\\n/g, '\n'))
+    : crypto.generateKeyPairSync('ed25519').privateKey;
+if (!process.env.SERVER_SIGNING_KEY) {
+    console.warn('SERVER_SIGNING_KEY is not set; signed exports can only be verified against this run\'s key.');
+}
+const SERVER_PUBLIC_KEY_PEM = crypto.createPublicKey(SERVER_SIGNING_KEY).export({ type: 'spki', format: 'pem' });
+const SERVER_KEY_ID = signingKeyId(crypto.createPublicKey(SERVER_SIGNING_KEY));
+
+// Key ids are the first 16 hex chars of the SHA-256 of the public key's DER encoding
+function signingKeyId(publicKey) {
+    return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').substring(0, 16);
+}
+
+function signDocument(body) {
+    return crypto.sign(null, Buffer.from(body), SERVER_SIGNING_KEY).toString('base64');
+}
+
+// Quote a CSV field when it holds a delimiter, quote or line break
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(columns, rows) {
+    return [columns.join(',')].concat(rows.map(row => columns.map(column => csvField(row[column])).join(','))).join('\n') + '\n';
+}
+
+// Split CSV text into records of fields (RFC 4180: quoted fields may hold commas, doubled
+// quotes and line breaks). Returns null if a quoted field is never closed.
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let k = 0; k < text.length; k++) {
+        const ch = text[k];
+        if (quoted) {
+            if (ch === '"' && text[k + 1] === '"') {
+                field += '"';
+                k++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[k + 1] === '\n') k++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (quoted) return null;
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+// ============================================================================
+// Authentication & Admin Routes
+// ============================================================================
+
+// Admin sessions are HMAC-SHA256 signed tokens (JWT HS256 format) with an expiry. Each token's
+// id is also stored in admin_sessions so it can be revoked on logout before it expires.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MINUTES = parseInt(process.env.SESSION_TTL_MINUTES) || 480;
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set; admin sessions will not survive a server restart.');
+}
+
+const ROLES = {
+    SUPERADMIN: 'superadmin',
+    ELECTION_ADMIN: 'electionadmin',
+    AUDITOR: 'auditor'
+};
+const ALL_ADMIN_ROLES = [ROLES.SUPERADMIN, ROLES.ELECTION_ADMIN, ROLES.AUDITOR];
+const ELECTION_MANAGERS = [ROLES.SUPERADMIN, ROLES.ELECTION_ADMIN];
+const AUDIT_READERS = [ROLES.SUPERADMIN, ROLES.AUDITOR];
+
+function signSessionToken(claims) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(header + '.' + payload).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+// Returns the token's claims, or null if the signature is wrong or the token has expired
+function verifySessionToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', SESSION_SECRET).update(parts[0] + '.' + parts[1]).digest('base64url'));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+        return claims;
+    } catch (parseErr) {
+        return null;
+    }
+}
+
+// Look up the admin behind the request's bearer token. Calls back with (err, admin, claims):
+// no claims when there is no valid token, no admin when its session is revoked or expired.
+// fallbackToken is used when the request has no bearer header.
+function resolveAdminSession(req, callback, fallbackToken) {
+    const header = req.get('Authorization') || '';
+    const claims = verifySessionToken(header.startsWith('Bearer ') ? header.slice(7) : fallbackToken);
+    if (!claims) return callback(null, null, null);
+
+    storage.admins.findBySession(claims.jti, (err, admin) => {
+        if (err) return callback(err);
+        callback(null, admin, claims);
+    });
+}
+
+// Middleware: require a live admin session whose role is in allowedRoles. Superadmins are
+// always allowed. The role is re-read from admin_users, so demoted or deactivated admins
+// lose access immediately. Admins with a pending forced password change can only reach
+// routes that opt in with allowPendingPasswordChange. Sets req.admin and req.sessionId.
+function requireRole(allowedRoles, options = {}) {
+    return (req, res, next) => {
+        resolveAdminSession(req, (err, admin, claims) => {
+            if (err) {
+                console.error('Error checking admin session:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!claims) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!admin) {
+                return res.status(401).json({ error: 'Session expired or revoked' });
+            }
+
+            if (admin.role !== ROLES.SUPERADMIN && !allowedRoles.includes(admin.role)) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            if (admin.must_change_password && !options.allowPendingPasswordChange) {
+                return res.status(403).json({ error: 'Password change required', must_change_password: true });
+            }
+
+            req.admin = admin;
+            req.sessionId = claims.jti;
+            next();
+        });
+    };
+}
+
+// Admin passwords are stored as 'scrypt$N$r$p$salt$hash' (salt and hash base64). Older rows hold
+// an unsalted SHA-256 hex digest; those are upgraded transparently on the next successful login.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const DEFAULT_SEEDED_PASSWORD = 'admin123';
+const MIN_PASSWORD_LENGTH = 10;
+const UNKNOWN_USER_PASSWORD_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$` +
+    Buffer.alloc(16).toString('base64') + '$' + Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64');
+
+function hashPassword(password, callback) {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS, (err, derived) => {
+        if (err) return callback(err);
+        const { N, r, p } = SCRYPT_PARAMS;
+        callback(null, `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`);
+    });
+}
+
+// Calls back with (err, matches, isLegacy)
+function verifyPassword(password, storedHash, callback) {
+    if (/^[0-9a-f]{64}$/i.test(storedHash || '')) {
+        const candidate = Buffer.from(crypto.createHash('sha256').update(password).digest('hex'));
+        const matches = crypto.timingSafeEqual(candidate, Buffer.from(storedHash.toLowerCase()));
+        return callback(null, matches, true);
+    }
+
+    const parts = (storedHash || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return callback(null, false, false);
+    }
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    crypto.scrypt(password, Buffer.from(salt, 'base64'), expected.length, params, (err, derived) => {
+        if (err) return callback(err);
+        callback(null, crypto.timingSafeEqual(derived, expected), false);
+    });
+}
+
+// Failed logins are counted per account (admin_users columns) and per client IP (in memory).
+// Either counter reaching its limit locks further attempts for LOGIN_LOCKOUT_MINUTES.
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const failedLoginsByIp = new Map();
+
+function ipLockedUntil(ip) {
+    const entry = failedLoginsByIp.get(ip);
+    if (!entry) return null;
+    if (entry.lockedUntil && entry.lockedUntil > Date.now()) return new Date(entry.lockedUntil);
+    if (entry.windowStart + LOGIN_LOCKOUT_MINUTES * 60000 <= Date.now()) failedLoginsByIp.delete(ip);
+    return null;
+}
+
+// Returns true when this failure locked the IP out
+function recordIpLoginFailure(ip) {
+    const now = Date.now();
+    let entry = failedLoginsByIp.get(ip);
+    if (!entry || entry.windowStart + LOGIN_LOCKOUT_MINUTES * 60000 <= now) {
+        entry = { count: 0, windowStart: now, lockedUntil: null };
+        failedLoginsByIp.set(ip, entry);
+    }
+
+    entry.count++;
+    if (entry.count >= LOGIN_MAX_ATTEMPTS_PER_IP) {
+        entry.lockedUntil = now + LOGIN_LOCKOUT_MINUTES * 60000;
+        return true;
+    }
+    return false;
+}
+
+function rejectLockedLogin(res, lockedUntil) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000))));
+    res.status(429).json({ error: 'Too many failed login attempts. Try again later.', locked_until: lockedUntil.toISOString() });
+}
+
+// Record a failed login for the account (if it exists) and the IP, locking either one
+// once it reaches its limit. Always answers with the same 401 so usernames can't be probed.
+function failLogin(req, res, username, admin, reason) {
+    const ipLocked = recordIpLoginFailure(req.ip);
+    const attempts = admin ? admin.failed_login_attempts + 1 : null;
+    const accountLocked = Boolean(admin) && attempts >= LOGIN_MAX_ATTEMPTS;
+
+    writeAuditLog(admin ? admin.id : null, 'admin', 'LOGIN_FAILED', 'system', { username, reason, attempts, ip: req.ip }, (logErr) => {
+        if (logErr) console.error('Error logging failed login:', logErr);
+    });
+
+    if (ipLocked || accountLocked) {
+        const details = JSON.stringify({ username, ip: req.ip, scope: accountLocked ? 'account' : 'ip', lockout_minutes: LOGIN_LOCKOUT_MINUTES });
+        writeAuditLog(admin ? admin.id : null, 'admin', 'ACCOUNT_LOCKED', 'system', details, (logErr) => {
+            if (logErr) console.error('Error logging account lockout:', logErr);
+        });
+    }
+
+    if (!admin) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // A lockout resets the counter so the account gets a fresh set of attempts afterwards
+    storage.admins.recordFailedLogin(admin.id, accountLocked ? LOGIN_LOCKOUT_MINUTES : null, (err) => {
+        if (err) console.error('Error recording failed login:', err);
+        res.status(401).json({ error: 'Invalid credentials' });
+    });
+}
+
+// Admin login
+app.post('/api/admin/login', rateLimit('login', byClientIp), (req, res) => {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const ipLock = ipLockedUntil(req.ip);
+    if (ipLock) {
+        return rejectLockedLogin(res, ipLock);
+    }
+
+    storage.admins.findActiveByUsername(username, (err, admin) => {
+        if (err) {
+            console.error('Admin login error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (admin && admin.locked_until && new Date(admin.locked_until) > new Date()) {
+            return rejectLockedLogin(res, new Date(admin.locked_until));
+        }
+
+        // Unknown usernames still pay for a hash so response timing doesn't reveal them
+        verifyPassword(password, admin ? admin.password_hash : UNKNOWN_USER_PASSWORD_HASH, (err, matches, isLegacy) => {
+            if (err) {
+                console.error('Admin login error:', err);
+                return res.status(500).json({ error: 'Login failed' });
+            }
+
+            if (!admin || !matches) {
+                return failLogin(req, res, username, admin, admin ? 'bad_password' : 'unknown_user');
+            }
+
+            const mustChangePassword = Boolean(admin.must_change_password) || (isLegacy && password === DEFAULT_SEEDED_PASSWORD);
+            upgradeLegacyPassword(admin, password, isLegacy, mustChangePassword, () => {
+                startAdminSession(req, res, admin, mustChangePassword);
+            });
+        });
+    });
+});
+
+// Re-hash a legacy SHA-256 password with scrypt now that we know the plaintext. Accounts
+// still on the seeded default password are flagged for a forced change.
+function upgradeLegacyPassword(admin, password, isLegacy, mustChangePassword, callback) {
+    if (!isLegacy) return callback();
+
+    hashPassword(password, (err, newHash) => {
+        if (err) {
+            console.error('Error upgrading legacy password hash:', err);
+            return callback();
+        }
+
+        storage.admins.setPassword(admin.id, newHash, mustChangePassword, (err) => {
+            if (err) console.error('Error upgrading legacy password hash:', err);
+            callback();
+        });
+    });
+}
+
+function startAdminSession(req, res, admin, mustChangePassword) {
+    // Issue a session token and record it so it can be revoked
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = {
+        sub: admin.id,
+        role: admin.role,
+        jti: crypto.randomBytes(16).toString('hex'),
+        iat: issuedAt,
+        exp: issuedAt + SESSION_TTL_MINUTES * 60
+    };
+    const expiresAt = new Date(claims.exp * 1000);
+
+    storage.admins.createSession(claims.jti, admin.id, expiresAt, (err) => {
+        if (err) {
+            console.error('Error creating admin session:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        // Update last login and clear failed attempts
+        storage.admins.recordLogin(admin.id, (err) => {
+            if (err) console.error('Error recording admin login:', err);
+        });
+
+        // Log admin login
+        writeAuditLog(admin.id, 'admin', 'LOGIN', 'system', { ip: req.ip, user_agent: req.get('User-Agent') });
+
+        res.json({
+            success: true,
+            token: signSessionToken(claims),
+            expires_at: expiresAt.toISOString(),
+            must_change_password: mustChangePassword,
+            admin: {
+                id: admin.id,
+                username: admin.username,
+                email: admin.email,
+                role: admin.role,
+                fullName: admin.full_name,
+                department: admin.department
+            }
+        });
+    });
+}
+
+// Change the current admin's password. Allowed while a forced change is pending; every
+// other session for the account is revoked afterwards.
+app.post('/api/admin/password', requireRole(ALL_ADMIN_ROLES, { allowPendingPasswordChange: true }), (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    if (typeof current_password !== 'string' || typeof new_password !== 'string') {
+        return res.status(400).json({ error: 'current_password and new_password are required' });
+    }
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (new_password === current_password || new_password === DEFAULT_SEEDED_PASSWORD) {
+        return res.status(400).json({ error: 'New password must differ from the current and default passwords' });
+    }
+
+    storage.admins.findById(req.admin.id, (err, admin) => {
+        if (err) {
+            console.error('Error changing password:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        verifyPassword(current_password, admin.password_hash, (err, matches) => {
+            if (err || !matches) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+
+            hashPassword(new_password, (err, newHash) => {
+                if (err) {
+                    console.error('Error hashing password:', err);
+                    return res.status(500).json({ error: 'Password change failed' });
+                }
+
+                storage.admins.setPassword(req.admin.id, newHash, false, (err) => {
+                    if (err) {
+                        console.error('Error changing password:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+
+                    storage.admins.revokeOtherSessions(req.admin.id, req.sessionId, (err) => {
+                        if (err) console.error('Error revoking other sessions:', err);
+                    });
+
+                    writeAuditLog(req.admin.id, 'admin', 'PASSWORD_CHANGED', 'admin_user', { ip: req.ip }, (logErr) => {
+                        if (logErr) console.error('Error logging password change:', logErr);
+                    });
+
+                    res.json({ message: 'Password changed successfully' });
+                });
+            });
+        });
+    });
+});
+
+// Admin logout: revoke the current session token
+app.post('/api/admin/logout', requireRole(ALL_ADMIN_ROLES, { allowPendingPasswordChange: true }), (req, res) => {
+    storage.admins.revokeSession(req.sessionId, (err) => {
+        if (err) {
+            console.error('Admin logout error:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        writeAuditLog(req.admin.id, 'admin', 'LOGOUT', 'system', { ip: req.ip }, (logErr) => {
+            if (logErr) console.error('Error logging admin logout:', logErr);
+        });
+
+        res.json({ success: true });
+    });
+});
+
+// ============================================================================
+// Admin User Management
+// ============================================================================
+
+// Superadmins manage admin accounts. Passwords are never set by another admin for good: a
+// new account either gets a temporary password that must be changed on first login, or a
+// one-time reset token its owner uses to choose one. Reset tokens are stored only as SHA-256
+// digests and expire after PASSWORD_RESET_TTL_MINUTES.
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const ADMIN_RECENT_ACTIONS_LIMIT = 20;
+const ADMIN_USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,50}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SUPERADMIN_ONLY = [ROLES.SUPERADMIN];
+
+// Check an admin's editable fields; returns an error message or null. Only the fields present
+// are checked unless `creating`, which requires username, email and role.
+function validateAdminFields(fields, creating) {
+    const present = (field) => fields[field] !== undefined;
+
+    if ((creating || present('username')) && !ADMIN_USERNAME_PATTERN.test(fields.username || '')) {
+        return 'username must be 3-50 letters, digits, dots, dashes or underscores';
+    }
+    if ((creating || present('email')) && !EMAIL_PATTERN.test(fields.email || '')) {
+        return 'email must be a valid email address';
+    }
+    if ((creating || present('role')) && !ALL_ADMIN_ROLES.includes(fields.role)) {
+        return 'role must be one of: ' + ALL_ADMIN_ROLES.join(', ');
+    }
+    for (const field of ['full_name', 'department']) {
+        if (present(field) && fields[field] !== null && (typeof fields[field] !== 'string' || fields[field].length > 100)) {
+            return `${field} must be a string of at most 100 characters`;
+        }
+    }
+    return null;
+}
+
+function validateNewPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password === DEFAULT_SEEDED_PASSWORD) {
+        return 'Password must differ from the default password';
+    }
+    return null;
+}
+
+function passwordResetDigest(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a reset token for an admin, replacing any unused one. Calls back with
+// { reset_token, reset_expires_at }; the token is only ever shown in this response.
+function issuePasswordReset(adminId, callback) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60000);
+
+    storage.admins.createPasswordReset(adminId, passwordResetDigest(token), expiresAt, (err) => {
+        if (err) return callback(err);
+        callback(null, { reset_token: token, reset_expires_at: expiresAt.toISOString() });
+    });
+}
+
+// Apply an update to another admin's account and audit it. Refuses with 409 when it would
+// leave no active superadmin; onUpdated runs before responding.
+function updateAdminUser(req, res, fields, action, details, onUpdated) {
+    const id = parseInt(req.params.id);
+
+    storage.admins.findProfile(id, (err, target) => {
+        if (err) {
+            console.error('Error fetching admin user:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!target) {
+            return res.status(404).json({ error: 'Admin user not found' });
+        }
+
+        storage.admins.update(id, fields, (err) => {
+            if (err && err.code === 'LAST_SUPERADMIN') {
+                return res.status(409).json({ error: 'At least one active superadmin must remain', reason: 'last_superadmin' });
+            }
+            if (err && err.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Username or email is already in use' });
+            }
+            if (err) {
+                console.error('Error updating admin user:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', action, 'admin_user',
+                Object.assign({ admin_user_id: id, username: target.username }, details(target)));
+
+            const respond = () => storage.admins.findProfile(id, (err, updated) => {
+                if (err) {
+                    console.error('Error fetching admin user:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                res.json(updated);
+            });
+            onUpdated ? onUpdated(id, respond) : respond();
+        });
+    });
+}
+
+// List admin accounts, optionally by role and active flag
+app.get('/api/admin/users', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    const { role, active } = req.query;
+
+    if (role && !ALL_ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ error: 'role must be one of: ' + ALL_ADMIN_ROLES.join(', ') });
+    }
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+        return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    storage.admins.list({ role, is_active: active === undefined ? undefined : active === 'true' }, (err, results) => {
+        if (err) {
+            console.error('Error fetching admin users:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(results);
+    });
+});
+
+// Create an admin. With a `password` it is temporary and must be changed on first login;
+// without one the response carries a one-time reset token for the new admin to set their own.
+app.post('/api/admin/users', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    const { username, email, role, full_name, department, password } = req.body;
+
+    const fieldError = validateAdminFields({ username, email, role, full_name, department }, true);
+    if (fieldError) {
+        return res.status(400).json({ error: fieldError });
+    }
+    const passwordError = password === undefined ? null : validateNewPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+    }
+
+    // Accounts created without a password get a random one nobody knows until the reset is used
+    hashPassword(password === undefined ? crypto.randomBytes(32).toString('hex') : password, (err, passwordHash) => {
+        if (err) {
+            console.error('Error hashing password:', err);
+            return res.status(500).json({ error: 'Admin creation failed' });
+        }
+
+        const fields = {
+            username, email, role,
+            full_name: full_name || null,
+            department: department || null,
+            password_hash: passwordHash,
+            must_change_password: password !== undefined
+        };
+
+        storage.admins.create(fields, (err, id) => {
+            if (err && err.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Username or email is already in use' });
+            }
+            if (err) {
+                console.error('Error creating admin user:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'ADMIN_USER_CREATED', 'admin_user',
+                { admin_user_id: id, username, role, temporary_password: password !== undefined });
+
+            const respond = (reset) => storage.admins.findProfile(id, (err, admin) => {
+                if (err) {
+                    console.error('Error fetching admin user:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                res.status(201).json(Object.assign(admin, reset));
+            });
+
+            if (password !== undefined) return respond({});
+
+            issuePasswordReset(id, (err, reset) => {
+                if (err) {
+                    console.error('Error issuing password reset:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                writeAuditLog(req.admin.id, 'admin', 'PASSWORD_RESET_ISSUED', 'admin_user',
+                    { admin_user_id: id, username, expires_at: reset.reset_expires_at });
+                respond(reset);
+            });
+        });
+    });
+});
+
+// One admin's account with their last login and most recent audited actions
+app.get('/api/admin/users/:id', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    const id = parseInt(req.params.id);
+
+    storage.admins.findProfile(id, (err, admin) => {
+        if (err) {
+            console.error('Error fetching admin user:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin user not found' });
+        }
+
+        storage.audit.list({ user_id: id, user_type: 'admin' }, { limit: ADMIN_RECENT_ACTIONS_LIMIT, offset: 0 }, (err, actions) => {
+            if (err) {
+                console.error('Error fetching admin actions:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json(Object.assign(admin, {
+                recent_actions: actions.map(entry => ({
+                    id: entry.id,
+                    timestamp: entry.timestamp,
+                    action: entry.action,
+                    resource_type: entry.resource_type,
+                    details: entry.details
+                }))
+            }));
+        });
+    });
+});
+
+// Update an admin's profile or role. Demoting the last active superadmin is refused.
+app.patch('/api/admin/users/:id', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    const fields = {};
+    ['username', 'email', 'role', 'full_name', 'department'].forEach(field => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    const fieldError = validateAdminFields(fields, false);
+    if (fieldError) {
+        return res.status(400).json({ error: fieldError });
+    }
+
+    const action = fields.role ? 'ADMIN_ROLE_CHANGED' : 'ADMIN_USER_UPDATED';
+    updateAdminUser(req, res, fields, action, (target) => {
+        const changes = {};
+        Object.keys(fields).forEach(field => {
+            if (target[field] !== fields[field]) changes[field] = { from: target[field], to: fields[field] };
+        });
+        return { changes };
+    });
+});
+
+// Deactivate an admin and revoke their sessions. The last active superadmin can't be
+// deactivated, and nobody can deactivate themselves.
+app.post('/api/admin/users/:id/deactivate', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    if (parseInt(req.params.id) === req.admin.id) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason : null;
+    updateAdminUser(req, res, { is_active: false }, 'ADMIN_USER_DEACTIVATED', () => ({ reason }), (id, respond) => {
+        storage.admins.revokeAllSessions(id, (err) => {
+            if (err) console.error('Error revoking sessions:', err);
+            respond();
+        });
+    });
+});
+
+app.post('/api/admin/users/:id/reactivate', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    updateAdminUser(req, res, { is_active: true }, 'ADMIN_USER_REACTIVATED', () => ({}));
+});
+
+// Issue a one-time password reset token for an admin. Their current password keeps working
+// until the token is used; the token is returned only in this response.
+app.post('/api/admin/users/:id/password-reset', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    const id = parseInt(req.params.id);
+
+    storage.admins.findProfile(id, (err, admin) => {
+        if (err) {
+            console.error('Error fetching admin user:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin user not found' });
+        }
+        if (!admin.is_active) {
+            return res.status(409).json({ error: 'Reactivate the account before resetting its password' });
+        }
+
+        issuePasswordReset(id, (err, reset) => {
+            if (err) {
+                console.error('Error issuing password reset:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'PASSWORD_RESET_ISSUED', 'admin_user',
+                { admin_user_id: id, username: admin.username, expires_at: reset.reset_expires_at });
+            res.json(Object.assign({ admin_user_id: id, username: admin.username }, reset));
+        });
+    });
+});
+
+// Set a new password with a reset token. No session needed; the token is spent, any lockout
+// is cleared and every existing session of the account is revoked.
+app.post('/api/admin/password-reset', rateLimit('login', byClientIp), (req, res) => {
+    const { token, new_password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+        return res.status(400).json({ error: 'token is required' });
+    }
+    const passwordError = validateNewPassword(new_password);
+    if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+    }
+
+    hashPassword(new_password, (err, passwordHash) => {
+        if (err) {
+            console.error('Error hashing password:', err);
+            return res.status(500).json({ error: 'Password reset failed' });
+        }
+
+        storage.admins.consumePasswordReset(passwordResetDigest(token), passwordHash, (err, adminId) => {
+            if (err) {
+                console.error('Error resetting password:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!adminId) {
+                return res.status(400).json({ error: 'Reset token is invalid, expired or already used' });
+            }
+
+            writeAuditLog(adminId, 'admin', 'PASSWORD_RESET_COMPLETED', 'admin_user', { admin_user_id: adminId, ip: req.ip });
+            res.json({ message: 'Password has been reset. Sign in with the new password.' });
+        });
+    });
+});
+
+// ============================================================================
+// Election Lifecycle
+// ============================================================================
+
+// draft → scheduled → active → closed → certified → archived. The scheduler moves
+// scheduled elections to active at start_date and active ones to closed at end_date;
+// admins drive every other transition.
+const ELECTION_TRANSITIONS = {
+    draft: ['scheduled', 'archived'],
+    scheduled: ['draft', 'active', 'closed', 'archived'],
+    active: ['closed'],
+    closed: ['certified', 'archived'],
+    certified: ['archived'],
+    archived: []
+};
+const ELECTION_STATUSES = Object.keys(ELECTION_TRANSITIONS);
+const ELECTION_SCHEDULER_INTERVAL_MS = parseInt(process.env.ELECTION_SCHEDULER_INTERVAL_MS) || 30000;
+
+// Once voting has started the ballot is fixed: dates, voting method, seats, privacy level, revoting,
+// contests and candidates
+function isElectionLocked(status) {
+    return !['draft', 'scheduled'].includes(status);
+}
+
+const LOCKED_ELECTION_FIELDS = {
+    start_date: (a, b) => new Date(a).getTime() === new Date(b).getTime(),
+    end_date: (a, b) => new Date(a).getTime() === new Date(b).getTime(),
+    voting_method: (a, b) => normalizeVotingMethod(a) === normalizeVotingMethod(b),
+    seats: (a, b) => (parseInt(a) || 1) === (parseInt(b) || 1),
+    privacy_level: (a, b) => normalizePrivacyLevel(a) === normalizePrivacyLevel(b),
+    allow_revoting: (a, b) => Boolean(a) === Boolean(b)
+};
+
+// Both dates must parse and voting must open before it closes. Returns an error message or null.
+function validateElectionDates(startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (!startDate || isNaN(start.getTime())) return 'start_date must be a date';
+    if (!endDate || isNaN(end.getTime())) return 'end_date must be a date';
+    if (start >= end) return 'start_date must be before end_date';
+    return null;
+}
+
+// Validate an update against the election's current row. Returns an error message or null.
+function checkElectionUpdate(current, changes, now = new Date()) {
+    const nextStatus = typeof changes.status === 'undefined' ? current.status : changes.status;
+
+    if (nextStatus !== current.status) {
+        if (!ELECTION_STATUSES.includes(nextStatus)) {
+            return 'status must be one of: ' + ELECTION_STATUSES.join(', ');
+        }
+        if (!(ELECTION_TRANSITIONS[current.status] || []).includes(nextStatus)) {
+            return `Election cannot move from ${current.status} to ${nextStatus}`;
+        }
+        const startDate = new Date(typeof changes.start_date === 'undefined' ? current.start_date : changes.start_date);
+        const endDate = new Date(typeof changes.end_date === 'undefined' ? current.end_date : changes.end_date);
+        if (nextStatus === 'active' && (now < startDate || now >= endDate)) {
+            return 'An election can only be active between its start_date and end_date';
+        }
+    }
+
+    if (isElectionLocked(current.status)) {
+        const changed = Object.keys(LOCKED_ELECTION_FIELDS).filter(field =>
+            typeof changes[field] !== 'undefined' && !LOCKED_ELECTION_FIELDS[field](changes[field], current[field]));
+        if (changed.length > 0) {
+            return `Cannot change ${changed.join(', ')} once voting has started`;
+        }
+    }
+
+    return null;
+}
+
+function logElectionTransition(electionId, from, to, adminId) {
+    const details = { election_id: Number(electionId), from, to, automatic: !adminId };
+    writeAuditLog(adminId || null, adminId ? 'admin' : 'system', 'ELECTION_STATUS_CHANGED', 'election', details, (logErr) => {
+        if (logErr) console.error('Error logging election status change:', logErr);
+    });
+    publishElectionStatus(electionId, from, to);
+}
+
+// Status lookups for requireElectionEditable: callback(err, status), status null when not found
+function electionStatusById(id, callback) {
+    storage.elections.findById(id, (err, election) => callback(err, election ? election.status : null));
+}
+
+function electionStatusByCandidate(id, callback) {
+    storage.candidates.findById(id, (err, candidate) => {
+        if (err || !candidate) return callback(err, null);
+        electionStatusById(candidate.election_id, callback);
+    });
+}
+
+function electionStatusByContest(id, callback) {
+    storage.contests.findById(id, (err, contest) => {
+        if (err || !contest) return callback(err, null);
+        electionStatusById(contest.election_id, callback);
+    });
+}
+
+// Middleware: refuse ballot changes (to `subject`, candidates by default) once the owning
+// election's voting has started. lookupStatus finds the election's status from req.params.id.
+function requireElectionEditable(lookupStatus, subject = 'Candidates') {
+    return (req, res, next) => {
+        lookupStatus(req.params.id, (err, status) => {
+            if (err) {
+                console.error('Error checking election status:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            // Unknown ids fall through so the route answers with its own 404
+            if (status && isElectionLocked(status)) {
+                return res.status(409).json({ error: `${subject} are locked once voting has started`, status });
+            }
+            next();
+        });
+    };
+}
+
+// Open scheduled elections whose start_date has passed and close active (or never-opened
+// scheduled) elections whose end_date has passed. Each row is moved with a status-guarded
+// update so a concurrent manual change wins cleanly.
+function runElectionScheduler() {
+    storage.elections.findDueTransitions((err, due) => {
+        if (err) {
+            console.error('Error checking election schedule:', err);
+            return;
+        }
+
+        due.forEach(election => {
+            storage.elections.update(election.id, election.status, { status: election.next_status }, (err, updated) => {
+                if (err) {
+                    console.error(`Error moving election ${election.id} to ${election.next_status}:`, err);
+                    return;
+                }
+                if (!updated) return;
+
+                console.log(`Election ${election.id} moved from ${election.status} to ${election.next_status}`);
+                logElectionTransition(election.id, election.status, election.next_status, null);
+            });
+        });
+    });
+}
+
+let electionScheduler = null;
+
+function startElectionScheduler() {
+    runElectionScheduler();
+    electionScheduler = setInterval(runElectionScheduler, ELECTION_SCHEDULER_INTERVAL_MS);
+}
+
+// ============================================================================
+// Elections API Routes
+// ============================================================================
+
+// Get all elections
+app.get('/api/elections', (req, res) => {
+    storage.elections.list((err, results) => {
+        if (err) {
+            console.error('Error fetching elections:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(results);
+    });
+});
+
+// Get election by ID with candidates and contests
+app.get('/api/elections/:id', (req, res) => {
+    const { id } = req.params;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        storage.candidates.listByElection(id, {}, (err, candidatesResults) => {
+            if (err) {
+                console.error('Error fetching candidates:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            election.candidates = candidatesResults;
+
+            storage.contests.listByElection(id, (err, contests) => {
+                if (err) {
+                    console.error('Error fetching contests:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                election.contests = contests;
+
+                res.json(election);
+            });
+        });
+    });
+});
+
+// Create new election
+app.post('/api/elections', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { title, description, type, status, start_date, end_date, voting_method, seats, privacy_level, requires_verification, allow_revoting } = req.body;
+
+    if (!title || !start_date || !end_date) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const dateError = validateElectionDates(start_date, end_date);
+    if (dateError) {
+        return res.status(400).json({ error: dateError });
+    }
+
+    const methodError = validateVotingMethod(voting_method, seats);
+    if (methodError) {
+        return res.status(400).json({ error: methodError });
+    }
+
+    const blockchainAddress = '0x' + crypto.randomBytes(20).toString('hex');
+
+    // New elections start as drafts, or go straight to scheduled when asked
+    const initialStatus = status || 'draft';
+    if (!['draft', 'scheduled'].includes(initialStatus)) {
+        return res.status(400).json({ error: 'New elections must be draft or scheduled' });
+    }
+
+    const fields = {
+        title, description, type, status: initialStatus, start_date, end_date,
+        voting_method: normalizeVotingMethod(voting_method), seats: parseInt(seats) || 1,
+        privacy_level: normalizePrivacyLevel(privacy_level), requires_verification,
+        allow_revoting: Boolean(allow_revoting), blockchain_address: blockchainAddress
+    };
+
+    storage.elections.create(fields, (err, electionId) => {
+        if (err) {
+            console.error('Error creating election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const details = {
+            election_id: electionId, title, type, status: initialStatus, start_date, end_date,
+            voting_method: normalizeVotingMethod(voting_method), seats: parseInt(seats) || 1
+        };
+        writeAuditLog(req.admin.id, 'admin', 'CREATE_ELECTION', 'election', details);
+
+        res.status(201).json({ 
+            message: 'Election created successfully',
+            id: electionId,
+            status: initialStatus,
+            blockchain_address: blockchainAddress
+        });
+    });
+});
+
+// Fields PUT /api/elections/:id may set, with how each is normalized
+const ELECTION_UPDATE_FIELDS = {
+    title: null,
+    description: null,
+    type: null,
+    status: null,
+    start_date: null,
+    end_date: null,
+    voting_method: normalizeVotingMethod,
+    seats: (value) => parseInt(value),
+    privacy_level: normalizePrivacyLevel,
+    allow_revoting: Boolean
+};
+
+// Update election
+app.put('/api/elections/:id', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const { status, start_date, end_date, voting_method, seats, privacy_level, allow_revoting } = req.body;
+
+    // Only the fields that were sent are updated
+    const fields = {};
+    Object.keys(ELECTION_UPDATE_FIELDS).forEach(field => {
+        if (typeof req.body[field] === 'undefined') return;
+        const normalize = ELECTION_UPDATE_FIELDS[field];
+        fields[field] = normalize ? normalize(req.body[field]) : req.body[field];
+    });
+
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    storage.elections.findById(id, (err, current) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!current) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        // A single date is checked against the other one already stored
+        const dateError = validateElectionDates(
+            typeof start_date === 'undefined' ? current.start_date : start_date,
+            typeof end_date === 'undefined' ? current.end_date : end_date);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        // An omitted method or seat count keeps the election's own, and the pair is checked together
+        const methodError = validateVotingMethod(
+            typeof voting_method === 'undefined' ? current.voting_method : voting_method,
+            typeof seats === 'undefined' ? current.seats || 1 : seats);
+        if (methodError) {
+            return res.status(400).json({ error: methodError });
+        }
+
+        const updateError = checkElectionUpdate(current, {
+            status, start_date, end_date, voting_method, seats, privacy_level, allow_revoting
+        });
+        if (updateError) {
+            return res.status(409).json({ error: updateError, status: current.status });
+        }
+        if (current.ballot_encryption === 'elgamal' && typeof voting_method !== 'undefined' &&
+            !ENCRYPTED_VOTING_METHODS.includes(normalizeVotingMethod(voting_method))) {
+            return res.status(400).json({ error: 'Encrypted ballots support these voting methods: ' + ENCRYPTED_VOTING_METHODS.join(', ') });
+        }
+
+        // Omitting status keeps the current one; the guard on status catches a concurrent transition
+        const nextStatus = status || current.status;
+
+        storage.elections.update(id, current.status, fields, (err, updated) => {
+            if (err) {
+                console.error('Error updating election:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!updated) {
+                return res.status(409).json({ error: 'Election status changed during the update; retry' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'UPDATE_ELECTION', 'election', Object.assign({ election_id: Number(id) }, fields));
+
+            if (nextStatus !== current.status) {
+                logElectionTransition(id, current.status, nextStatus, req.admin.id);
+            }
+
+            res.json({ message: 'Election updated successfully' });
+        });
+    });
+});
+
+// Delete an election that never opened: a draft, or a scheduled election without votes. Any
+// other election keeps its ledger records until it is archived and removed through
+// /api/admin/archives/remove.
+app.delete('/api/elections/:id', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+        if (isElectionLocked(election.status)) {
+            return res.status(409).json({
+                error: 'Only draft and scheduled elections can be deleted; archive the election and remove it with /api/admin/archives/remove',
+                status: election.status
+            });
+        }
+
+        storage.elections.remove(id, (err, removed) => {
+            if (err) {
+                console.error('Error deleting election:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!removed) {
+                return res.status(409).json({ error: 'Election opened or took votes during the delete; it can no longer be deleted' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'DELETE_ELECTION', 'election', { election_id: Number(id) });
+
+            res.json({ message: 'Election deleted successfully' });
+        });
+    });
+});
+
+// ============================================================================
+// Candidates API Routes
+// ============================================================================
+
+// Get all candidates for an election. Per-candidate vote counts are only included once
+// the election's results are published, and never for encrypted ballots or elections with
+// contests (see the results endpoint).
+app.get('/api/elections/:id/candidates', (req, res) => {
+    const { id } = req.params;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        storage.contests.listByElection(id, (err, contests) => {
+            if (err) {
+                console.error('Error fetching contests:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const withVoteCounts = resultsPublished(election.status) && election.ballot_encryption !== 'elgamal' && contests.length === 0;
+            storage.candidates.listByElection(id, { withVoteCounts }, (err, results) => {
+                if (err) {
+                    console.error('Error fetching candidates:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                res.json(results);
+            });
+        });
+    });
+});
+
+// Add candidate to election, optionally as an option in one of its contests (contest_id)
+app.post('/api/elections/:id/candidates', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusById), (req, res) => {
+    const { id } = req.params;
+    const { name, party, platform, biography, photo_url, contact_email, display_order, contest_id } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'Candidate name is required' });
+    }
+
+    const fields = { name, party, platform, biography, photo_url, contact_email, display_order: display_order || 0 };
+
+    const checkContest = (next) => {
+        if (contest_id === undefined || contest_id === null) return next();
+        storage.contests.findById(contest_id, (err, contest) => {
+            if (err) {
+                console.error('Error fetching contest:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!contest || Number(contest.election_id) !== Number(id)) {
+                return res.status(400).json({ error: 'Contest does not belong to election' });
+            }
+            fields.contest_id = contest.id;
+            next();
+        });
+    };
+
+    checkContest(() => {
+        storage.candidates.create(id, fields, (err, candidateId) => {
+            if (err) {
+                console.error('Error adding candidate:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const details = { candidate_id: candidateId, election_id: Number(id), contest_id: fields.contest_id, name, party };
+            writeAuditLog(req.admin.id, 'admin', 'CREATE_CANDIDATE', 'candidate', details);
+
+            res.status(201).json({ 
+                message: 'Candidate added successfully',
+                id: candidateId
+            });
+        });
+    });
+});
+
+// Update candidate
+app.put('/api/candidates/:id', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusByCandidate), (req, res) => {
+    const { id } = req.params;
+    const { name, party, platform, biography, photo_url, contact_email, display_order } = req.body;
+
+    const fields = { name, party, platform, biography, photo_url, contact_email, display_order };
+
+    storage.candidates.update(id, fields, (err, updated) => {
+        if (err) {
+            console.error('Error updating candidate:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        const details = { candidate_id: Number(id), name, party, display_order };
+        writeAuditLog(req.admin.id, 'admin', 'UPDATE_CANDIDATE', 'candidate', details);
+
+        res.json({ message: 'Candidate updated successfully' });
+    });
+});
+
+// Delete candidate
+app.delete('/api/candidates/:id', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusByCandidate), (req, res) => {
+    const { id } = req.params;
+
+    storage.candidates.deactivate(id, (err, deactivated) => {
+        if (err) {
+            console.error('Error deleting candidate:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!deactivated) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        writeAuditLog(req.admin.id, 'admin', 'DELETE_CANDIDATE', 'candidate', { candidate_id: Number(id) });
+
+        res.json({ message: 'Candidate deleted successfully' });
+    });
+});
+
+// ============================================================================
+// Contests API Routes
+// ============================================================================
+
+// Get an election's contests in ballot order, each with its active candidates or options
+app.get('/api/elections/:id/contests', (req, res) => {
+    const { id } = req.params;
+
+    storage.contests.listByElection(id, (err, contests) => {
+        if (err) {
+            console.error('Error fetching contests:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        storage.candidates.listByElection(id, {}, (err, candidates) => {
+            if (err) {
+                console.error('Error fetching candidates:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            res.json(contests.map(contest => Object.assign({}, contest, {
+                candidates: candidates.filter(c => Number(c.contest_id) === Number(contest.id))
+            })));
+        });
+    });
+});
+
+// Fields PUT /api/contests/:id may set, with how each is normalized. A contest's type is fixed.
+const CONTEST_UPDATE_FIELDS = {
+    title: null,
+    description: null,
+    voting_method: normalizeVotingMethod,
+    seats: (value) => parseInt(value),
+    display_order: (value) => parseInt(value) || 0
+};
+
+// Add a contest to an election. Measures get `options` (default Yes and No) created with them;
+// a candidate race's candidates are added with POST /api/elections/:id/candidates and its contest_id.
+app.post('/api/elections/:id/contests', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusById, 'Contests'), (req, res) => {
+    const { id } = req.params;
+    const { title, description, type, voting_method, seats, display_order, options } = req.body;
+    const contestType = type || 'candidate';
+
+    if (!title) {
+        return res.status(400).json({ error: 'Contest title is required' });
+    }
+    const fieldsError = validateContestFields(contestType, voting_method, seats);
+    if (fieldsError) {
+        return res.status(400).json({ error: fieldsError });
+    }
+    if (typeof options !== 'undefined' && (!Array.isArray(options) || options.some(name => typeof name !== 'string' || !name.trim()))) {
+        return res.status(400).json({ error: 'options must be a list of option names' });
+    }
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+        if (election.ballot_encryption === 'elgamal') {
+            return res.status(400).json({ error: 'Encrypted elections cannot have contests' });
+        }
+
+        const fields = {
+            title, description, type: contestType, voting_method: normalizeVotingMethod(voting_method),
+            seats: parseInt(seats) || 1, display_order: display_order || 0
+        };
+        const optionNames = options || (contestType === 'measure' ? MEASURE_OPTIONS : []);
+
+        storage.contests.create(id, fields, optionNames.map(name => ({ name: name.trim() })), (err, contestId) => {
+            if (err) {
+                console.error('Error adding contest:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const details = {
+                contest_id: contestId, election_id: Number(id), title, type: contestType,
+                voting_method: fields.voting_method, seats: fields.seats, options: optionNames
+            };
+            writeAuditLog(req.admin.id, 'admin', 'CREATE_CONTEST', 'contest', details);
+
+            res.status(201).json({
+                message: 'Contest added successfully',
+                id: contestId
+            });
+        });
+    });
+});
+
+// Update a contest
+app.put('/api/contests/:id', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusByContest, 'Contests'), (req, res) => {
+    const { id } = req.params;
+    const { title, voting_method, seats } = req.body;
+
+    // Only the fields that were sent are updated
+    const fields = {};
+    Object.keys(CONTEST_UPDATE_FIELDS).forEach(field => {
+        if (typeof req.body[field] === 'undefined') return;
+        const normalize = CONTEST_UPDATE_FIELDS[field];
+        fields[field] = normalize ? normalize(req.body[field]) : req.body[field];
+    });
+
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+    }
+    if (typeof title !== 'undefined' && !title) {
+        return res.status(400).json({ error: 'Contest title is required' });
+    }
+
+    storage.contests.findById(id, (err, contest) => {
+        if (err) {
+            console.error('Error fetching contest:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!contest) {
+            return res.status(404).json({ error: 'Contest not found' });
+        }
+
+        // An omitted method or seat count keeps the contest's own, and the pair is checked together
+        const method = typeof voting_method === 'undefined' ? contest.voting_method : voting_method;
+        const seatCount = typeof seats === 'undefined' ? contest.seats : seats;
+        const fieldsError = validateContestFields(contest.type, method, seatCount);
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
+
+        storage.contests.update(id, fields, (err, updated) => {
+            if (err) {
+                console.error('Error updating contest:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!updated) {
+                return res.status(404).json({ error: 'Contest not found' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'UPDATE_CONTEST', 'contest', Object.assign({ contest_id: Number(id) }, fields));
+
+            res.json({ message: 'Contest updated successfully' });
+        });
+    });
+});
+
+// Delete a contest together with its candidates or options
+app.delete('/api/contests/:id', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusByContest, 'Contests'), (req, res) => {
+    const { id } = req.params;
+
+    storage.contests.remove(id, (err, removed) => {
+        if (err) {
+            console.error('Error deleting contest:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Contest not found' });
+        }
+
+        writeAuditLog(req.admin.id, 'admin', 'DELETE_CONTEST', 'contest', { contest_id: Number(id) });
+
+        res.json({ message: 'Contest deleted successfully' });
+    });
+});
+
+// ============================================================================
+// Voter Registration API Routes
+// ============================================================================
+
+const VOTER_STATUSES = ['pending', 'verified', 'rejected', 'suspended'];
+
+// Only Ed25519 and secp256k1 keys can sign ballots; anything else is refused at registration
+function parseVoterPublicKey(publicKeyPem) {
+    if (!publicKeyPem) return null;
+    try {
+        const key = crypto.createPublicKey(publicKeyPem);
+        if (key.asymmetricKeyType === 'ed25519') return key;
+        if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'secp256k1') return key;
+        return null;
+    } catch (keyErr) {
+        return null;
+    }
+}
+
+// A voter's address is derived from their key, so nobody can register an address they don't hold the key for
+function voterAddressFromKey(key) {
+    const der = key.export({ type: 'spki', format: 'der' });
+    return '0x' + crypto.createHash('sha256').update(der).digest('hex').substring(0, 40);
+}
+
+// Self-register a voter with a public key. New registrations wait for admin approval.
+app.post('/api/voters/register', rateLimit('voter_register', byClientIp), (req, res) => {
+    const { public_key, registration_details } = req.body;
+
+    const key = parseVoterPublicKey(public_key);
+    if (!key) {
+        return res.status(400).json({ error: 'A PEM-encoded Ed25519 or secp256k1 public key is required' });
+    }
+
+    const voterAddress = voterAddressFromKey(key);
+    const publicKeyPem = key.export({ type: 'spki', format: 'pem' });
+
+    const voter = { voter_address: voterAddress, public_key: publicKeyPem, registration_details: JSON.stringify(registration_details || {}) };
+
+    storage.voters.create(voter, (err, voterId) => {
+        if (err && err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Public key is already registered', voter_address: voterAddress });
+        }
+        if (err) {
+            console.error('Error registering voter:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        writeAuditLog(null, 'voter', 'VOTER_REGISTERED', 'voter', { voter_id: voterId, voter_address: voterAddress }, (logErr) => {
+            if (logErr) console.error('Error logging voter registration:', logErr);
+        });
+
+        res.status(201).json({
+            message: 'Voter registered successfully',
+            id: voterId,
+            voter_address: voterAddress,
+            registration_status: 'pending'
+        });
+    });
+});
+
+// Check a voter's registration status
+app.get('/api/voters/:address', (req, res) => {
+    const { address } = req.params;
+
+    storage.voters.findByAddress(address, (err, voter) => {
+        if (err) {
+            console.error('Error fetching voter:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!voter) {
+            return res.status(404).json({ error: 'Voter not found' });
+        }
+
+        res.json({ voter_address: voter.voter_address, registration_status: voter.registration_status });
+    });
+});
+
+// List voters, optionally filtered by registration status
+app.get('/api/admin/voters', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const { status } = req.query;
+
+    if (status && !VOTER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid registration status' });
+    }
+
+    storage.voters.list({ status, limit, offset }, (err, results) => {
+        if (err) {
+            console.error('Error fetching voters:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(results);
+    });
+});
+
+// Approve, reject or suspend a voter
+app.patch('/api/admin/voters/:id', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const { registration_status, reason } = req.body;
+
+    if (!VOTER_STATUSES.includes(registration_status)) {
+        return res.status(400).json({ error: 'registration_status must be one of: ' + VOTER_STATUSES.join(', ') });
+    }
+
+    storage.voters.setStatus(id, registration_status, (err, updated) => {
+        if (err) {
+            console.error('Error updating voter:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Voter not found' });
+        }
+
+        const details = { voter_id: Number(id), registration_status, reason: reason || null };
+        writeAuditLog(req.admin.id, 'admin', 'UPDATE_VOTER_STATUS', 'voter', details, (logErr) => {
+            if (logErr) console.error('Error logging voter status change:', logErr);
+        });
+
+        res.json({ message: 'Voter updated successfully' });
+    });
+});
+
+// Get an election's eligibility roll
+app.get('/api/admin/elections/:id/eligibility', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+
+    storage.eligibility.list(id, (err, results) => {
+        if (err) {
+            console.error('Error fetching eligibility roll:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(results);
+    });
+});
+
+// Add voters to an election's eligibility roll by address
+app.post('/api/admin/elections/:id/eligibility', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const { voter_addresses } = req.body;
+
+    if (!Array.isArray(voter_addresses) || voter_addresses.length === 0) {
+        return res.status(400).json({ error: 'voter_addresses must be a non-empty array' });
+    }
+
+    // Re-adding a voter who is already on the roll is harmless and not counted
+    storage.eligibility.add(id, voter_addresses, (err, added) => {
+        if (err) {
+            console.error('Error updating eligibility roll:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const details = { election_id: Number(id), added, voter_addresses };
+        writeAuditLog(req.admin.id, 'admin', 'UPDATE_ELIGIBILITY', 'election', details, (logErr) => {
+            if (logErr) console.error('Error logging eligibility update:', logErr);
+        });
+
+        res.status(201).json({ message: 'Eligibility roll updated successfully', added });
+    });
+});
+
+// Remove a voter from an election's eligibility roll
+app.delete('/api/admin/elections/:id/eligibility/:voterId', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id, voterId } = req.params;
+
+    storage.eligibility.remove(id, voterId, (err, removed) => {
+        if (err) {
+            console.error('Error updating eligibility roll:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Voter is not on the eligibility roll' });
+        }
+
+        const details = { election_id: Number(id), removed_voter_id: Number(voterId) };
+        writeAuditLog(req.admin.id, 'admin', 'UPDATE_ELIGIBILITY', 'election', details, (logErr) => {
+            if (logErr) console.error('Error logging eligibility update:', logErr);
+        });
+
+        res.json({ message: 'Voter removed from eligibility roll' });
+    });
+});
+
+// ============================================================================
+// Bulk Import and Export
+// ============================================================================
+
+// Candidates and voter rolls load in bulk from CSV (a header row, then one row per record)
+// or JSON (an array of objects, or { "rows": [...] }), and export in the same shapes so a file
+// can round-trip. Every import is validated in full first; with ?dry_run=true only that report
+// comes back. Otherwise nothing is written unless every row is valid, and then all rows are
+// committed in one storage transaction and summarized in one audit entry.
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 10000;
+const CANDIDATE_EXPORT_COLUMNS = ['name', 'party', 'platform', 'biography', 'photo_url', 'contact_email', 'display_order', 'contest'];
+const VOTER_ROLL_EXPORT_COLUMNS = ['voter_address', 'public_key', 'registration_status', 'added_at'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// An import body's rows as { row, fields }, numbered from 1 after the CSV header, and the format
+// they came in. Blank CSV cells are left out of fields. Returns { error } if the body is unusable.
+function parseImportBody(body) {
+    if (typeof body === 'string') {
+        const records = parseCsv(body.replace(/^\uFEFF/, ''));
+        if (!records) return { error: 'CSV has an unterminated quoted field' };
+        if (records.length === 0) return { error: 'CSV is empty' };
+
+        const header = records[0].map(column => column.trim().toLowerCase());
+        const rows = [];
+        records.slice(1).forEach((record, k) => {
+            if (record.every(value => value.trim() === '')) return;
+            if (record.length > header.length) {
+                return rows.push({ row: k + 1, error: 'Row has more fields than the header' });
+            }
+            const fields = {};
+            header.forEach((column, c) => {
+                if (column && typeof record[c] !== 'undefined' && record[c].trim() !== '') fields[column] = record[c].trim();
+            });
+            rows.push({ row: k + 1, fields });
+        });
+        return { format: 'csv', rows };
+    }
+
+    const list = Array.isArray(body) ? body : body && Array.isArray(body.rows) ? body.rows : null;
+    if (!list) {
+        return { error: 'Send CSV as text/csv, or JSON as an array of rows or { "rows": [...] }' };
+    }
+    return {
+        format: 'json',
+        rows: list.map((fields, k) => fields && typeof fields === 'object' && !Array.isArray(fields)
+            ? { row: k + 1, fields }
+            : { row: k + 1, error: 'Row must be an object' })
+    };
+}
+
+// A row's text field, trimmed; null when absent or blank
+function importText(fields, column) {
+    const value = fields[column];
+    if (value === null || typeof value === 'undefined') return null;
+    return String(value).trim() || null;
+}
+
+// Sort candidate import rows into candidates to create, duplicates of an active candidate (skipped)
+// and errors. Names match case-insensitively within a contest; a name repeated in the file is an
+// error. When the election has contests each row names one by contest_id, or by its title in
+// `contest` so an export loads into another election.
+function planCandidateImport(rows, contests, existing) {
+    const plan = { create: [], duplicates: [], errors: [] };
+    const keyOf = (contestId, name) => `${contestId || ''}|${name.toLowerCase()}`;
+    const existingKeys = new Set(existing.map(c => keyOf(c.contest_id, String(c.name).trim())));
+    const seen = new Map();
+
+    rows.forEach(({ row, fields, error }) => {
+        const fail = (message, field) => plan.errors.push({ row, field: field || null, error: message });
+        if (error) return fail(error);
+
+        const name = importText(fields, 'name');
+        if (!name) return fail('name is required', 'name');
+        if (name.length > 255) return fail('name must be at most 255 characters', 'name');
+        const displayOrder = importText(fields, 'display_order');
+        if (displayOrder !== null && !/^-?\d+$/.test(displayOrder)) return fail('display_order must be an integer', 'display_order');
+        const email = importText(fields, 'contact_email');
+        if (email !== null && !/^[^@\s]+@[^@\s]+$/.test(email)) return fail('contact_email is not an email address', 'contact_email');
+
+        const contestRef = importText(fields, 'contest_id');
+        const contestTitle = importText(fields, 'contest');
+        let contestId = null;
+        if (contests.length > 0) {
+            if (contestRef === null && contestTitle === null) return fail('This election has contests; give contest_id or contest', 'contest');
+            const contest = contestRef !== null
+                ? contests.find(c => String(c.id) === contestRef)
+                : contests.find(c => c.title.toLowerCase() === contestTitle.toLowerCase());
+            if (!contest) return fail('Contest does not belong to election', contestRef !== null ? 'contest_id' : 'contest');
+            contestId = contest.id;
+        } else if (contestRef !== null || contestTitle !== null) {
+            return fail('This election has no contests', contestRef !== null ? 'contest_id' : 'contest');
+        }
+
+        const key = keyOf(contestId, name);
+        if (seen.has(key)) return fail(`Duplicate of row ${seen.get(key)}`, 'name');
+        seen.set(key, row);
+        if (existingKeys.has(key)) return plan.duplicates.push({ row, name, contest_id: contestId });
+
+        plan.create.push({
+            name,
+            party: importText(fields, 'party'),
+            platform: importText(fields, 'platform'),
+            biography: importText(fields, 'biography'),
+            photo_url: importText(fields, 'photo_url'),
+            contact_email: email,
+            display_order: displayOrder === null ? 0 : Number(displayOrder),
+            contest_id: contestId
+        });
+    });
+    return plan;
+}
+
+// The voter each roll row names: by public_key (the address is derived from it) or by
+// voter_address; with both, they must agree. Rows become { row, voter_address, public_key }
+// or { row, error }.
+function readVoterRollRows(rows) {
+    return rows.map(({ row, fields, error }) => {
+        if (error) return { row, error };
+
+        const address = importText(fields, 'voter_address');
+        const publicKeyPem = importText(fields, 'public_key');
+        if (publicKeyPem === null) {
+            return address === null ? { row, field: 'voter_address', error: 'voter_address or public_key is required' } : { row, voter_address: address, public_key: null };
+        }
+
+        const key = parseVoterPublicKey(publicKeyPem);
+        if (!key) return { row, field: 'public_key', error: 'public_key must be a PEM-encoded Ed25519 or secp256k1 public key' };
+        const derived = voterAddressFromKey(key);
+        if (address !== null && address.toLowerCase() !== derived) {
+            return { row, field: 'voter_address', error: 'voter_address does not match public_key' };
+        }
+        return { row, voter_address: derived, public_key: key.export({ type: 'spki', format: 'pem' }) };
+    });
+}
+
+// Sort voter roll rows into voters to add (registering new ones with newStatus), voters already
+// on the roll (skipped) and errors. A voter listed twice in the file is an error. Voters who
+// aren't verified, new pending ones included, are added but reported, since they can't vote in
+// a verified election until an admin approves them.
+function planVoterRollImport(entries, registered, roll, newStatus) {
+    const plan = { add: [], duplicates: [], unverified: [], errors: [] };
+    const voters = new Map(registered.map(v => [v.voter_address, v]));
+    const onRoll = new Set(roll.map(v => v.voter_address));
+    const seen = new Map();
+
+    entries.forEach(entry => {
+        const { row } = entry;
+        if (entry.error) return plan.errors.push({ row, field: entry.field || null, error: entry.error });
+
+        const address = entry.voter_address;
+        if (seen.has(address)) return plan.errors.push({ row, field: 'voter_address', error: `Duplicate of row ${seen.get(address)}` });
+        seen.set(address, row);
+
+        const voter = voters.get(address);
+        if (!voter && !entry.public_key) {
+            return plan.errors.push({ row, field: 'voter_address', error: 'Voter is not registered; give their public_key' });
+        }
+        if (onRoll.has(address)) return plan.duplicates.push({ row, voter_address: address });
+
+        const status = voter ? voter.registration_status : newStatus;
+        if (status !== 'verified') {
+            plan.unverified.push({ row, voter_address: address, registration_status: status });
+        }
+        plan.add.push(voter ? { voter_address: address } : {
+            voter_address: address,
+            public_key: entry.public_key,
+            registration_details: JSON.stringify({ source: 'import' }),
+            registration_status: newStatus
+        });
+    });
+    return plan;
+}
+
+// Reply to an import: the dry-run report, a 422 listing the invalid rows, or null to go ahead
+function importRejection(res, parsed, plan, summary, dryRun) {
+    const report = Object.assign({
+        dry_run: dryRun,
+        format: parsed.format,
+        total_rows: parsed.rows.length,
+        valid: plan.errors.length === 0
+    }, summary, { duplicates: plan.duplicates, errors: plan.errors });
+
+    if (dryRun) return res.json(report);
+    if (plan.errors.length > 0) {
+        return res.status(422).json(Object.assign({ error: 'Import has invalid rows; nothing was imported' }, report));
+    }
+    return null;
+}
+
+// Parse an import request's body, or reply 400/413 and return null
+function importRows(req, res) {
+    const parsed = parseImportBody(req.body);
+    if (parsed.error) {
+        res.status(400).json({ error: parsed.error });
+        return null;
+    }
+    if (parsed.rows.length > IMPORT_MAX_ROWS) {
+        res.status(413).json({ error: `Imports are limited to ${IMPORT_MAX_ROWS} rows` });
+        return null;
+    }
+    return parsed;
+}
+
+function sendExport(res, format, filename, columns, rows) {
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        return res.send(toCsv(columns, rows));
+    }
+    res.json(rows.map(row => {
+        const out = {};
+        columns.forEach(column => { out[column] = typeof row[column] === 'undefined' ? null : row[column]; });
+        return out;
+    }));
+}
+
+// Import candidates. Only while the election is a draft or scheduled, like adding them one by one.
+app.post('/api/admin/elections/:id/candidates/import', requireRole(ELECTION_MANAGERS), requireElectionEditable(electionStatusById), (req, res) => {
+    const { id } = req.params;
+    const dryRun = req.query.dry_run === 'true';
+
+    const parsed = importRows(req, res);
+    if (!parsed) return;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        storage.contests.listByElection(id, (err, contests) => {
+            if (err) {
+                console.error('Error fetching contests:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            storage.candidates.listByElection(id, {}, (err, existing) => {
+                if (err) {
+                    console.error('Error fetching candidates:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                const plan = planCandidateImport(parsed.rows, contests, existing);
+                if (importRejection(res, parsed, plan, { candidates: plan.create.length }, dryRun) !== null) return;
+
+                storage.candidates.createMany(id, plan.create, (err, ids) => {
+                    if (err) {
+                        console.error('Error importing candidates:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+
+                    writeAuditLog(req.admin.id, 'admin', 'IMPORT_CANDIDATES', 'election', {
+                        election_id: Number(id),
+                        format: parsed.format,
+                        sha256: requestDigest(req.body),
+                        rows: parsed.rows.length,
+                        created: ids.length,
+                        duplicates: plan.duplicates.length
+                    });
+
+                    res.status(201).json({
+                        message: 'Candidates imported successfully',
+                        format: parsed.format,
+                        total_rows: parsed.rows.length,
+                        created: ids.length,
+                        ids,
+                        duplicates: plan.duplicates
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Import voters onto an election's eligibility roll, registering those not yet known. They wait
+// for review as pending like self-registered voters, unless ?verify=true approves them at once;
+// either way the audit entry lists their addresses.
+app.post('/api/admin/elections/:id/voters/import', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const dryRun = req.query.dry_run === 'true';
+    const newStatus = req.query.verify === 'true' ? 'verified' : 'pending';
+
+    const parsed = importRows(req, res);
+    if (!parsed) return;
+    const entries = readVoterRollRows(parsed.rows);
+
+    storage.eligibility.list(id, (err, roll) => {
+        if (err) {
+            console.error('Error fetching eligibility roll:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const addresses = Array.from(new Set(entries.filter(e => e.voter_address).map(e => e.voter_address)));
+        storage.voters.listByAddresses(addresses, (err, registered) => {
+            if (err) {
+                console.error('Error fetching voters:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const plan = planVoterRollImport(entries, registered, roll, newStatus);
+            const registrations = plan.add.filter(v => v.public_key).map(v => v.voter_address);
+            const summary = {
+                voters: plan.add.length,
+                new_registrations: registrations.length,
+                new_registration_status: newStatus,
+                unverified: plan.unverified
+            };
+            if (importRejection(res, parsed, plan, summary, dryRun) !== null) return;
+
+            storage.eligibility.importRoll(id, plan.add, (err, outcome) => {
+                if (err && err.code === 'ER_DUP_ENTRY') {
+                    return res.status(409).json({ error: 'A voter in the file registered during the import; retry' });
+                }
+                if (err) {
+                    console.error('Error importing voter roll:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                if (!outcome) {
+                    return res.status(404).json({ error: 'Election not found' });
+                }
+
+                writeAuditLog(req.admin.id, 'admin', 'IMPORT_VOTER_ROLL', 'election', {
+                    election_id: Number(id),
+                    format: parsed.format,
+                    sha256: requestDigest(req.body),
+                    rows: parsed.rows.length,
+                    voters_created: outcome.voters_created,
+                    registration_status: newStatus,
+                    registered_addresses: registrations,
+                    added: outcome.added,
+                    duplicates: plan.duplicates.length
+                });
+
+                res.status(201).json({
+                    message: 'Voter roll imported successfully',
+                    format: parsed.format,
+                    total_rows: parsed.rows.length,
+                    added: outcome.added,
+                    voters_created: outcome.voters_created,
+                    registration_status: newStatus,
+                    duplicates: plan.duplicates,
+                    unverified: plan.unverified
+                });
+            });
+        });
+    });
+});
+
+// Export an election's active candidates as JSON or CSV, in the columns the import takes
+app.get('/api/admin/elections/:id/candidates/export', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        storage.contests.listByElection(id, (err, contests) => {
+            if (err) {
+                console.error('Error fetching contests:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            storage.candidates.listByElection(id, {}, (err, candidates) => {
+                if (err) {
+                    console.error('Error fetching candidates:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                const titles = new Map(contests.map(c => [Number(c.id), c.title]));
+                const rows = candidates.map(c => Object.assign({}, c, { contest: titles.get(Number(c.contest_id)) || null }));
+
+                writeAuditLog(req.admin.id, 'admin', 'EXPORT_CANDIDATES', 'election', { election_id: Number(id), format, rows: rows.length });
+                sendExport(res, format, `election-${election.id}-candidates`, CANDIDATE_EXPORT_COLUMNS, rows);
+            });
+        });
+    });
+});
+
+// Export an election's eligibility roll as JSON or CSV. Public keys are included so the roll
+// can be imported into another deployment.
+app.get('/api/admin/elections/:id/voters/export', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        storage.eligibility.list(id, (err, roll) => {
+            if (err) {
+                console.error('Error fetching eligibility roll:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'EXPORT_VOTER_ROLL', 'election', { election_id: Number(id), format, rows: roll.length });
+            sendExport(res, format, `election-${election.id}-voters`, VOTER_ROLL_EXPORT_COLUMNS, roll);
+        });
+    });
+});
+
+// ============================================================================
+// Voting API Routes
+// ============================================================================
+
+// Log a rejected vote attempt to audit_logs for traceability, then respond with the
+// structured error. The audit entry carries the election id (so turnout analytics can count
+// rejections per election), everything in the response body, and the submitted candidate
+// and voter address.
+function rejectVote(res, statusCode, body, submitted) {
+    const { error, ...outcome } = body;
+    const details = JSON.stringify(Object.assign({ election_id: Number(submitted.election_id) }, outcome, {
+        candidate_id: submitted.candidate_id || null,
+        voter_address: submitted.voter_address || null
+    }));
+
+    // user_id is an integer in the schema; we don't have a numeric user id for anonymous voters
+    // so pass NULL for user_id and keep the voter's public address inside details JSON.
+    writeAuditLog(null, 'voter', 'VOTE_REJECTED', 'election', details, (logErr) => {
+        if (logErr) console.error('Error logging rejected vote:', logErr);
+        res.status(statusCode).json(body);
+    });
+}
+
+// Supported voting methods and the legacy names stored on older elections
+const VOTING_METHODS = ['plurality', 'ranked_choice', 'approval', 'stv'];
+const VOTING_METHOD_ALIASES = {
+    single: 'plurality',
+    single_choice: 'plurality',
+    fptp: 'plurality',
+    ranked: 'ranked_choice',
+    irv: 'ranked_choice',
+    instant_runoff: 'ranked_choice',
+    single_transferable_vote: 'stv'
+};
+
+// Returns the canonical method name, 'plurality' for unset, or null if unknown
+function normalizeVotingMethod(method) {
+    if (!method) return 'plurality';
+    const key = String(method).toLowerCase();
+    if (VOTING_METHODS.includes(key)) return key;
+    return VOTING_METHOD_ALIASES[key] || null;
+}
+
+// Check a ballot's shape against the voting method. Plurality ballots name one
+// candidate_id; ranked_choice and stv ballots list `rankings` in preference order;
+// approval ballots list `approvals`. Returns an error message, or null if valid.
+function validateBallotSelections(method, candidates, selections) {
+    const { candidate_id, rankings, approvals, encrypted_ballot } = selections;
+    if (encrypted_ballot) return 'This election does not accept encrypted ballots';
+    const byId = new Map(candidates.map(c => [Number(c.id), c]));
+
+    const checkCandidate = (id) => {
+        const candidate = byId.get(Number(id));
+        if (!candidate) return 'Candidate does not belong to election';
+        if (!candidate.is_active) return 'Candidate is not active';
+        return null;
+    };
+
+    const checkList = (list, field) => {
+        if (!Array.isArray(list) || list.length === 0) return `${field} must be a non-empty array of candidate ids`;
+        if (new Set(list.map(Number)).size !== list.length) return `${field} must not repeat a candidate`;
+        for (const id of list) {
+            const error = checkCandidate(id);
+            if (error) return error;
+        }
+        return null;
+    };
+
+    if (method === 'plurality') {
+        if (!candidate_id || rankings || approvals) return 'Plurality ballots must select exactly one candidate_id';
+        return checkCandidate(candidate_id);
+    }
+    if (method === 'approval') {
+        if (candidate_id || rankings) return 'Approval ballots must list approved candidates in approvals';
+        return checkList(approvals, 'approvals');
+    }
+    if (method === 'ranked_choice' || method === 'stv') {
+        if (candidate_id || approvals) return 'Ranked ballots must list candidates in preference order in rankings';
+        return checkList(rankings, 'rankings');
+    }
+    return 'Election has an unsupported voting method';
+}
+
+// Validate voting_method and seats on election create/update. Instant-runoff always fills one seat.
+function validateVotingMethod(votingMethod, seats) {
+    const method = normalizeVotingMethod(votingMethod);
+    if (!method) {
+        return 'voting_method must be one of: ' + VOTING_METHODS.join(', ');
+    }
+    if (typeof seats !== 'undefined' && (!Number.isInteger(Number(seats)) || Number(seats) < 1)) {
+        return 'seats must be a positive integer';
+    }
+    if (method === 'ranked_choice' && Number(seats) > 1) {
+        return 'ranked_choice elections fill a single seat; use stv for multi-seat races';
+    }
+    return null;
+}
+
+// Elections can instead hold several contests (races and yes/no measures), each with its own
+// options, seats and voting method. One ballot then covers every contest: `contests` lists
+// { contest_id, <field> }, the field depending on the contest's method. Plurality contests are
+// vote-for-`seats`, so they take a list too.
+const CONTEST_TYPES = ['candidate', 'measure'];
+const MEASURE_OPTIONS = ['Yes', 'No'];
+const CONTEST_SELECTION_FIELDS = {
+    plurality: 'candidate_ids',
+    approval: 'approvals',
+    ranked_choice: 'rankings',
+    stv: 'rankings'
+};
+
+function contestSeats(contest) {
+    return Math.max(1, parseInt(contest.seats) || 1);
+}
+
+// Validate a contest's type, voting_method and seats on create/update. Measures are a single
+// plurality choice between their options. Returns an error message or null.
+function validateContestFields(type, votingMethod, seats) {
+    if (!CONTEST_TYPES.includes(type)) {
+        return 'type must be one of: ' + CONTEST_TYPES.join(', ');
+    }
+    const methodError = validateVotingMethod(votingMethod, seats);
+    if (methodError) return methodError;
+    if (type === 'measure' && (normalizeVotingMethod(votingMethod) !== 'plurality' || (parseInt(seats) || 1) !== 1)) {
+        return 'Measures are decided by plurality with a single outcome';
+    }
+    return null;
+}
+
+// The ballot's contest selections with ids as numbers, in the order the voter sent them.
+// This is both what the voter signs and what is stored.
+function normalizeContestBallot(contests) {
+    return contests.map(entry => {
+        const normalized = { contest_id: Number(entry.contest_id) };
+        Object.values(CONTEST_SELECTION_FIELDS).forEach(field => {
+            if (Array.isArray(entry[field])) normalized[field] = entry[field].map(Number);
+        });
+        return normalized;
+    });
+}
+
+// The ballot's selection list for one contest; empty when the voter skipped it
+function contestSelections(entries, contest) {
+    const entry = entries.find(e => Number(e.contest_id) === Number(contest.id));
+    return (entry && entry[CONTEST_SELECTION_FIELDS[normalizeVotingMethod(contest.voting_method)]]) || [];
+}
+
+// Check a multi-contest ballot against the election's contests and candidates. A contest left
+// off the ballot, or given an empty list, is an undervote and accepted; selecting more than a
+// plurality contest's seats is an overvote and refused, so the voter can correct it. Returns
+// null if valid, otherwise the 400 body listing every contest's problem.
+function validateContestBallot(electionContests, candidates, selections) {
+    const { contests, candidate_id, rankings, approvals, encrypted_ballot } = selections;
+    if (candidate_id || rankings || approvals || encrypted_ballot) {
+        return { error: 'This election\'s ballot lists its selections per contest in contests' };
+    }
+    if (!Array.isArray(contests) || contests.some(entry => !entry || typeof entry !== 'object')) {
+        return { error: 'contests must be an array of { contest_id, ... } selections' };
+    }
+
+    const byId = new Map(candidates.map(c => [Number(c.id), c]));
+    const seen = new Set();
+    const problems = [];
+    contests.forEach(entry => {
+        const contestId = Number(entry.contest_id);
+        const problem = (reason, error) => problems.push({ contest_id: entry.contest_id === undefined ? null : entry.contest_id, reason, error });
+
+        const contest = electionContests.find(c => Number(c.id) === contestId);
+        if (!contest) return problem('unknown_contest', 'Contest does not belong to election');
+        if (seen.has(contestId)) return problem('duplicate_contest', 'Contest appears more than once on the ballot');
+        seen.add(contestId);
+
+        const method = normalizeVotingMethod(contest.voting_method);
+        const field = CONTEST_SELECTION_FIELDS[method];
+        const stray = ['candidate_id'].concat(Object.values(CONTEST_SELECTION_FIELDS))
+            .find(key => key !== field && typeof entry[key] !== 'undefined');
+        if (stray) return problem('invalid_selection', `${method} contests take their selections in ${field}`);
+
+        const list = typeof entry[field] === 'undefined' ? [] : entry[field];
+        if (!Array.isArray(list)) return problem('invalid_selection', `${field} must be an array of candidate ids`);
+        if (new Set(list.map(Number)).size !== list.length) return problem('invalid_selection', `${field} must not repeat a candidate`);
+        if (method === 'plurality' && list.length > contestSeats(contest)) {
+            return problem('overvote', `At most ${contestSeats(contest)} may be selected in this contest`);
+        }
+
+        const invalid = list.find(id => {
+            const candidate = byId.get(Number(id));
+            return !candidate || !candidate.is_active || Number(candidate.contest_id) !== contestId;
+        });
+        if (typeof invalid !== 'undefined') return problem('invalid_selection', `Candidate ${invalid} is not an active option in this contest`);
+    });
+
+    return problems.length > 0 ? { error: 'Ballot has invalid contest selections', contests: problems } : null;
+}
+
+// Ids of the contests a valid ballot makes no selection in
+function undervotedContests(electionContests, contests) {
+    const entries = normalizeContestBallot(contests);
+    return electionContests.filter(contest => contestSelections(entries, contest).length === 0).map(contest => contest.id);
+}
+
+// The selections stored alongside the transaction and vote for non-plurality, multi-contest
+// and encrypted ballots
+function ballotSelections(ballot) {
+    if (ballot.encrypted_ballot) return { encrypted_ballot: normalizeEncryptedBallot(ballot.encrypted_ballot) };
+    if (ballot.contests) return { contests: normalizeContestBallot(ballot.contests) };
+    if (ballot.rankings) return { rankings: ballot.rankings.map(Number) };
+    if (ballot.approvals) return { approvals: ballot.approvals.map(Number) };
+    return undefined;
+}
+
+// The message a voter signs: the ballot itself, serialized canonically so the client
+// and server agree byte-for-byte regardless of key order. Only the selection field the
+// election's voting method uses is present; encrypted ballots are signed with their proofs.
+function ballotSigningPayload(ballot) {
+    return canonicalJson({
+        election_id: Number(ballot.election_id),
+        candidate_id: ballot.candidate_id ? Number(ballot.candidate_id) : undefined,
+        rankings: ballot.rankings ? ballot.rankings.map(Number) : undefined,
+        approvals: ballot.approvals ? ballot.approvals.map(Number) : undefined,
+        contests: ballot.contests ? normalizeContestBallot(ballot.contests) : undefined,
+        encrypted_ballot: ballot.encrypted_ballot,
+        vote_data: ballot.vote_data
+    });
+}
+
+// Signatures are accepted as base64, or as hex with a '0x' prefix
+function decodeSignature(signature) {
+    if (typeof signature !== 'string') return null;
+    if (/^0x([0-9a-f]{2})+$/i.test(signature)) {
+        return Buffer.from(signature.slice(2), 'hex');
+    }
+    if (/^[A-Za-z0-9+/]+={0,2}$/.test(signature)) {
+        return Buffer.from(signature, 'base64');
+    }
+    return null;
+}
+
+// Verify a ballot signature against a voter's PEM public key. Ed25519 keys sign the
+// payload directly; secp256k1 keys sign its SHA-256 digest (DER or raw r||s encoding).
+function verifyBallotSignature(publicKeyPem, ballot, signature) {
+    const signatureBytes = decodeSignature(signature);
+    if (!signatureBytes || !publicKeyPem) return false;
+
+    const key = parseVoterPublicKey(publicKeyPem);
+    if (!key) return false;
+
+    try {
+        const payload = Buffer.from(ballotSigningPayload(ballot));
+
+        if (key.asymmetricKeyType === 'ed25519') {
+            return crypto.verify(null, payload, key, signatureBytes);
+        }
+        const dsaEncoding = signatureBytes.length === 64 ? 'ieee-p1363' : 'der';
+        return crypto.verify('sha256', payload, { key, dsaEncoding }, signatureBytes);
+    } catch (verifyErr) {
+        // Malformed keys or signatures are simply invalid
+        return false;
+    }
+}
+
+// Nullifiers are stable for a voter within one election but unlinkable across elections,
+// since they are keyed by a server secret and the election id. The development default is
+// public, so anyone could link a voter's ballots with it; in production the server refuses to
+// start without a secret (see the startup below).
+const NULLIFIER_SECRET = process.env.NULLIFIER_SECRET || 'blockvote-dev-nullifier-secret';
+if (!process.env.NULLIFIER_SECRET && process.env.NODE_ENV !== 'production') {
+    console.warn('NULLIFIER_SECRET is not set; using the development default. Set it before running a real election.');
+}
+
+function voteNullifier(electionId, voterAddress) {
+    return crypto.createHmac('sha256', NULLIFIER_SECRET).update(`${Number(electionId)}:${voterAddress}`).digest('hex');
+}
+
+// Idempotency-Key support for POST /api/vote. A client that retries a submission (after a
+// timeout, say) with the same key gets the original receipt back instead of a new ballot.
+// Keys are scoped to the voter address and stored with the request's digest, so reusing a
+// key for a different ballot is refused rather than silently replayed.
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+function requestDigest(body) {
+    return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+}
+
+// Respond from a stored idempotency record, or refuse if the key was used for another request
+function replayIdempotentVote(res, idempotency, stored) {
+    if (stored.request_hash !== idempotency.request_hash) {
+        return res.status(422).json({
+            error: 'Idempotency-Key was already used for a different vote submission',
+            reason: 'idempotency_key_mismatch'
+        });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    res.json(typeof stored.response === 'string' ? JSON.parse(stored.response) : stored.response);
+}
+
+// Middleware: validate the Idempotency-Key header and short-circuit retries of a vote that
+// was already recorded. Sets req.idempotency for recordVote when the key is new.
+function voteIdempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters` });
+    }
+    const voterAddress = req.body && req.body.voter_address;
+    if (!voterAddress) return next();
+
+    const idempotency = { voter_address: voterAddress, key, request_hash: requestDigest(req.body) };
+    storage.votes.findIdempotent(voterAddress, key, (err, stored) => {
+        if (err) {
+            console.error('Error checking idempotency key:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (stored) return replayIdempotentVote(res, idempotency, stored);
+
+        req.idempotency = idempotency;
+        next();
+    });
+}
+
+// Record the ballot in one storage transaction: claim the voter's nullifier, write the pending
+// ledger transaction and its vote record, supersede an earlier ballot on a revote, and store the
+// receipt against the idempotency key. If any step fails nothing is kept, so the voter can
+// simply retry. The nullifier's primary key stops concurrent submissions from both succeeding;
+// elections with allow_revoting accept a new ballot that supersedes the earlier one.
+function recordVote(res, election, ballot, idempotency) {
+    const { election_id, voter_address, vote_data, signature } = ballot;
+
+    // candidate_id holds the first choice for ranked and approval ballots, and is left empty
+    // for encrypted and multi-contest ones; the full selections live in the ballot column.
+    const selections = ballotSelections(ballot);
+    const candidate_id = ballot.encrypted_ballot || ballot.contests
+        ? null
+        : Number(ballot.candidate_id || (ballot.rankings || ballot.approvals)[0]);
+    const ballotJson = selections ? JSON.stringify(selections) : null;
+
+    // Create blockchain transaction. The hash is a digest of the signed payload;
+    // the transaction stays pending until the block producer seals it into a block.
+    const transactionHash = hashTransaction({ election_id, candidate_id, voter_address, vote_data, signature, ballot: selections });
+    const voterHash = crypto.createHash('sha256').update(voter_address + Date.now()).digest('hex').substring(0, 12);
+
+    const submission = {
+        transaction: {
+            transaction_hash: transactionHash, election_id, voter_address, candidate_id,
+            vote_data: JSON.stringify(vote_data), signature, ballot: ballotJson
+        },
+        vote: {
+            election_id, candidate_id, ballot: ballotJson,
+            voter_id: 'ANON_' + voterHash, nullifier: voteNullifier(election_id, voter_address)
+        },
+        allow_revoting: Boolean(election.allow_revoting),
+        idempotency: idempotency || null,
+        // The response body, stored with the idempotency key so retries get the same receipt
+        respond: (outcome) => ({
+            success: true,
+            transaction_hash: transactionHash,
+            message: 'Vote submitted successfully',
+            receipt: {
+                transaction_id: outcome.transaction_id,
+                transactionHash: transactionHash,
+                status: 'pending',
+                timestamp: new Date().toISOString(),
+                election_id: election_id,
+                verification_code: voterHash,
+                supersedes_previous: outcome.is_revote,
+                undervoted_contests: ballot.undervoted_contests
+            }
+        })
+    };
+
+    // In peer mode the voter's ballot may already be pending on another node
+    if (!election.allow_revoting && peerMempoolHolds(election_id, submission.vote.nullifier)) {
+        return rejectVote(res, 409, { error: 'Voter has already voted in this election', reason: 'already_voted' },
+            { election_id, candidate_id: ballot.candidate_id, voter_address });
+    }
+
+    storage.votes.record(submission, (err, outcome) => {
+        if (err && err.code === 'ER_DUP_ENTRY') {
+            // Identical signed payload already on the ledger: this is a replay
+            return res.status(409).json({ error: 'Duplicate vote transaction', transaction_hash: transactionHash });
+        }
+        if (err) {
+            console.error('Error recording vote:', err);
+            console.error('Attempted transactionHash length:', transactionHash.length, 'value:', transactionHash);
+            // Log transaction failure to audit_logs for investigation
+            try {
+                const details = JSON.stringify({
+                    error: err.sqlMessage || err.message,
+                    code: err.code,
+                    election_id,
+                    candidate_id,
+                    voter_address,
+                    transactionHash,
+                    transactionHashLength: transactionHash.length,
+                    vote_data_sample: typeof vote_data === 'object' ? JSON.stringify(vote_data).slice(0, 1000) : String(vote_data),
+                    timestamp: new Date().toISOString()
+                });
+                writeAuditLog(null, 'system', 'TRANSACTION_FAILED', 'blockchain_transaction', details, (logErr) => {
+                    if (logErr) console.error('Error logging transaction failure:', logErr);
+                    // If error indicates data too long, return a clearer message for the client
+                    if (err && err.code === 'ER_DATA_TOO_LONG') {
+                        return res.status(500).json({ error: 'Transaction creation failed', detail: 'Data too long for a column (likely vote_data or signature).' });
+                    }
+
+                    // respond with more detailed message for debugging
+                    return res.status(500).json({ error: 'Transaction creation failed', detail: err.sqlMessage || err.message });
+                });
+            } catch (le) {
+                console.error('Error while logging transaction failure:', le);
+                return res.status(500).json({ error: 'Transaction creation failed' });
+            }
+            return;
+        }
+
+        if (outcome.status === 'already_voted') {
+            return rejectVote(res, 409, { error: 'Voter has already voted in this election', reason: 'already_voted' },
+                { election_id, candidate_id: ballot.candidate_id, voter_address });
+        }
+
+        if (outcome.status === 'key_taken') {
+            // A concurrent request with the same key committed first; answer as its retry
+            return storage.votes.findIdempotent(idempotency.voter_address, idempotency.key, (err, stored) => {
+                if (err || !stored) {
+                    if (err) console.error('Error reading idempotency key:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                replayIdempotentVote(res, idempotency, stored);
+            });
+        }
+
+        markTurnoutChanged(election_id);
+
+        console.log('Vote recorded successfully:', { transactionHash, receipt: outcome.response.receipt });
+        res.json(outcome.response);
+    });
+}
+
+// Submit vote
+app.post('/api/vote', rateLimit('vote', byClientIp), rateLimit('vote_voter', byVoterAddress), voteIdempotency, (req, res) => {
+    const { election_id, candidate_id, rankings, approvals, contests, encrypted_ballot, voter_address, vote_data, signature } = req.body;
+
+    if (!election_id || !voter_address || !vote_data || !signature) {
+        return res.status(400).json({ error: 'Missing required voting data' });
+    }
+
+    // Check if election is active
+    storage.elections.findById(election_id, (err, election) => {
+        if (err) {
+            console.error('Error checking election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        const now = new Date();
+
+        let reason = null;
+        const startDate = new Date(election.start_date);
+        const endDate = new Date(election.end_date);
+        if (now < startDate) {
+            reason = 'not_started';
+        } else if (now > endDate) {
+            reason = 'ended';
+        } else if (election.status !== 'active') {
+            reason = 'inactive';
+        }
+
+        if (reason) {
+            return rejectVote(res, 400, {
+                error: 'Election is not currently accepting votes',
+                reason,
+                status: election.status,
+                start_date: election.start_date,
+                end_date: election.end_date,
+                now: now.toISOString()
+            }, { election_id, candidate_id, voter_address });
+        }
+
+        // Verify the ballot's selections match the election's voting method (or, for an election
+        // with contests, each contest's) and only name active candidates of this election
+        storage.candidates.listByElection(election_id, { includeInactive: true }, (candErr, candResults) => {
+            if (candErr) {
+                console.error('Error checking candidate:', candErr);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            storage.contests.listByElection(election_id, (contestErr, electionContests) => {
+                if (contestErr) {
+                    console.error('Error checking contests:', contestErr);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                if (electionContests.length > 0) {
+                    const contestError = validateContestBallot(electionContests, candResults, req.body);
+                    if (contestError) {
+                        return res.status(400).json(contestError);
+                    }
+                } else if (contests) {
+                    return res.status(400).json({ error: 'This election has no contests' });
+                } else {
+                    // Encrypted ballots are checked by their zero-knowledge proofs instead
+                    const ballotError = election.ballot_encryption === 'elgamal'
+                        ? validateEncryptedBallot(election, candResults, req.body)
+                        : validateBallotSelections(normalizeVotingMethod(election.voting_method), candResults,
+                            { candidate_id, rankings, approvals, encrypted_ballot });
+                    if (ballotError) {
+                        return res.status(400).json({ error: ballotError, voting_method: normalizeVotingMethod(election.voting_method) });
+                    }
+                }
+
+                // Verify the ballot was signed by the key registered for this voter address
+                storage.voters.findByAddress(voter_address, (voterErr, voter) => {
+                    if (voterErr) {
+                        console.error('Error checking voter:', voterErr);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+
+                    if (!voter) {
+                        return rejectVote(res, 401, { error: 'Voter address is not registered', reason: 'unknown_voter' },
+                            { election_id, candidate_id, voter_address });
+                    }
+
+                    const signed = { election_id, candidate_id, rankings, approvals, contests, encrypted_ballot, vote_data };
+                    if (!verifyBallotSignature(voter.public_key, signed, signature)) {
+                        return rejectVote(res, 401, { error: 'Vote signature verification failed', reason: 'invalid_signature' },
+                            { election_id, candidate_id, voter_address });
+                    }
+
+                    const ballot = { election_id, candidate_id, rankings, approvals, contests, encrypted_ballot, voter_address, vote_data, signature };
+                    if (electionContests.length > 0) {
+                        ballot.undervoted_contests = undervotedContests(electionContests, contests);
+                    }
+                    if (!election.requires_verification) {
+                        return recordVote(res, election, ballot, req.idempotency);
+                    }
+
+                    // Verified elections only accept approved voters who are on the election's roll
+                    if (voter.registration_status !== 'verified') {
+                        return rejectVote(res, 403, {
+                            error: 'Voter registration is not verified',
+                            reason: 'voter_not_verified',
+                            registration_status: voter.registration_status
+                        }, { election_id, candidate_id, voter_address });
+                    }
+
+                    storage.eligibility.includes(election_id, voter.id, (rollErr, eligible) => {
+                        if (rollErr) {
+                            console.error('Error checking eligibility roll:', rollErr);
+                            return res.status(500).json({ error: 'Database error' });
+                        }
+
+                        if (!eligible) {
+                            return rejectVote(res, 403, { error: 'Voter is not eligible for this election', reason: 'not_eligible' },
+                                { election_id, candidate_id, voter_address });
+                        }
+
+                        recordVote(res, election, ballot, req.idempotency);
+                    });
+                });
+            });
+        });
+    });
+});
+
+// ============================================================================
+// Receipts API Routes
+// ============================================================================
+
+// Look up a vote receipt by transaction hash or verification code. Confirms the ballot was
+// recorded and, once sealed, returns its block and a Merkle inclusion proof that can be
+// checked against the block's merkle_root without trusting the server. Never reveals the
+// ballot's selections or the voter address.
+app.get('/api/receipts/:receipt', (req, res) => {
+    const { receipt } = req.params;
+
+    const byHash = /^0x[0-9a-f]{62}$/i.test(receipt);
+    const key = byHash ? { transaction_hash: receipt.toLowerCase() } : { voter_id: 'ANON_' + receipt };
+
+    storage.transactions.findReceipt(key, (err, tx) => {
+        if (err) {
+            console.error('Error fetching receipt:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!tx) {
+            return res.status(404).json({ error: 'Receipt not found', recorded: false });
+        }
+
+        const response = {
+            recorded: true,
+            transaction_hash: tx.transaction_hash,
+            election_id: tx.election_id,
+            status: tx.status,
+            // Superseded ballots (after a revote) stay on the ledger but are no longer counted
+            counted: tx.verification_status === 'verified',
+            submitted_at: tx.timestamp,
+            block: null,
+            merkle_proof: null
+        };
+
+        if (tx.block_number === null || typeof tx.block_number === 'undefined') {
+            return res.json(response);
+        }
+
+        storage.blocks.findByNumber(tx.block_number, (err, block) => {
+            if (err) {
+                console.error('Error fetching receipt block:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!block) {
+                return res.status(500).json({ error: 'Transaction references a missing block', block_number: tx.block_number });
+            }
+
+            storage.transactions.listHashesInBlock(tx.block_number, (err, hashes) => {
+                if (err) {
+                    console.error('Error fetching receipt block transactions:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                const proof = merkleProof(hashes, hashes.indexOf(tx.transaction_hash));
+
+                response.block = block;
+                response.merkle_proof = {
+                    leaf: tx.transaction_hash,
+                    leaf_index: hashes.indexOf(tx.transaction_hash),
+                    siblings: proof,
+                    root: block.merkle_root,
+                    valid: verifyMerkleProof(tx.transaction_hash, proof, block.merkle_root)
+                };
+                res.json(response);
+            });
+        });
+    });
+});
+
+// ============================================================================
+// Tallying
+// ============================================================================
+
+// Vote totals in STV rounds carry fractional transfer weights; round them for display only
+function roundVotes(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function talliesList(candidateIds, totals) {
+    return candidateIds.map(id => ({ candidate_id: id, votes: roundVotes(totals.get(id) || 0) }));
+}
+
+// Pick the candidate to eliminate among those with the fewest votes. Ties go to the one
+// with fewer first preferences, then to the higher candidate id, so the result is deterministic.
+function pickElimination(hopeful, totals, firstPreferences) {
+    return hopeful.slice().sort((a, b) =>
+        (totals.get(a) || 0) - (totals.get(b) || 0) ||
+        (firstPreferences.get(a) || 0) - (firstPreferences.get(b) || 0) ||
+        b - a
+    )[0];
+}
+
+function countFirstPreferences(ballots) {
+    const counts = new Map();
+    ballots.forEach(ranking => {
+        if (ranking.length > 0) counts.set(ranking[0], (counts.get(ranking[0]) || 0) + 1);
+    });
+    return counts;
+}
+
+// Approval voting: each approval is one vote; the top `seats` candidates win
+function tallyApproval(candidateIds, ballots, seats) {
+    const totals = new Map();
+    ballots.forEach(approvals => approvals.forEach(id => totals.set(id, (totals.get(id) || 0) + 1)));
+    return approvalOutcome(candidateIds, totals, seats);
+}
+
+// Winners from per-candidate approval totals; also used for decrypted encrypted-ballot totals
+function approvalOutcome(candidateIds, totals, seats) {
+    const ranked = candidateIds.slice().sort((a, b) => (totals.get(b) || 0) - (totals.get(a) || 0) || a - b);
+    const cutoff = totals.get(ranked[seats - 1]) || 0;
+    // Only a tie between the last winner and the first runner-up leaves the seats undecided
+    const tiedAtCutoff = ranked.length > seats && (totals.get(ranked[seats]) || 0) === cutoff;
+
+    return {
+        winners: ranked.slice(0, seats),
+        tie_at_cutoff: tiedAtCutoff,
+        tallies: talliesList(ranked, totals)
+    };
+}
+
+// Instant-runoff: count each ballot for its highest-ranked continuing candidate; if nobody
+// has a majority of continuing ballots, eliminate the last-placed candidate and recount.
+function tallyInstantRunoff(candidateIds, ballots) {
+    const firstPreferences = countFirstPreferences(ballots);
+    let hopeful = candidateIds.slice();
+    const rounds = [];
+
+    while (hopeful.length > 0) {
+        const totals = new Map();
+        let exhausted = 0;
+        ballots.forEach(ranking => {
+            const choice = ranking.find(id => hopeful.includes(id));
+            if (choice === undefined) exhausted++;
+            else totals.set(choice, (totals.get(choice) || 0) + 1);
+        });
+
+        const continuing = ballots.length - exhausted;
+        const leader = hopeful.slice().sort((a, b) => (totals.get(b) || 0) - (totals.get(a) || 0) || a - b)[0];
+        const round = {
+            round: rounds.length + 1,
+            tallies: talliesList(hopeful, totals),
+            continuing_ballots: continuing,
+            exhausted_ballots: exhausted,
+            elected: null,
+            eliminated: null
+        };
+        rounds.push(round);
+
+        if ((totals.get(leader) || 0) * 2 > continuing || hopeful.length === 1) {
+            round.elected = leader;
+            return { winners: [leader], rounds };
+        }
+        if (continuing === 0) {
+            return { winners: [], rounds };
+        }
+
+        round.eliminated = pickElimination(hopeful, totals, firstPreferences);
+        hopeful = hopeful.filter(id => id !== round.eliminated);
+    }
+
+    return { winners: [], rounds };
+}
+
+// Single transferable vote with a Droop quota and weighted inclusive Gregory transfers:
+// an elected candidate's surplus passes on by reducing the weight of every ballot in
+// their pile; an eliminated candidate's ballots pass on at their current weight.
+function tallySingleTransferableVote(candidateIds, ballots, seats) {
+    const firstPreferences = countFirstPreferences(ballots);
+    const papers = ballots.filter(ranking => ranking.length > 0).map(ranking => ({ ranking, weight: 1 }));
+    const quota = Math.floor(papers.length / (seats + 1)) + 1;
+
+    let hopeful = candidateIds.slice();
+    const elected = [];
+    const rounds = [];
+
+    while (elected.length < seats && hopeful.length > 0) {
+        const totals = new Map();
+        const piles = new Map();
+        let exhausted = 0;
+        papers.forEach(paper => {
+            const choice = paper.ranking.find(id => hopeful.includes(id));
+            if (choice === undefined) {
+                exhausted += paper.weight;
+                return;
+            }
+            totals.set(choice, (totals.get(choice) || 0) + paper.weight);
+            if (!piles.has(choice)) piles.set(choice, []);
+            piles.get(choice).push(paper);
+        });
+
+        const byVotes = hopeful.slice().sort((a, b) => (totals.get(b) || 0) - (totals.get(a) || 0) || a - b);
+        const round = {
+            round: rounds.length + 1,
+            quota,
+            tallies: talliesList(hopeful, totals),
+            exhausted_votes: roundVotes(exhausted),
+            elected: [],
+            eliminated: null,
+            transfer: null
+        };
+        rounds.push(round);
+
+        // Remaining seats can be filled by every continuing candidate
+        if (elected.length + hopeful.length <= seats) {
+            round.elected = byVotes;
+            elected.push(...byVotes);
+            break;
+        }
+
+        const top = byVotes[0];
+        const topVotes = totals.get(top) || 0;
+        if (topVotes >= quota) {
+            const surplus = topVotes - quota;
+            const factor = topVotes > 0 ? surplus / topVotes : 0;
+            (piles.get(top) || []).forEach(paper => { paper.weight *= factor; });
+
+            round.elected = [top];
+            round.transfer = { from: top, type: 'surplus', votes: roundVotes(surplus), transfer_value: roundVotes(factor) };
+            elected.push(top);
+            hopeful = hopeful.filter(id => id !== top);
+            continue;
+        }
+
+        const eliminated = pickElimination(hopeful, totals, firstPreferences);
+        round.eliminated = eliminated;
+        round.transfer = { from: eliminated, type: 'elimination', votes: roundVotes(totals.get(eliminated) || 0), transfer_value: 1 };
+        hopeful = hopeful.filter(id => id !== eliminated);
+    }
+
+    return { winners: elected, quota, rounds };
+}
+
+// Tally ranked, approval or STV ballots. `votes` are verified vote rows with a ballot column.
+function tallyElection(election, candidates, votes) {
+    const ballots = votes.map(vote => {
+        const selections = parseVoteData(vote.ballot) || {};
+        return selections.rankings || selections.approvals || [vote.candidate_id];
+    });
+    return tallyBallots(election.voting_method, election.seats, candidates, ballots);
+}
+
+// Count ballots, each a list of candidate ids, for `seats` winners among the candidates.
+// Vote-for-N plurality ballots (from contests) are counted like approval ballots.
+function tallyBallots(votingMethod, seatCount, candidates, selections) {
+    const method = normalizeVotingMethod(votingMethod);
+    const seats = Math.max(1, parseInt(seatCount) || 1);
+    const candidateIds = candidates.map(c => Number(c.id));
+    const activeIds = new Set(candidateIds);
+
+    // Preferences for candidates that were later withdrawn are skipped, as if unmarked
+    const ballots = selections.map(list => list.map(Number).filter(id => activeIds.has(id)));
+
+    let outcome;
+    if (method === 'approval' || method === 'plurality') {
+        outcome = tallyApproval(candidateIds, ballots, seats);
+    } else if (method === 'stv') {
+        outcome = tallySingleTransferableVote(candidateIds, ballots, seats);
+    } else {
+        outcome = tallyInstantRunoff(candidateIds, ballots);
+    }
+
+    const firstPreferences = countFirstPreferences(ballots);
+    return Object.assign({
+        voting_method: method,
+        seats: method === 'ranked_choice' ? 1 : seats,
+        total_ballots: ballots.length,
+        candidates: candidates.map(c => ({
+            id: c.id,
+            name: c.name,
+            party: c.party,
+            photo_url: c.photo_url,
+            first_preferences: method === 'approval' || method === 'plurality' ? undefined : (firstPreferences.get(Number(c.id)) || 0),
+            elected: outcome.winners.includes(Number(c.id))
+        }))
+    }, outcome);
+}
+
+// Results for an election with contests: each contest is counted on its own, over the ballots
+// that made a selection in it, with the ballots that skipped it reported as undervotes.
+// `candidates` are the election's active candidates, with their contest_id.
+function tallyContests(contests, candidates, votes) {
+    const ballots = votes.map(vote => (parseVoteData(vote.ballot) || {}).contests || []);
+
+    return {
+        total_ballots: votes.length,
+        contests: contests.map(contest => {
+            const selections = ballots.map(entries => contestSelections(entries, contest)).filter(list => list.length > 0);
+            const options = candidates.filter(c => Number(c.contest_id) === Number(contest.id));
+            return Object.assign({
+                contest_id: contest.id,
+                title: contest.title,
+                type: contest.type,
+                undervotes: votes.length - selections.length
+            }, tallyBallots(contest.voting_method, contest.seats, options, selections));
+        })
+    };
+}
+
+// ============================================================================
+// Encrypted Ballots
+// ============================================================================
+
+// Elections with ballot_encryption = 'elgamal' take ballots encrypted client-side with
+// exponential ElGamal on secp256k1: one ciphertext (a, b) = (rG, mG + rH) per candidate under
+// the election key H, with m = 1 for a selected candidate and 0 otherwise. Each ciphertext
+// carries a proof that m is 0 or 1, and plurality ballots a proof that the m's sum to 1, so the
+// server can reject malformed ballots without learning their content. After close the
+// ciphertexts are summed per candidate; trustees holding Shamir shares of the election secret
+// submit partial decryptions of the sums, and any `threshold` of them reveal the totals.
+// Points travel as compressed SEC1 hex, scalars as hex. Proofs are Chaum-Pedersen proofs made
+// non-interactive with a SHA-256 challenge (see proofChallenge).
+const ENCRYPTED_VOTING_METHODS = ['plurality', 'approval'];
+
+const EC_P = 2n ** 256n - 2n ** 32n - 977n;
+const EC_N = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
+const EC_G = [
+    BigInt('0x79BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798'),
+    BigInt('0x483ADA7726A3C4655DA4FBFC0E1108A8FD17B448A68554199C47D08FFB10D4B8'),
+    1n
+];
+const EC_INFINITY = [0n, 1n, 0n];
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % modulus;
+        base = base * base % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+function ecMod(value, modulus = EC_P) {
+    const result = value % modulus;
+    return result < 0n ? result + modulus : result;
+}
+
+// Points are kept in Jacobian coordinates [X, Y, Z] (x = X/Z^2, y = Y/Z^3) so additions
+// don't need a modular inverse each
+function ecDouble([X, Y, Z]) {
+    if (Z === 0n || Y === 0n) return EC_INFINITY;
+    const A = ecMod(X * X), B = ecMod(Y * Y), C = ecMod(B * B);
+    const D = ecMod(2n * (ecMod((X + B) * (X + B)) - A - C));
+    const E = ecMod(3n * A), F = ecMod(E * E);
+    const X3 = ecMod(F - 2n * D);
+    return [X3, ecMod(E * (D - X3) - 8n * C), ecMod(2n * Y * Z)];
+}
+
+function ecAdd(p1, p2) {
+    if (p1[2] === 0n) return p2;
+    if (p2[2] === 0n) return p1;
+    const [X1, Y1, Z1] = p1, [X2, Y2, Z2] = p2;
+    const Z1Z1 = ecMod(Z1 * Z1), Z2Z2 = ecMod(Z2 * Z2);
+    const U1 = ecMod(X1 * Z2Z2), U2 = ecMod(X2 * Z1Z1);
+    const S1 = ecMod(Y1 * Z2 * Z2Z2), S2 = ecMod(Y2 * Z1 * Z1Z1);
+    const H = ecMod(U2 - U1), r = ecMod(S2 - S1);
+    if (H === 0n) return r === 0n ? ecDouble(p1) : EC_INFINITY;
+    const HH = ecMod(H * H), HHH = ecMod(H * HH), V = ecMod(U1 * HH);
+    const X3 = ecMod(r * r - HHH - 2n * V);
+    return [X3, ecMod(r * (V - X3) - S1 * HHH), ecMod(Z1 * Z2 * H)];
+}
+
+function ecNegate([X, Y, Z]) {
+    return [X, ecMod(-Y), Z];
+}
+
+function ecMultiply(point, scalar) {
+    const k = ecMod(scalar, EC_N);
+    let result = EC_INFINITY;
+    for (let bit = BigInt(k.toString(2).length) - 1n; bit >= 0n; bit--) {
+        result = ecDouble(result);
+        if ((k >> bit) & 1n) result = ecAdd(result, point);
+    }
+    return result;
+}
+
+function ecEquals(p1, p2) {
+    if (p1[2] === 0n || p2[2] === 0n) return p1[2] === p2[2];
+    const Z1Z1 = ecMod(p1[2] * p1[2]), Z2Z2 = ecMod(p2[2] * p2[2]);
+    return ecMod(p1[0] * Z2Z2) === ecMod(p2[0] * Z1Z1) &&
+        ecMod(p1[1] * Z2Z2 * p2[2]) === ecMod(p2[1] * Z1Z1 * p1[2]);
+}
+
+function ecAffine(point) {
+    const zInverse = modPow(point[2], EC_P - 2n, EC_P);
+    const zz = ecMod(zInverse * zInverse);
+    return [ecMod(point[0] * zz), ecMod(point[1] * zz * zInverse), 1n];
+}
+
+function encodePoint(point) {
+    if (point[2] === 0n) return '00';
+    const [x, y] = ecAffine(point);
+    return (y & 1n ? '03' : '02') + x.toString(16).padStart(64, '0');
+}
+
+// Parse a SEC1 point (compressed or not). OpenSSL checks it lies on the curve. Null if invalid.
+function decodePoint(hex) {
+    if (typeof hex !== 'string' || !/^(0[23][0-9a-f]{64}|04[0-9a-f]{128})$/i.test(hex)) return null;
+    try {
+        const uncompressed = crypto.ECDH.convertKey(hex, 'secp256k1', 'hex', 'hex', 'uncompressed');
+        return [BigInt('0x' + uncompressed.slice(2, 66)), BigInt('0x' + uncompressed.slice(66)), 1n];
+    } catch (convertErr) {
+        return null;
+    }
+}
+
+function decodeScalar(hex) {
+    if (typeof hex !== 'string' || !/^(0x)?[0-9a-f]{1,64}$/i.test(hex)) return null;
+    const value = BigInt(hex.startsWith('0x') ? hex : '0x' + hex);
+    return value < EC_N ? value : null;
+}
+
+// Fiat-Shamir challenge: SHA-256 over 'blockvote|<label>|<part>|...' reduced mod n, where points
+// are written as compressed hex and everything else as a string
+function proofChallenge(label, ...parts) {
+    const message = ['blockvote', label].concat(parts.map(part => Array.isArray(part) ? encodePoint(part) : String(part))).join('|');
+    return ecMod(BigInt('0x' + crypto.createHash('sha256').update(message).digest('hex')), EC_N);
+}
+
+// Chaum-Pedersen check that log_g1(h1) = log_g2(h2), given commitments u, v, challenge c and response z
+function verifyEqualLogs(g1, h1, g2, h2, u, v, c, z) {
+    return ecEquals(ecMultiply(g1, z), ecAdd(u, ecMultiply(h1, c))) &&
+        ecEquals(ecMultiply(g2, z), ecAdd(v, ecMultiply(h2, c)));
+}
+
+// Decode a proof's fields: `points` as curve points, `scalars` as scalars. Null if any is invalid.
+function decodeProof(proof, points, scalars) {
+    if (!proof || typeof proof !== 'object') return null;
+    const decoded = {};
+    for (const field of points) {
+        decoded[field] = decodePoint(proof[field]);
+        if (!decoded[field]) return null;
+    }
+    for (const field of scalars) {
+        decoded[field] = decodeScalar(proof[field]);
+        if (decoded[field] === null) return null;
+    }
+    return decoded;
+}
+
+// Disjunctive proof that (a, b) encrypts 0 or 1: one Chaum-Pedersen proof that b = rH, one
+// that b - G = rH, with challenges c0 + c1 equal to the Fiat-Shamir challenge so only one
+// of them can have been simulated
+function verifyBitProof(publicKey, a, b, proof, context) {
+    const p = decodeProof(proof, ['a0', 'b0', 'a1', 'b1'], ['c0', 'c1', 'r0', 'r1']);
+    if (!p) return false;
+
+    const challenge = proofChallenge('bit', context, publicKey, a, b, p.a0, p.b0, p.a1, p.b1);
+    return ecMod(p.c0 + p.c1, EC_N) === challenge &&
+        verifyEqualLogs(EC_G, a, publicKey, b, p.a0, p.b0, p.c0, p.r0) &&
+        verifyEqualLogs(EC_G, a, publicKey, ecAdd(b, ecNegate(EC_G)), p.a1, p.b1, p.c1, p.r1);
+}
+
+// Check an encrypted ballot against the election key and its active candidates. The proofs
+// are bound to the election and voter address so a ciphertext can't be copied into another
+// voter's ballot. Returns an error message, or null if valid.
+function validateEncryptedBallot(election, candidates, submission) {
+    const { election_id, voter_address, candidate_id, rankings, approvals, encrypted_ballot } = submission;
+    if (candidate_id || rankings || approvals) return 'Encrypted elections take selections only inside encrypted_ballot';
+    if (!encrypted_ballot || !Array.isArray(encrypted_ballot.ciphertexts)) {
+        return 'encrypted_ballot.ciphertexts is required for this election';
+    }
+
+    const activeIds = candidates.filter(c => c.is_active).map(c => Number(c.id));
+    const ciphertexts = encrypted_ballot.ciphertexts;
+    const covered = new Set(ciphertexts.map(ct => Number(ct && ct.candidate_id)));
+    if (ciphertexts.length !== activeIds.length || covered.size !== activeIds.length || !activeIds.every(id => covered.has(id))) {
+        return 'encrypted_ballot must hold exactly one ciphertext per active candidate';
+    }
+
+    const publicKey = decodePoint(election.encryption_public_key);
+    const context = `${Number(election_id)}|${voter_address}`;
+    let sumA = EC_INFINITY;
+    let sumB = EC_INFINITY;
+
+    for (const ct of ciphertexts) {
+        const a = decodePoint(ct.a);
+        const b = decodePoint(ct.b);
+        if (!a || !b) return `Ciphertext for candidate ${ct.candidate_id} is not a valid curve point`;
+        if (!verifyBitProof(publicKey, a, b, ct.proof, `${context}|${Number(ct.candidate_id)}`)) {
+            return `Validity proof failed for candidate ${ct.candidate_id}`;
+        }
+        sumA = ecAdd(sumA, a);
+        sumB = ecAdd(sumB, b);
+    }
+
+    if (normalizeVotingMethod(election.voting_method) === 'plurality') {
+        const p = decodeProof(encrypted_ballot.sum_proof, ['u', 'v'], ['s']);
+        const sumMinusOne = ecAdd(sumB, ecNegate(EC_G));
+        if (!p || !verifyEqualLogs(EC_G, sumA, publicKey, sumMinusOne, p.u, p.v,
+            proofChallenge('sum', context, publicKey, sumA, sumMinusOne, p.u, p.v), p.s)) {
+            return 'Sum proof failed: a plurality ballot must select exactly one candidate';
+        }
+    }
+    return null;
+}
+
+// The ballot as stored: ciphertexts and proofs, with candidate ids as numbers
+function normalizeEncryptedBallot(encryptedBallot) {
+    return {
+        ciphertexts: encryptedBallot.ciphertexts.map(ct => ({
+            candidate_id: Number(ct.candidate_id),
+            a: ct.a,
+            b: ct.b,
+            proof: ct.proof
+        })),
+        sum_proof: encryptedBallot.sum_proof
+    };
+}
+
+// Lagrange coefficients for interpolating at `at` from the shares at `indices`, mod n
+function lagrangeCoefficients(indices, at) {
+    return indices.map(i => {
+        let numerator = 1n;
+        let denominator = 1n;
+        indices.forEach(j => {
+            if (j === i) return;
+            numerator = ecMod(numerator * BigInt(at - j), EC_N);
+            denominator = ecMod(denominator * BigInt(i - j), EC_N);
+        });
+        return ecMod(numerator * modPow(denominator, EC_N - 2n, EC_N), EC_N);
+    });
+}
+
+function interpolatePoints(indices, points, at) {
+    const coefficients = lagrangeCoefficients(indices, at);
+    return points.reduce((sum, point, k) => ecAdd(sum, ecMultiply(point, coefficients[k])), EC_INFINITY);
+}
+
+// Trustee verification keys are s_i * G for Shamir shares s_i of the election secret. They
+// must all lie on one polynomial of degree threshold - 1 whose value at 0 is the public key.
+// Returns an error message, or null if consistent.
+function checkTrusteeKeys(publicKey, threshold, verificationKeys) {
+    const base = verificationKeys.slice(0, threshold);
+    const baseIndices = base.map((key, k) => k + 1);
+
+    if (!ecEquals(interpolatePoints(baseIndices, base, 0), publicKey)) {
+        return 'Trustee verification keys do not combine to the election public key';
+    }
+    for (let i = threshold + 1; i <= verificationKeys.length; i++) {
+        if (!ecEquals(interpolatePoints(baseIndices, base, i), verificationKeys[i - 1])) {
+            return `Verification key of trustee ${i} is inconsistent with the others`;
+        }
+    }
+    return null;
+}
+
+// Sum the ciphertexts per candidate. Returns Map(candidate_id -> { a, b })
+function aggregateCiphertexts(candidateIds, votes) {
+    const sums = new Map(candidateIds.map(id => [id, { a: EC_INFINITY, b: EC_INFINITY }]));
+    votes.forEach(vote => {
+        const ballot = parseVoteData(vote.ballot) || {};
+        const ciphertexts = ballot.encrypted_ballot ? ballot.encrypted_ballot.ciphertexts : [];
+        ciphertexts.forEach(ct => {
+            const sum = sums.get(Number(ct.candidate_id));
+            if (!sum) return;
+            sum.a = ecAdd(sum.a, decodePoint(ct.a));
+            sum.b = ecAdd(sum.b, decodePoint(ct.b));
+        });
+    });
+    return sums;
+}
+
+// Find m in [0, max] with mG = point (baby-step giant-step). Null if there is none.
+function discreteLog(point, max) {
+    const step = Math.ceil(Math.sqrt(max + 1));
+
+    const babySteps = new Map();
+    let current = EC_INFINITY;
+    for (let j = 0; j < step; j++) {
+        babySteps.set(encodePoint(current), j);
+        current = ecAdd(current, EC_G);
+    }
+
+    const giantStep = ecNegate(current);
+    current = point;
+    for (let i = 0; i <= step; i++) {
+        const j = babySteps.get(encodePoint(current));
+        if (j !== undefined && i * step + j <= max) return i * step + j;
+        current = ecAdd(current, giantStep);
+    }
+    return null;
+}
+
+// Proof that d = s_i * A for the trustee's verification key s_i * G
+function verifyDecryptionShare(electionId, trusteeIndex, verificationKey, aggregateA, share) {
+    const d = decodePoint(share.d);
+    const p = decodeProof(share.proof, ['u', 'v'], ['z']);
+    if (!d || !p) return null;
+
+    const challenge = proofChallenge('decrypt', `${electionId}|${trusteeIndex}|${share.candidate_id}`, verificationKey, aggregateA, d, p.u, p.v);
+    return verifyEqualLogs(EC_G, verificationKey, aggregateA, d, p.u, p.v, challenge, p.z) ? d : null;
+}
+
+// Per-candidate totals from the first `threshold` trustees' decryption shares
+function combineDecryptionShares(trustees, threshold, sums, maxCount) {
+    const used = trustees.slice(0, threshold);
+    const coefficients = lagrangeCoefficients(used.map(t => t.trustee_index), 0);
+    const shares = used.map(t => parseVoteData(t.partial_decryption));
+
+    const counts = new Map();
+    for (const [candidateId, sum] of sums) {
+        const secretTimesA = shares.reduce((acc, share, k) =>
+            ecAdd(acc, ecMultiply(decodePoint(share[candidateId]), coefficients[k])), EC_INFINITY);
+        const count = discreteLog(ecAdd(sum.b, ecNegate(secretTimesA)), maxCount);
+        if (count === null) return null;
+        counts.set(candidateId, count);
+    }
+    return counts;
+}
+
+// Ciphertext sums and trustee state for an encrypted election, cached once results are
+// published since no more ballots can arrive
+const encryptedTallies = new Map();
+
+function loadEncryptedTally(election, callback) {
+    const cached = encryptedTallies.get(Number(election.id));
+    if (cached && resultsPublished(election.status)) return callback(null, cached);
+
+    loadResultCandidates(election.id, (err, candidates) => {
+        if (err) return callback(err);
+
+        storage.votes.listCounted(election.id, (err, votes) => {
+            if (err) return callback(err);
+
+            const tally = {
+                candidates,
+                total_ballots: votes.length,
+                sums: aggregateCiphertexts(candidates.map(c => Number(c.id)), votes),
+                counts: null
+            };
+            if (resultsPublished(election.status)) encryptedTallies.set(Number(election.id), tally);
+            callback(null, tally);
+        });
+    });
+}
+
+function loadTrustees(electionId, callback) {
+    storage.trustees.list(electionId, callback);
+}
+
+// Results for an encrypted election: totals once enough trustees have decrypted, otherwise
+// just how many ballots were cast and how far decryption has got
+function loadEncryptedResults(election, callback) {
+    loadEncryptedTally(election, (err, tally) => {
+        if (err) return callback(err);
+
+        loadTrustees(election.id, (err, trustees) => {
+            if (err) return callback(err);
+
+            let results;
+            try {
+                results = encryptedResults(election, tally, trustees);
+            } catch (tallyErr) {
+                return callback(tallyErr);
+            }
+            callback(null, results);
+        });
+    });
+}
+
+// The results an encrypted tally and its trustees' shares add up to. Decrypted counts are kept
+// on the tally. Throws if the submitted shares don't decrypt the sums.
+function encryptedResults(election, tally, trustees) {
+    const method = normalizeVotingMethod(election.voting_method);
+    const threshold = election.decryption_threshold || 1;
+    const submitted = trustees.filter(t => t.decrypted_at);
+    const decryption = { threshold, trustees: trustees.length, trustees_submitted: submitted.length };
+
+    if (!tally.counts && tally.total_ballots === 0) {
+        tally.counts = new Map(tally.candidates.map(c => [Number(c.id), 0]));
+    }
+    if (!tally.counts && resultsPublished(election.status) && submitted.length >= threshold) {
+        tally.counts = combineDecryptionShares(submitted, threshold, tally.sums, tally.total_ballots);
+        if (!tally.counts) throw new Error(`Decryption shares for election ${election.id} do not yield valid totals`);
+    }
+
+    const base = { voting_method: method, ballot_encryption: 'elgamal', decryption };
+    if (!tally.counts || !resultsPublished(election.status)) {
+        return Object.assign(base, {
+            decrypted: false,
+            total_ballots: tally.total_ballots,
+            candidates: tally.candidates
+        });
+    }
+
+    const counts = tally.counts;
+    if (method === 'approval') {
+        const seats = Math.max(1, parseInt(election.seats) || 1);
+        const outcome = approvalOutcome(tally.candidates.map(c => Number(c.id)), counts, seats);
+        return Object.assign(base, {
+            decrypted: true,
+            seats,
+            total_ballots: tally.total_ballots,
+            candidates: tally.candidates.map(c => Object.assign({}, c, { elected: outcome.winners.includes(Number(c.id)) }))
+        }, outcome);
+    }
+
+    return Object.assign(base, {
+        decrypted: true,
+        total_votes: tally.total_ballots,
+        candidates: tally.candidates
+            .map(c => Object.assign({}, c, {
+                vote_count: counts.get(Number(c.id)),
+                percentage: tally.total_ballots ? Math.round(counts.get(Number(c.id)) * 10000 / tally.total_ballots) / 100 : null
+            }))
+            .sort((x, y) => y.vote_count - x.vote_count)
+    });
+}
+
+// Public parameters clients need to encrypt a ballot, plus the ciphertext sums trustees
+// decrypt once the election has closed
+app.get('/api/elections/:id/encryption', (req, res) => {
+    const { id } = req.params;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        if (election.ballot_encryption !== 'elgamal') {
+            return res.json({ election_id: election.id, ballot_encryption: 'none' });
+        }
+
+        loadTrustees(id, (err, trustees) => {
+            if (err) {
+                console.error('Error fetching trustees:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const body = {
+                election_id: election.id,
+                ballot_encryption: 'elgamal',
+                curve: 'secp256k1',
+                public_key: election.encryption_public_key,
+                threshold: election.decryption_threshold,
+                voting_method: normalizeVotingMethod(election.voting_method),
+                trustees: trustees.map(t => ({
+                    index: t.trustee_index,
+                    name: t.name,
+                    verification_key: t.verification_key,
+                    decryption_submitted: !!t.decrypted_at
+                }))
+            };
+            if (!resultsPublished(election.status)) return res.json(body);
+
+            loadEncryptedTally(election, (err, tally) => {
+                if (err) {
+                    console.error('Error aggregating ciphertexts:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                body.total_ballots = tally.total_ballots;
+                body.aggregate = Array.from(tally.sums, ([candidateId, sum]) => ({
+                    candidate_id: candidateId,
+                    a: encodePoint(sum.a),
+                    b: encodePoint(sum.b)
+                }));
+                res.json(body);
+            });
+        });
+    });
+});
+
+// Configure ballot encryption before voting opens. Key generation happens offline: the
+// trustees (or a dealer they trust) split the secret with Shamir's scheme and only the public
+// key and each trustee's verification key are sent here.
+app.put('/api/admin/elections/:id/encryption', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const { public_key, threshold, trustees } = req.body;
+
+    const publicKey = decodePoint(public_key);
+    if (!publicKey) {
+        return res.status(400).json({ error: 'public_key must be a secp256k1 point in SEC1 hex' });
+    }
+    if (!Array.isArray(trustees) || trustees.length === 0 || trustees.some(t => !t || !t.name || !decodePoint(t.verification_key))) {
+        return res.status(400).json({ error: 'trustees must list each trustee with a name and a verification_key' });
+    }
+    const decryptionThreshold = parseInt(threshold) || trustees.length;
+    if (decryptionThreshold < 1 || decryptionThreshold > trustees.length) {
+        return res.status(400).json({ error: 'threshold must be between 1 and the number of trustees' });
+    }
+
+    const keyError = checkTrusteeKeys(publicKey, decryptionThreshold, trustees.map(t => decodePoint(t.verification_key)));
+    if (keyError) {
+        return res.status(400).json({ error: keyError });
+    }
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        if (isElectionLocked(election.status)) {
+            return res.status(409).json({ error: 'Ballot encryption is fixed once voting has started', status: election.status });
+        }
+        if (!ENCRYPTED_VOTING_METHODS.includes(normalizeVotingMethod(election.voting_method))) {
+            return res.status(400).json({ error: 'Encrypted ballots support these voting methods: ' + ENCRYPTED_VOTING_METHODS.join(', ') });
+        }
+
+        storage.contests.listByElection(id, (err, contests) => {
+            if (err) {
+                console.error('Error fetching contests:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (contests.length > 0) {
+                return res.status(400).json({ error: 'Elections with contests cannot use encrypted ballots' });
+            }
+
+            const encryption = {
+                public_key: encodePoint(publicKey),
+                threshold: decryptionThreshold,
+                trustees: trustees.map(t => ({ name: t.name, verification_key: encodePoint(decodePoint(t.verification_key)) }))
+            };
+
+            // The key and trustee list are replaced together, and only while voting hasn't started
+            storage.elections.configureEncryption(id, encryption, (err, configured) => {
+                if (err) {
+                    console.error('Error configuring ballot encryption:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                if (!configured) {
+                    return res.status(409).json({ error: 'Election status changed during the update; retry' });
+                }
+
+                const details = { election_id: Number(id), threshold: decryptionThreshold, trustees: trustees.length };
+                writeAuditLog(req.admin.id, 'admin', 'ELECTION_ENCRYPTION_CONFIGURED', 'election', details, (logErr) => {
+                    if (logErr) console.error('Error logging encryption setup:', logErr);
+                });
+
+                res.json({ message: 'Ballot encryption configured', threshold: decryptionThreshold, trustees: trustees.length });
+            });
+        });
+    });
+});
+
+// A trustee's partial decryption of every candidate's ciphertext sum, each with a proof that
+// it used the share behind their verification key. The proofs are what authorize the
+// submission, so no admin session is needed.
+app.post('/api/elections/:id/trustees/:index/decryption', (req, res) => {
+    const { id } = req.params;
+    const trusteeIndex = parseInt(req.params.index);
+    const { shares } = req.body;
+
+    if (!Array.isArray(shares)) {
+        return res.status(400).json({ error: 'shares must list a partial decryption per candidate' });
+    }
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        if (election.ballot_encryption !== 'elgamal') {
+            return res.status(400).json({ error: 'Election does not use encrypted ballots' });
+        }
+        if (!resultsPublished(election.status)) {
+            return res.status(409).json({ error: 'Decryption opens once the election has closed', status: election.status });
+        }
+
+        loadTrustees(id, (err, trustees) => {
+            if (err) {
+                console.error('Error fetching trustees:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const trustee = trustees.find(t => t.trustee_index === trusteeIndex);
+            if (!trustee) {
+                return res.status(404).json({ error: 'Trustee not found' });
+            }
+            if (trustee.decrypted_at) {
+                return res.status(409).json({ error: 'Trustee has already submitted a decryption' });
+            }
+
+            loadEncryptedTally(election, (err, tally) => {
+                if (err) {
+                    console.error('Error aggregating ciphertexts:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                if (tally.total_ballots === 0) {
+                    return res.status(409).json({ error: 'No ballots were cast, so there is nothing to decrypt' });
+                }
+
+                const verificationKey = decodePoint(trustee.verification_key);
+                const accepted = {};
+                for (const [candidateId, sum] of tally.sums) {
+                    const share = shares.find(s => s && Number(s.candidate_id) === candidateId);
+                    const d = share && verifyDecryptionShare(Number(id), trusteeIndex, verificationKey, sum.a, share);
+                    if (!d) {
+                        return res.status(400).json({ error: `Missing or invalid decryption share for candidate ${candidateId}` });
+                    }
+                    accepted[candidateId] = encodePoint(d);
+                }
+
+                storage.trustees.submitDecryption(id, trusteeIndex, JSON.stringify(accepted), (err, stored) => {
+                    if (err) {
+                        console.error('Error storing decryption share:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (!stored) {
+                        return res.status(409).json({ error: 'Trustee has already submitted a decryption' });
+                    }
+
+                    writeAuditLog(null, 'system', 'TRUSTEE_DECRYPTION_SUBMITTED', 'election', { election_id: Number(id), trustee_index: trusteeIndex }, (logErr) => {
+                        if (logErr) console.error('Error logging decryption share:', logErr);
+                    });
+
+                    const submitted = trustees.filter(t => t.decrypted_at).length + 1;
+                    if (submitted === election.decryption_threshold) {
+                        loadResults(election, (err, results) => {
+                            if (err) return console.error('Error decrypting results:', err);
+                            publishStreamEvent('results', Object.assign({ election_id: Number(id) }, results), { electionId: id });
+                        });
+                    }
+
+                    res.json({
+                        message: 'Decryption share accepted',
+                        trustees_submitted: submitted,
+                        threshold: election.decryption_threshold
+                    });
+                });
+            });
+        });
+    });
+});
+
+// ============================================================================
+// Results API Routes
+// ============================================================================
+
+// Results stay embargoed until an election closes, so live counts can't influence voters
+const RESULTS_PUBLISHED_STATUSES = ['closed', 'certified', 'archived'];
+
+function resultsPublished(status) {
+    return RESULTS_PUBLISHED_STATUSES.includes(status);
+}
+
+// privacy_level controls how much of a transaction the public explorer shows:
+//   public   - election title, timestamp, and the candidate once results are published
+//   standard - election title and timestamp, never the candidate (default)
+//   private  - hash, status and block only, with the timestamp truncated to the hour
+const PRIVACY_LEVELS = ['public', 'standard', 'private'];
+const PRIVACY_LEVEL_ALIASES = { anonymous: 'standard', confidential: 'private', secret: 'private' };
+
+function normalizePrivacyLevel(level) {
+    const key = String(level || 'standard').toLowerCase();
+    if (PRIVACY_LEVELS.includes(key)) return key;
+    return PRIVACY_LEVEL_ALIASES[key] || 'standard';
+}
+
+function redactTransaction(row) {
+    const level = normalizePrivacyLevel(row.privacy_level);
+    const tx = {
+        transaction_hash: row.transaction_hash,
+        timestamp: row.timestamp,
+        status: row.status,
+        gas_used: row.gas_used,
+        block_number: row.block_number,
+        privacy_level: level
+    };
+
+    if (level === 'private') {
+        const hour = new Date(row.timestamp);
+        hour.setUTCMinutes(0, 0, 0);
+        tx.timestamp = hour.toISOString();
+        return tx;
+    }
+
+    tx.election_title = row.election_title;
+    if (level === 'public' && resultsPublished(row.election_status)) {
+        tx.candidate_name = row.candidate_name;
+    }
+    return tx;
+}
+
+// Ballots as a percentage of the eligibility roll, to two places; null without a roll
+function turnoutPercentage(ballots, eligibleVoters) {
+    return eligibleVoters ? Math.round(ballots * 10000 / eligibleVoters) / 100 : null;
+}
+
+// Turnout without any per-candidate figures
+function loadTurnout(electionId, callback) {
+    storage.stats.turnout(electionId, (err, counts) => {
+        if (err) return callback(err);
+
+        const { ballots_cast, eligible_voters } = counts;
+        callback(null, {
+            ballots_cast,
+            eligible_voters: eligible_voters || null,
+            turnout_percentage: turnoutPercentage(ballots_cast, eligible_voters)
+        });
+    });
+}
+
+// What admins and auditors see in place of results during the embargo
+function sendTurnout(res, election) {
+    loadTurnout(election.id, (err, turnout) => {
+        if (err) {
+            console.error('Error fetching turnout:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        res.json({
+            election_id: election.id,
+            status: election.status,
+            results_available: false,
+            turnout
+        });
+    });
+}
+
+// Get election results. Plurality elections are counted in SQL; other voting methods
+// are tallied from the stored ballots with round-by-round detail, and elections with contests
+// report each contest separately. Until the election closes only admins and auditors get a
+// response, and it holds turnout alone.
+app.get('/api/elections/:id/results', (req, res) => {
+    const { id } = req.params;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        if (!resultsPublished(election.status)) {
+            return resolveAdminSession(req, (err, admin) => {
+                if (err) {
+                    console.error('Error checking admin session:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                if (!admin) {
+                    return res.status(403).json({ error: 'Results are embargoed until the election closes', status: election.status });
+                }
+                sendTurnout(res, election);
+            });
+        }
+
+        loadResults(election, (err, results) => {
+            if (err) {
+                console.error('Error fetching results:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json(results);
+        });
+    });
+});
+
+// Count an election's verified ballots. election is an elections row.
+function loadResults(election, callback) {
+    if (election.ballot_encryption === 'elgamal') {
+        return loadEncryptedResults(election, callback);
+    }
+
+    storage.contests.listByElection(election.id, (err, contests) => {
+        if (err) return callback(err);
+        if (contests.length > 0) {
+            return loadContestResults(election.id, contests, callback);
+        }
+        if (normalizeVotingMethod(election.voting_method) === 'plurality') {
+            return loadPluralityResults(election.id, callback);
+        }
+
+        loadResultCandidates(election.id, (err, candidates) => {
+            if (err) return callback(err);
+
+            storage.votes.listCounted(election.id, (err, votes) => {
+                if (err) return callback(err);
+                callback(null, tallyElection(election, candidates, votes));
+            });
+        });
+    });
+}
+
+function loadContestResults(electionId, contests, callback) {
+    storage.candidates.listByElection(electionId, {}, (err, candidates) => {
+        if (err) return callback(err);
+
+        storage.votes.listCounted(electionId, (err, votes) => {
+            if (err) return callback(err);
+            callback(null, tallyContests(contests, candidates, votes));
+        });
+    });
+}
+
+// Active candidates in ballot order, with only the fields results show
+function loadResultCandidates(electionId, callback) {
+    storage.candidates.listByElection(electionId, {}, (err, candidates) => {
+        if (err) return callback(err);
+        callback(null, candidates.map(c => ({ id: c.id, name: c.name, party: c.party, photo_url: c.photo_url })));
+    });
+}
+
+function loadPluralityResults(id, callback) {
+    storage.votes.pluralityTally(id, (err, results) => {
+        if (err) return callback(err);
+
+        // Get total votes
+        const totalVotes = results.reduce((sum, candidate) => sum + candidate.vote_count, 0);
+
+        callback(null, {
+            voting_method: 'plurality',
+            total_votes: totalVotes,
+            candidates: results
+        });
+    });
+}
+
+// ----------------------------------------------------------------------------
+// Admin API: Update election metadata (status, start_date, end_date)
+// ----------------------------------------------------------------------------
+app.patch('/api/admin/elections/:id', requireRole(ELECTION_MANAGERS), (req, res) => {
+    const { id } = req.params;
+    const { status, start_date, end_date } = req.body;
+
+    // Only the fields that were sent are updated
+    const fields = {};
+    ['status', 'start_date', 'end_date'].forEach(field => {
+        if (typeof req.body[field] !== 'undefined') fields[field] = req.body[field];
+    });
+
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    storage.elections.findById(id, (err, current) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!current) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        const dateError = validateElectionDates(
+            typeof start_date === 'undefined' ? current.start_date : start_date,
+            typeof end_date === 'undefined' ? current.end_date : end_date);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        const updateError = checkElectionUpdate(current, { status, start_date, end_date });
+        if (updateError) {
+            return res.status(409).json({ error: updateError, status: current.status });
+        }
+
+        storage.elections.update(id, current.status, fields, (err, updated) => {
+            if (err) {
+                console.error('Error updating election via admin API:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!updated) {
+                return res.status(409).json({ error: 'Election status changed during the update; retry' });
+            }
+
+            // Log admin change
+            const details = { election_id: Number(id), status, start_date, end_date };
+            writeAuditLog(req.admin.id, 'admin', 'UPDATE_ELECTION', 'election', details, (logErr) => {
+                if (logErr) console.error('Error logging election update:', logErr);
+            });
+
+            if (typeof status !== 'undefined' && status !== current.status) {
+                logElectionTransition(id, current.status, status, req.admin.id);
+            }
+
+            res.json({ message: 'Election updated successfully' });
+        });
+    });
+});
+
+// ============================================================================
+// Election Archives
+// ============================================================================
+
+// A closed election exports as one self-contained archive: the election, its contests,
+// candidates, roll, trustees, transactions and votes, the public keys of the voters who cast
+// them (so every ballot signature can be checked), the blocks holding those transactions
+// (each listing every hash sealed in it, so Merkle roots recompute), the published tally and
+// the audit entries that name the election. The archive is canonical JSON signed with the server key, so it can
+// be checked anywhere. An archived election's records can then be removed from the live
+// database and restored later from its archive; the removed transactions' hashes stay behind
+// in election_archives so the chain keeps verifying.
+const ARCHIVE_FORMAT = 'blockvote-election-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_SECTIONS = ['candidates', 'transactions', 'votes', 'eligibility', 'trustees', 'blocks', 'audit_entries'];
+// Key ids, besides this server's, whose archives may be imported (comma-separated)
+const ARCHIVE_TRUSTED_KEY_IDS = (process.env.ARCHIVE_TRUSTED_KEY_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Everything the live database holds about an election, keyed by archive section. Loaded one
+// query at a time so a large election doesn't take over the pool.
+function loadElectionRecords(electionId, callback) {
+    const loaders = {
+        contests: (done) => storage.contests.listByElection(electionId, done),
+        candidates: (done) => storage.candidates.listByElection(electionId, { includeInactive: true }, done),
+        transactions: (done) => storage.transactions.listByElection(electionId, done),
+        votes: (done) => storage.votes.listByElection(electionId, done),
+        eligibility: (done) => storage.eligibility.list(electionId, (err, roll) => {
+            done(err, roll && roll.map(v => ({ voter_id: v.id, voter_address: v.voter_address, added_at: v.added_at })));
+        }),
+        trustees: (done) => storage.trustees.list(electionId, done),
+        // Loaded after the transactions, whose voters they are
+        voter_keys: (done) => {
+            const addresses = Array.from(new Set(records.transactions.map(tx => tx.voter_address))).sort();
+            storage.voters.listByAddresses(addresses, (err, voters) => {
+                done(err, voters && voters
+                    .map(v => ({ voter_address: v.voter_address, public_key: v.public_key }))
+                    .sort((a, b) => a.voter_address.localeCompare(b.voter_address)));
+            });
+        }
+    };
+
+    const names = Object.keys(loaders);
+    const records = {};
+    const next = (k) => {
+        if (k === names.length) return callback(null, records);
+        loaders[names[k]]((err, rows) => {
+            if (err) return callback(err);
+            records[names[k]] = rows;
+            next(k + 1);
+        });
+    };
+    next(0);
+}
+
+// The blocks from the first to the last one holding any of the transactions, each with the
+// hashes sealed in it (other elections' included, removed ones too) in sealing order
+function loadArchiveBlocks(transactions, callback) {
+    const numbers = transactions
+        .filter(tx => tx.block_number !== null && typeof tx.block_number !== 'undefined')
+        .map(tx => Number(tx.block_number));
+    if (numbers.length === 0) return callback(null, []);
+
+    const firstBlock = numbers.reduce((min, n) => Math.min(min, n));
+    const lastBlock = numbers.reduce((max, n) => Math.max(max, n));
+    storage.blocks.listRange(firstBlock, lastBlock, (err, blocks) => {
+        if (err) return callback(err);
+        storage.transactions.listLedgerEntries(firstBlock, lastBlock, (err, entries) => {
+            if (err) return callback(err);
+            storage.archives.listLedgerEntries((err, archivedEntries) => {
+                if (err) return callback(err);
+
+                const hashesByBlock = new Map();
+                entries
+                    .concat(archivedEntries.filter(e => e.block_number >= firstBlock && e.block_number <= lastBlock))
+                    .sort((a, b) => a.id - b.id)
+                    .forEach(e => {
+                        const number = Number(e.block_number);
+                        if (!hashesByBlock.has(number)) hashesByBlock.set(number, []);
+                        hashesByBlock.get(number).push(e.transaction_hash);
+                    });
+                callback(null, blocks.map(b => Object.assign({}, b, { transaction_hashes: hashesByBlock.get(Number(b.block_number)) || [] })));
+            });
+        });
+    });
+}
+
+// Sign an archive: { archive, sha256, signature, key_id, public_key }, where sha256 and the
+// Ed25519 signature cover canonicalJson(archive)
+function sealArchive(archive) {
+    const body = canonicalJson(archive);
+    return {
+        archive,
+        sha256: crypto.createHash('sha256').update(body).digest('hex'),
+        signature: signDocument(body),
+        key_id: SERVER_KEY_ID,
+        public_key: SERVER_PUBLIC_KEY_PEM
+    };
+}
+
+function buildElectionArchive(election, callback) {
+    loadElectionRecords(election.id, (err, records) => {
+        if (err) return callback(err);
+        loadArchiveBlocks(records.transactions, (err, blocks) => {
+            if (err) return callback(err);
+            loadResults(election, (err, tally) => {
+                if (err) return callback(err);
+                storage.audit.listForElection(election.id, (err, auditEntries) => {
+                    if (err) return callback(err);
+
+                    // Round-tripped through JSON so the signed form is exactly what a reader parses
+                    const archive = JSON.parse(JSON.stringify(Object.assign({
+                        format: ARCHIVE_FORMAT,
+                        version: ARCHIVE_VERSION,
+                        exported_at: new Date().toISOString(),
+                        election,
+                        tally,
+                        blocks,
+                        audit_entries: auditEntries
+                    }, records)));
+                    callback(null, sealArchive(archive));
+                });
+            });
+        });
+    });
+}
+
+// Plurality results as votes.pluralityTally counts them: active candidates, most votes first,
+// with percentages of every counted ballot cast for any of the election's candidates
+function pluralityResults(candidates, votes) {
+    const votesFor = (id) => votes.filter(v => Number(v.candidate_id) === Number(id)).length;
+    const totalVotes = candidates.reduce((sum, c) => sum + votesFor(c.id), 0);
+    const rows = candidates
+        .filter(c => c.is_active)
+        .map(c => ({
+            id: c.id,
+            name: c.name,
+            party: c.party,
+            photo_url: c.photo_url,
+            vote_count: votesFor(c.id),
+            percentage: totalVotes ? Math.round(votesFor(c.id) * 10000 / totalVotes) / 100 : null
+        }))
+        .sort((a, b) => b.vote_count - a.vote_count);
+
+    return {
+        voting_method: 'plurality',
+        total_votes: rows.reduce((sum, c) => sum + c.vote_count, 0),
+        candidates: rows
+    };
+}
+
+// Count an archive's ballots the way loadResults counted them in the live database
+function recountArchive(archive) {
+    const { election } = archive;
+    const byBallotOrder = (a, b) => a.display_order - b.display_order || a.id - b.id;
+    const counted = archive.votes
+        .filter(v => v.verification_status === 'verified')
+        .sort((a, b) => a.id - b.id);
+
+    // Archives from before contests existed have no contests section
+    const contests = (archive.contests || []).slice().sort(byBallotOrder);
+    if (contests.length > 0) {
+        return tallyContests(contests, archive.candidates.filter(c => c.is_active).sort(byBallotOrder), counted);
+    }
+
+    const active = archive.candidates
+        .filter(c => c.is_active)
+        .sort(byBallotOrder)
+        .map(c => ({ id: c.id, name: c.name, party: c.party, photo_url: c.photo_url }));
+
+    if (election.ballot_encryption === 'elgamal') {
+        const tally = {
+            candidates: active,
+            total_ballots: counted.length,
+            sums: aggregateCiphertexts(active.map(c => Number(c.id)), counted),
+            counts: null
+        };
+        return encryptedResults(election, tally, archive.trustees);
+    }
+    if (normalizeVotingMethod(election.voting_method) === 'plurality') {
+        return pluralityResults(archive.candidates, counted);
+    }
+    return tallyElection(election, active, counted);
+}
+
+// Tallies compare equal regardless of how MySQL typed the numbers (DECIMAL percentages come
+// back as strings) or how it broke ties when ordering candidates
+function normalizeTally(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(normalizeTally);
+        return items.every(item => item && typeof item === 'object' && 'id' in item)
+            ? items.sort((a, b) => Number(a.id) - Number(b.id))
+            : items;
+    }
+    if (value && typeof value === 'object') {
+        const normalized = {};
+        Object.keys(value).forEach(key => { normalized[key] = normalizeTally(value[key]); });
+        return normalized;
+    }
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// Where a recount and a reported tally disagree, as [{ path, recounted, reported }] with paths
+// like 'candidates[id=3].vote_count'. Both are normalized first; lists of candidates are
+// matched by id, other lists by position.
+function tallyDifferences(recounted, reported) {
+    const differences = [];
+    const keyedById = (list) => list.every(item => item && typeof item === 'object' && 'id' in item);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const compare = (a, b, path) => {
+        if (differences.length >= INTEGRITY_REPORT_SAMPLE_SIZE) return;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            if (keyedById(a) && keyedById(b)) {
+                const ids = Array.from(new Set(a.concat(b).map(item => item.id))).sort((x, y) => x - y);
+                return ids.forEach(id => compare(a.find(item => item.id === id), b.find(item => item.id === id), `${path}[id=${id}]`));
+            }
+            for (let k = 0; k < Math.max(a.length, b.length); k++) compare(a[k], b[k], `${path}[${k}]`);
+            return;
+        }
+        if (isObject(a) && isObject(b)) {
+            const keys = Array.from(new Set(Object.keys(a).concat(Object.keys(b)))).sort();
+            return keys.forEach(key => compare(a[key], b[key], path ? `${path}.${key}` : key));
+        }
+        if (canonicalJson(a) !== canonicalJson(b)) {
+            differences.push({ path: path || '(tally)', recounted: a === undefined ? null : a, reported: b === undefined ? null : b });
+        }
+    };
+    compare(normalizeTally(recounted), normalizeTally(reported), '');
+    return differences;
+}
+
+// The payload a transaction's voter signed, rebuilt from the stored row: the ballot's selection
+// field, or candidate_id for a plurality ballot, which stores none
+function signedBallotFromTransaction(tx) {
+    const selections = parseVoteData(tx.ballot) || {};
+    return Object.assign({
+        election_id: tx.election_id,
+        candidate_id: Object.keys(selections).length === 0 ? tx.candidate_id : undefined,
+        vote_data: parseVoteData(tx.vote_data)
+    }, selections);
+}
+
+// Check each transaction's ballot signature against its voter's key, once the key is shown to
+// derive the voter's address. voterKeys lists { voter_address, public_key }. Returns
+// [{ transaction_hash, voter_address, reason }], reason being voter_key_missing,
+// key_address_mismatch or invalid_signature.
+function ballotSignatureIssues(transactions, voterKeys) {
+    const keys = new Map();
+    voterKeys.forEach(entry => {
+        const key = parseVoterPublicKey(entry.public_key);
+        keys.set(entry.voter_address, key && voterAddressFromKey(key) === entry.voter_address ? entry.public_key : null);
+    });
+
+    const issues = [];
+    transactions.forEach(tx => {
+        const issue = (reason) => issues.push({ transaction_hash: tx.transaction_hash, voter_address: tx.voter_address, reason });
+        if (!keys.has(tx.voter_address)) return issue('voter_key_missing');
+        if (!keys.get(tx.voter_address)) return issue('key_address_mismatch');
+        if (!verifyBallotSignature(keys.get(tx.voter_address), signedBallotFromTransaction(tx), tx.signature)) {
+            issue('invalid_signature');
+        }
+    });
+    return issues;
+}
+
+// Check a signed archive on its own: signature and digest, the block headers and their links,
+// Merkle roots and transaction hashes, every ballot signature against its voter's key, votes
+// against their transactions, audit entry hashes, and a recount against the stored tally. signature.trusted says whether the signing key is
+// this server's or listed in ARCHIVE_TRUSTED_KEY_IDS.
+function verifyElectionArchive(envelope) {
+    const report = {
+        valid: true,
+        election_id: null,
+        checked_at: new Date().toISOString(),
+        signature: { valid: false, key_id: null, trusted: false },
+        digest_valid: false,
+        blocks: { total: 0, broken: [] },
+        transactions: { total: 0, issues: [] },
+        ballot_signatures: { total: 0, invalid: [] },
+        votes: { total: 0, issues: [] },
+        audit_entries: { total: 0, tampered: [] },
+        recount: { matches: false, differences: [] }
+    };
+    const addIssue = (list, issue) => {
+        report.valid = false;
+        if (list.length < INTEGRITY_REPORT_SAMPLE_SIZE) list.push(issue);
+    };
+
+    const archive = envelope && envelope.archive;
+    if (!archive || archive.format !== ARCHIVE_FORMAT || archive.version !== ARCHIVE_VERSION || !archive.election ||
+        !ARCHIVE_SECTIONS.every(section => Array.isArray(archive[section]))) {
+        return Object.assign(report, { valid: false, error: `Not a version ${ARCHIVE_VERSION} ${ARCHIVE_FORMAT} document` });
+    }
+    report.election_id = archive.election.id;
+
+    const body = canonicalJson(archive);
+    try {
+        const publicKey = crypto.createPublicKey(envelope.public_key);
+        report.signature.key_id = signingKeyId(publicKey);
+        report.signature.valid = crypto.verify(null, Buffer.from(body), publicKey, Buffer.from(String(envelope.signature), 'base64'));
+    } catch (keyErr) {
+        report.signature.valid = false;
+    }
+    report.signature.trusted = report.signature.valid &&
+        (report.signature.key_id === SERVER_KEY_ID || ARCHIVE_TRUSTED_KEY_IDS.includes(report.signature.key_id));
+    report.digest_valid = crypto.createHash('sha256').update(body).digest('hex') === envelope.sha256;
+    if (!report.signature.valid || !report.digest_valid) report.valid = false;
+
+    const blocks = archive.blocks.slice().sort((a, b) => a.block_number - b.block_number);
+    const sealedHashes = new Map();
+    blocks.forEach((block, k) => {
+        report.blocks.total++;
+        const hashes = Array.isArray(block.transaction_hashes) ? block.transaction_hashes : [];
+        sealedHashes.set(Number(block.block_number), new Set(hashes));
+
+        const broken = (reason) => addIssue(report.blocks.broken, { block_number: block.block_number, reason });
+        const previous = blocks[k - 1];
+        if (previous && Number(block.block_number) !== Number(previous.block_number) + 1) {
+            broken('block_number_gap');
+        } else if (previous && block.previous_hash !== previous.current_hash) {
+            broken('previous_hash_mismatch');
+        } else if (hashes.length !== Number(block.transaction_count)) {
+            broken('transaction_count_mismatch');
+        } else if (merkleRoot(hashes) !== block.merkle_root) {
+            broken('merkle_root_mismatch');
+        } else if (hashBlock(block) !== block.current_hash) {
+            broken('block_hash_mismatch');
+        }
+    });
+
+    const txById = new Map();
+    const votedTxIds = new Set(archive.votes.map(vote => vote.transaction_id));
+    archive.transactions.forEach(tx => {
+        report.transactions.total++;
+        txById.set(tx.id, tx);
+
+        const issue = (reason) => addIssue(report.transactions.issues, { transaction_hash: tx.transaction_hash, reason });
+        const recomputed = hashTransaction({
+            election_id: tx.election_id,
+            candidate_id: tx.candidate_id,
+            voter_address: tx.voter_address,
+            vote_data: parseVoteData(tx.vote_data),
+            signature: tx.signature,
+            ballot: parseVoteData(tx.ballot)
+        });
+        if (recomputed !== tx.transaction_hash) issue('hash_mismatch');
+        if (Number(tx.election_id) !== Number(archive.election.id)) issue('wrong_election');
+
+        const sealedIn = sealedHashes.get(Number(tx.block_number));
+        if (tx.status !== 'failed' && (!sealedIn || !sealedIn.has(tx.transaction_hash))) issue('not_in_block');
+        if (!votedTxIds.has(tx.id)) issue('no_vote_record');
+    });
+
+    // Archives from before voter keys were exported have no voter_keys section, so none of
+    // their signatures can be checked
+    report.ballot_signatures.total = archive.transactions.length;
+    ballotSignatureIssues(archive.transactions, archive.voter_keys || [])
+        .forEach(issue => addIssue(report.ballot_signatures.invalid, issue));
+
+    archive.votes.forEach(vote => {
+        report.votes.total++;
+
+        const tx = txById.get(vote.transaction_id);
+        if (!tx) {
+            return addIssue(report.votes.issues, { vote_id: vote.id, reason: 'transaction_missing' });
+        }
+        if (Number(tx.election_id) !== Number(vote.election_id) || Number(tx.candidate_id) !== Number(vote.candidate_id) ||
+            canonicalJson(parseVoteData(tx.ballot) || null) !== canonicalJson(parseVoteData(vote.ballot) || null)) {
+            addIssue(report.votes.issues, { vote_id: vote.id, reason: 'vote_transaction_mismatch' });
+        }
+    });
+
+    archive.audit_entries.forEach(entry => {
+        report.audit_entries.total++;
+        if (entry.entry_hash && hashAuditEntry(entry) !== entry.entry_hash) {
+            addIssue(report.audit_entries.tampered, { id: entry.id, action: entry.action });
+        }
+    });
+
+    try {
+        report.recount.differences = tallyDifferences(recountArchive(archive), archive.tally);
+        report.recount.matches = report.recount.differences.length === 0;
+    } catch (recountErr) {
+        report.recount.error = recountErr.message;
+    }
+    if (!report.recount.matches) report.valid = false;
+
+    return report;
+}
+
+// Check a posted archive and reply 422 with the report unless it is valid and signed by a
+// trusted key; otherwise hand on the verified archive
+function requireTrustedArchive(req, res, onTrusted) {
+    const report = verifyElectionArchive(req.body);
+    if (!report.valid || !report.signature.trusted) {
+        return res.status(422).json({
+            error: report.valid ? 'Archive is not signed by a trusted key' : 'Archive failed verification',
+            report
+        });
+    }
+    onTrusted(req.body.archive, report);
+}
+
+// The ids and hashes identifying an election's records, to tell whether an archive holds
+// exactly what the live database does
+function archiveFingerprint(records) {
+    return canonicalJson({
+        contests: (records.contests || []).map(c => Number(c.id)).sort((a, b) => a - b),
+        candidates: records.candidates.map(c => Number(c.id)).sort((a, b) => a - b),
+        transactions: records.transactions.map(tx => [Number(tx.id), tx.transaction_hash]).sort((a, b) => a[0] - b[0]),
+        votes: records.votes.map(v => [Number(v.id), v.verification_status]).sort((a, b) => a[0] - b[0]),
+        eligibility: records.eligibility.map(ee => Number(ee.voter_id)).sort((a, b) => a - b),
+        trustees: records.trustees.map(t => [Number(t.trustee_index), Boolean(t.decrypted_at)]).sort((a, b) => a[0] - b[0])
+    });
+}
+
+// Column values as storage takes them back: JSON columns as text, dates as Date objects.
+// Date columns are recognised by name (*_at, *_date, timestamp), so text that merely looks
+// like a date is left alone.
+function restorableRow(row) {
+    const restored = {};
+    Object.keys(row).forEach(key => {
+        const value = row[key];
+        if (value && typeof value === 'object') {
+            restored[key] = JSON.stringify(value);
+        } else if (typeof value === 'string' && /(_at|_date|^timestamp)$/.test(key) && !isNaN(Date.parse(value))) {
+            restored[key] = new Date(value);
+        } else {
+            restored[key] = value;
+        }
+    });
+    return restored;
+}
+
+// Download an election's signed archive. Results must be published, so the tally is final.
+app.get('/api/admin/elections/:id/archive', requireRole(ALL_ADMIN_ROLES), (req, res) => {
+    const { id } = req.params;
+
+    storage.elections.findById(id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+        if (!resultsPublished(election.status)) {
+            return res.status(409).json({ error: 'Only closed, certified or archived elections can be exported', status: election.status });
+        }
+
+        buildElectionArchive(election, (err, envelope) => {
+            if (err) {
+                console.error('Error building election archive:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            writeAuditLog(req.admin.id, 'admin', 'EXPORT_ELECTION_ARCHIVE', 'election', {
+                election_id: Number(id),
+                archive_sha256: envelope.sha256,
+                transactions: envelope.archive.transactions.length
+            });
+
+            res.set('Content-Disposition', `attachment; filename="election-${election.id}-archive.json"`);
+            res.json(envelope);
+        });
+    });
+});
+
+// Verify an archive without touching the live database
+app.post('/api/admin/archives/verify', requireRole(ALL_ADMIN_ROLES), (req, res) => {
+    res.json(verifyElectionArchive(req.body));
+});
+
+// Elections removed from the live database, with the digest of the archive each was removed against
+app.get('/api/admin/archives', requireRole(ALL_ADMIN_ROLES), (req, res) => {
+    storage.archives.list((err, archives) => {
+        if (err) {
+            console.error('Error listing election archives:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ archives });
+    });
+});
+
+// Remove an archived election from the live database. The body is its signed archive, which
+// must verify and match the live records exactly, so nothing is dropped that the archive
+// can't restore. Audit entries and the removed transactions' ledger entries are kept.
+app.post('/api/admin/archives/remove', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    requireTrustedArchive(req, res, (archive, report) => {
+        const electionId = archive.election.id;
+
+        storage.elections.findById(electionId, (err, election) => {
+            if (err) {
+                console.error('Error fetching election:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!election) {
+                return res.status(404).json({ error: 'Election not found' });
+            }
+            if (election.status !== 'archived') {
+                return res.status(409).json({ error: 'Only archived elections can be removed', status: election.status });
+            }
+
+            loadElectionRecords(electionId, (err, records) => {
+                if (err) {
+                    console.error('Error loading election records:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                if (archiveFingerprint(records) !== archiveFingerprint(archive)) {
+                    return res.status(409).json({ error: 'Archive does not match the live election; export a fresh archive' });
+                }
+
+                const digest = crypto.createHash('sha256').update(canonicalJson(archive)).digest('hex');
+                const stub = { title: election.title, archive_sha256: digest, key_id: report.signature.key_id, removed_by: req.admin.id };
+                storage.archives.remove(electionId, stub, (err, removed) => {
+                    if (err) {
+                        console.error('Error removing archived election:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (!removed) {
+                        return res.status(409).json({ error: 'Election changed during removal; retry' });
+                    }
+
+                    encryptedTallies.delete(Number(electionId));
+                    analyticsCache.delete(Number(electionId));
+                    writeAuditLog(req.admin.id, 'admin', 'REMOVE_ARCHIVED_ELECTION', 'election', {
+                        election_id: Number(electionId),
+                        archive_sha256: digest,
+                        transactions: records.transactions.length
+                    });
+
+                    res.json({ message: 'Election removed; restore it with its archive', election_id: Number(electionId), archive_sha256: digest });
+                });
+            });
+        });
+    });
+});
+
+// Restore a removed election from its archive. The archive's blocks must be the ones on the
+// live chain and its transactions the ones the election left behind when it was removed.
+app.post('/api/admin/archives/import', requireRole(SUPERADMIN_ONLY), (req, res) => {
+    requireTrustedArchive(req, res, (archive) => {
+        const electionId = archive.election.id;
+
+        storage.archives.findByElection(electionId, (err, stub) => {
+            if (err) {
+                console.error('Error fetching election archive:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!stub) {
+                return res.status(409).json({ error: 'Only elections removed after archiving can be restored', election_id: electionId });
+            }
+
+            const leftBehind = parseVoteData(stub.ledger_entries).map(e => [Number(e.id), e.transaction_hash]);
+            const archived = archive.transactions.map(tx => [Number(tx.id), tx.transaction_hash]);
+            const byId = (a, b) => a[0] - b[0];
+            if (canonicalJson(leftBehind.sort(byId)) !== canonicalJson(archived.sort(byId))) {
+                return res.status(409).json({ error: 'Archive transactions do not match the ledger entries the election left behind' });
+            }
+
+            const numbers = archive.blocks.map(b => Number(b.block_number));
+            const checkChain = (next) => {
+                if (numbers.length === 0) return next([]);
+                storage.blocks.listRange(numbers.reduce((min, n) => Math.min(min, n)), numbers.reduce((max, n) => Math.max(max, n)), (err, liveBlocks) => {
+                    if (err) {
+                        console.error('Error fetching blocks:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    next(liveBlocks);
+                });
+            };
+
+            checkChain((liveBlocks) => {
+                const liveHashes = new Map(liveBlocks.map(b => [Number(b.block_number), b.current_hash]));
+                const foreign = archive.blocks.find(b => liveHashes.get(Number(b.block_number)) !== b.current_hash);
+                if (foreign) {
+                    return res.status(409).json({ error: 'Archive blocks are not on this chain', block_number: foreign.block_number });
+                }
+
+                const records = {
+                    election: restorableRow(archive.election),
+                    contests: (archive.contests || []).map(restorableRow),
+                    candidates: archive.candidates.map(restorableRow),
+                    transactions: archive.transactions.map(restorableRow),
+                    votes: archive.votes.map(restorableRow),
+                    eligibility: archive.eligibility.map(ee => restorableRow({ voter_id: ee.voter_id, added_at: ee.added_at })),
+                    trustees: archive.trustees.map(restorableRow)
+                };
+                storage.archives.restore(records, (err, restored) => {
+                    if (err && err.code === 'ER_DUP_ENTRY') {
+                        return res.status(409).json({ error: 'Some of the archive\'s ids are already in use' });
+                    }
+                    if (err) {
+                        console.error('Error restoring election archive:', err);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    if (!restored) {
+                        return res.status(409).json({ error: 'Election was restored by another request' });
+                    }
+
+                    writeAuditLog(req.admin.id, 'admin', 'RESTORE_ELECTION_ARCHIVE', 'election', {
+                        election_id: Number(electionId),
+                        archive_sha256: stub.archive_sha256,
+                        transactions: archive.transactions.length
+                    });
+
+                    res.json({ message: 'Election restored', election_id: Number(electionId) });
+                });
+            });
+        });
+    });
 });
 
 // ============================================================================
-// Authentication & Admin Routes
+// Live Event Stream
 // ============================================================================
 
-// Admin login
-app.post('/api/admin/login', (req, res) => {
-    const { username, password } = req.body;
+// Server-Sent Events for dashboards, so they don't have to poll the aggregate endpoints.
+// Events:
+//   block            a block was sealed (everyone)
+//   election_status  an election changed lifecycle status (everyone)
+//   turnout          ballots cast so far (admins only while results are embargoed)
+//   results          final tally, pushed once when an election's results are published (everyone)
+// Recent events are kept in a ring buffer so a reconnecting client can resume from its
+// Last-Event-ID. Ids are prefixed with a per-process epoch; an id from another epoch or one
+// that has already dropped out of the buffer gets a `reset` event instead of a replay.
+const STREAM_BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 500;
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25000;
+const STREAM_TURNOUT_INTERVAL_MS = parseInt(process.env.STREAM_TURNOUT_INTERVAL_MS) || 2000;
+const STREAM_EPOCH = Date.now().toString(36);
 
-    const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
-    const query = `SELECT id, username, email, role, full_name, department, last_login 
-                   FROM admin_users 
-                   WHERE username = ? AND password_hash = ? AND is_active = TRUE`;
+const streamEvents = [];
+const streamClients = new Set();
+let nextStreamSeq = 1;
 
-    db.query(query, [username, passwordHash], (err, results) => {
-        if (err) {
-            console.error('Admin login error:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
+// Turnout is recounted at most once per interval for elections that took votes since the last
+// push, however fast ballots arrive.
+const turnoutChanged = new Set();
+const lastTurnout = new Map();
 
-        if (results.length === 0) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
+function writeStreamEvent(res, event) {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
 
-        const admin = results[0];
+function streamEventVisible(client, event) {
+    if (event.adminOnly && !client.admin) return false;
+    return !client.electionId || !event.electionId || event.electionId === client.electionId;
+}
 
-        // Update last login
-        db.query('UPDATE admin_users SET last_login = NOW() WHERE id = ?', [admin.id]);
+// options.electionId scopes the event to one election; options.adminOnly hides it from the public
+function publishStreamEvent(type, data, options = {}) {
+    const event = {
+        id: `${STREAM_EPOCH}-${nextStreamSeq++}`,
+        seq: nextStreamSeq - 1,
+        type,
+        data,
+        electionId: options.electionId ? Number(options.electionId) : null,
+        adminOnly: !!options.adminOnly
+    };
 
-        // Log admin login
-        const logQuery = `INSERT INTO audit_logs (user_id, user_type, action, resource_type, details) 
-                         VALUES (?, 'admin', 'LOGIN', 'system', ?)`;
-        db.query(logQuery, [admin.id, JSON.stringify({ ip: req.ip, user_agent: req.get('User-Agent') })]);
+    streamEvents.push(event);
+    if (streamEvents.length > STREAM_BUFFER_SIZE) streamEvents.shift();
 
-        res.json({
-            success: true,
-            admin: {
-                id: admin.id,
-                username: admin.username,
-                email: admin.email,
-                role: admin.role,
-                fullName: admin.full_name,
-                department: admin.department
+    streamClients.forEach(client => {
+        if (streamEventVisible(client, event)) writeStreamEvent(client.res, event);
+    });
+}
+
+// Buffered events after lastEventId, or null when the client can't resume from it
+function streamEventsSince(lastEventId) {
+    const [epoch, seqText] = String(lastEventId).split('-');
+    const seq = parseInt(seqText);
+    if (epoch !== STREAM_EPOCH || !Number.isInteger(seq) || seq >= nextStreamSeq) return null;
+
+    const oldest = streamEvents.length > 0 ? streamEvents[0].seq : nextStreamSeq;
+    if (seq < oldest - 1) return null;
+    return streamEvents.filter(event => event.seq > seq);
+}
+
+function markTurnoutChanged(electionId) {
+    turnoutChanged.add(Number(electionId));
+}
+
+function flushTurnout() {
+    const electionIds = Array.from(turnoutChanged);
+    turnoutChanged.clear();
+    if (streamClients.size === 0) return;
+
+    electionIds.forEach(electionId => {
+        loadTurnout(electionId, (err, turnout) => {
+            if (err) {
+                console.error('Error fetching turnout for stream:', err);
+                return;
             }
+
+            const previous = lastTurnout.get(electionId);
+            lastTurnout.set(electionId, turnout.ballots_cast);
+            publishStreamEvent('turnout', {
+                election_id: electionId,
+                ...turnout,
+                delta: previous === undefined ? null : turnout.ballots_cast - previous
+            }, { electionId, adminOnly: true });
         });
     });
-});
+}
 
-// ============================================================================
-// Elections API Routes
-// ============================================================================
+function publishElectionStatus(electionId, from, to) {
+    publishStreamEvent('election_status', { election_id: Number(electionId), from, to }, { electionId });
+    if (!resultsPublished(to) || resultsPublished(from)) return;
 
-// Get all elections
-app.get('/api/elections', (req, res) => {
-    // Use DISTINCT counts to avoid multiplicative results from joining candidates and votes
-    const query = `SELECT e.*, 
-                   COUNT(DISTINCT c.id) as candidate_count,
-                   COUNT(DISTINCT v.id) as vote_count
-                   FROM elections e
-                   LEFT JOIN candidates c ON e.id = c.election_id AND c.is_active = TRUE
-                   LEFT JOIN votes v ON e.id = v.election_id AND v.verification_status = 'verified'
-                   GROUP BY e.id
-                   ORDER BY e.created_at DESC`;
-
-    db.query(query, (err, results) => {
-        if (err) {
-            console.error('Error fetching elections:', err);
-            return res.status(500).json({ error: 'Database error' });
+    storage.elections.findById(electionId, (err, election) => {
+        if (err || !election) {
+            if (err) console.error('Error fetching election for results event:', err);
+            return;
         }
-        res.json(results);
+        loadResults(election, (err, results) => {
+            if (err) {
+                console.error('Error fetching results for stream:', err);
+                return;
+            }
+            publishStreamEvent('results', { election_id: Number(electionId), ...results }, { electionId });
+        });
     });
-});
+}
 
-// Get election by ID with candidates
-app.get('/api/elections/:id', (req, res) => {
-    const { id } = req.params;
+// Current state for a client that is starting fresh: results once published, turnout for
+// admins before that. Sent without an id so it doesn't move the client's Last-Event-ID.
+function sendStreamSnapshot(client) {
+    if (!client.electionId) return;
 
-    const electionQuery = 'SELECT * FROM elections WHERE id = ?';
-    const candidatesQuery = 'SELECT * FROM candidates WHERE election_id = ? AND is_active = TRUE ORDER BY display_order';
+    storage.elections.findById(client.electionId, (err, election) => {
+        if (err || !election || !streamClients.has(client)) return;
+
+        if (resultsPublished(election.status)) {
+            return loadResults(election, (err, results) => {
+                if (err || !streamClients.has(client)) return;
+                writeStreamEvent(client.res, { type: 'results', data: { election_id: election.id, ...results } });
+            });
+        }
+        if (!client.admin) return;
+
+        loadTurnout(election.id, (err, turnout) => {
+            if (err || !streamClients.has(client)) return;
+            writeStreamEvent(client.res, { type: 'turnout', data: { election_id: election.id, ...turnout, delta: null } });
+        });
+    });
+}
+
+// Subscribe to live events, optionally for one election. EventSource can't send headers, so the
+// admin token may also be passed as ?access_token=; the stream ends when that token expires.
+app.get('/api/stream', (req, res) => {
+    const electionId = req.query.election_id ? parseInt(req.query.election_id) : null;
+    if (req.query.election_id && !Number.isInteger(electionId)) {
+        return res.status(400).json({ error: 'election_id must be an integer' });
+    }
 
-    db.query(electionQuery, [id], (err, electionResults) => {
+    resolveAdminSession(req, (err, admin, claims) => {
         if (err) {
-            console.error('Error fetching election:', err);
+            console.error('Error checking admin session:', err);
             return res.status(500).json({ error: 'Database error' });
         }
 
-        if (electionResults.length === 0) {
-            return res.status(404).json({ error: 'Election not found' });
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const client = { res, admin: !!admin, electionId };
+        const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+        const missed = lastEventId ? streamEventsSince(lastEventId) : null;
+
+        streamClients.add(client);
+        if (missed) {
+            missed.filter(event => streamEventVisible(client, event)).forEach(event => writeStreamEvent(res, event));
+        } else {
+            if (lastEventId) writeStreamEvent(res, { type: 'reset', data: { reason: 'Events since Last-Event-ID are no longer available' } });
+            sendStreamSnapshot(client);
         }
 
-        db.query(candidatesQuery, [id], (err, candidatesResults) => {
-            if (err) {
-                console.error('Error fetching candidates:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+        const expiry = admin ? setTimeout(() => res.end(), Math.min(claims.exp * 1000 - Date.now(), 2147483647)) : null;
 
-            const election = electionResults[0];
-            election.candidates = candidatesResults;
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            streamClients.delete(client);
+        });
+    }, req.query.access_token);
+});
+
+let turnoutPublisher = null;
+
+function startEventStream() {
+    turnoutPublisher = setInterval(flushTurnout, STREAM_TURNOUT_INTERVAL_MS);
+}
+
+// ============================================================================
+// Peer Replication
+// ============================================================================
+
+// With PEERS set, several server.js instances, each with its own store, keep one chain between
+// them. Every node records the votes it receives as pending transactions and gossips them to
+// its peers, which hold them in memory so the same voter can't cast a second ballot elsewhere.
+// Blocks are sealed in turns: time is cut into BLOCK_INTERVAL_MS slots, and slot s belongs to
+// validator s mod n of the sorted node URLs. In its slot a node proposes a block of its own
+// pending transactions. Each peer checks it against its own chain (a dry run of blocks.append)
+// and acknowledges it, after which it won't acknowledge a different block at that height until
+// the slot is over. Once a majority of the validators, the proposer included, has acknowledged
+// it, the proposer appends the block and sends it to every peer with the list of nodes that
+// acknowledged it. A node that finds a peer ahead of it (after a restart, say) fetches the
+// blocks it missed, checks their hashes, links and Merkle roots, and appends them.
+//
+// Blocks only hold the proposer's own transactions: each store numbers transactions as they
+// arrive and Merkle roots are built in id order, so a node can only confirm rows it already
+// holds in the order it holds them; everyone else inserts them fresh. The scheme tolerates
+// nodes crashing or dropping off the network, not nodes that lie: peers authenticate with the
+// shared PEER_SECRET and trust each other's checks of voter signatures and eligibility.
+const PEER_URLS = parseNodeUrls(process.env.PEERS);
+const NODE_URL = normalizeNodeUrl(process.env.NODE_URL || `http://localhost:${PORT}`);
+const PEER_SECRET = process.env.PEER_SECRET || '';
+const PEER_MODE = PEER_URLS.length > 0 && Boolean(PEER_SECRET);
+if (PEER_URLS.length > 0 && !PEER_SECRET) {
+    console.warn('PEERS is set but PEER_SECRET is not; running as a single node.');
+}
+
+const VALIDATORS = Array.from(new Set([NODE_URL].concat(PEER_URLS))).sort();
+const PEER_QUORUM = Math.floor(VALIDATORS.length / 2) + 1;
+const PEER_POLL_MS = parseInt(process.env.PEER_POLL_MS) || 1000;
+const PEER_TIMEOUT_MS = parseInt(process.env.PEER_TIMEOUT_MS) || 2000;
+const PEER_SYNC_BATCH = 50;
+const PEER_MEMPOOL_TTL_MS = 10 * 60 * 1000;
+
+// What this node last heard from each peer
+const peerStates = new Map((PEER_MODE ? VALIDATORS : []).filter(url => url !== NODE_URL).map(url => [url, {
+    url, reachable: false, height: null, tip_hash: null, last_seen: null, error: null
+}]));
+// Peers' pending transactions by hash: { nullifier_key, received_at }
+const peerMempool = new Map();
+// Hashes of this node's pending transactions already sent to the peers
+const gossipedHashes = new Set();
+// The block this node acknowledged at the next height: { block_number, current_hash, proposer, expires_at }
+let peerLock = null;
+// Set when a peer holds a different block at a height this node has sealed; proposing stops
+let chainFork = null;
+let proposedSlot = -1;
+let peerTickRunning = false;
+let peerSyncRunning = false;
+
+function normalizeNodeUrl(url) {
+    return String(url).trim().replace(/\/+$/, '');
+}
+
+function parseNodeUrls(list) {
+    return (list || '').split(',').map(normalizeNodeUrl).filter(Boolean);
+}
+
+function currentSlot() {
+    return Math.floor(Date.now() / BLOCK_INTERVAL_MS);
+}
+
+function slotValidator(slot) {
+    return VALIDATORS[slot % VALIDATORS.length];
+}
+
+function isPeerRequest(req) {
+    const secret = req.get('X-Peer-Secret');
+    if (!PEER_MODE || !secret || !req.originalUrl.startsWith('/api/peer/')) return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(secret), digest(PEER_SECRET));
+}
+
+function requirePeer(req, res, next) {
+    if (!PEER_MODE) return res.status(404).json({ error: 'Peer mode is not enabled' });
+    if (!isPeerRequest(req)) return res.status(401).json({ error: 'Peer authentication required' });
+    next();
+}
+
+// Peers that answered a status poll recently and agree on the validator set, plus this node
+function liveNodeCount() {
+    const cutoff = Date.now() - 3 * PEER_POLL_MS - PEER_TIMEOUT_MS;
+    return 1 + Array.from(peerStates.values()).filter(peer => peer.reachable && peer.last_seen >= cutoff).length;
+}
+
+// The newest block in this node's store, or null
+function localTip(callback) {
+    storage.blocks.list({ before: null, limit: 1 }, (err, rows) => callback(err, rows ? rows[0] || null : null));
+}
+
+// A JSON request to a peer. callback(err, status, body): network errors and timeouts are
+// errors, HTTP error statuses are not.
+function peerRequest(peerUrl, method, path, body, callback) {
+    const url = new URL(path, peerUrl + '/');
+    const payload = body === null ? null : JSON.stringify(body);
+    const headers = { Accept: 'application/json', 'X-Peer-Secret': PEER_SECRET };
+    if (payload !== null) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    let finished = false;
+    const finish = (err, status, response) => {
+        if (finished) return;
+        finished = true;
+        callback(err, status, response);
+    };
 
-            res.json(election);
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method, headers, timeout: PEER_TIMEOUT_MS }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => {
+            try {
+                finish(null, res.statusCode, text ? JSON.parse(text) : null);
+            } catch (parseErr) {
+                finish(new Error(`${peerUrl} did not return JSON`));
+            }
         });
     });
-});
+    req.on('timeout', () => req.destroy(new Error(`${peerUrl} did not answer within ${PEER_TIMEOUT_MS}ms`)));
+    req.on('error', finish);
+    if (payload !== null) req.write(payload);
+    req.end();
+}
 
-// Create new election
-app.post('/api/elections', (req, res) => {
-    const { title, description, type, start_date, end_date, voting_method, privacy_level, requires_verification } = req.body;
+// Send the same request to every peer; callback(results), one { peer, err, status, body } each
+function broadcastToPeers(method, path, body, callback) {
+    const peers = Array.from(peerStates.keys());
+    const results = [];
+    if (peers.length === 0) return callback(results);
 
-    if (!title || !start_date || !end_date) {
-        return res.status(400).json({ error: 'Missing required fields' });
+    peers.forEach(peer => peerRequest(peer, method, path, body, (err, status, response) => {
+        results.push({ peer, err, status, body: response });
+        if (results.length === peers.length) callback(results);
+    }));
+}
+
+// A block header as peers exchange it
+function replicatedBlock(block) {
+    return {
+        block_number: Number(block.block_number),
+        current_hash: block.current_hash,
+        previous_hash: block.previous_hash,
+        merkle_root: block.merkle_root,
+        timestamp: new Date(block.timestamp).toISOString(),
+        transaction_count: Number(block.transaction_count)
+    };
+}
+
+// A transaction as peers exchange it: the signed fields with the JSON columns parsed, so its
+// hash can be recomputed, and the time it was cast
+function replicatedTransaction(row) {
+    return {
+        transaction_hash: row.transaction_hash,
+        election_id: Number(row.election_id),
+        voter_address: row.voter_address,
+        candidate_id: row.candidate_id === null ? null : Number(row.candidate_id),
+        vote_data: parseVoteData(row.vote_data),
+        signature: row.signature,
+        ballot: parseVoteData(row.ballot) || null,
+        timestamp: new Date(row.timestamp).toISOString()
+    };
+}
+
+function validReplicatedTransaction(tx) {
+    return Boolean(tx) && typeof tx === 'object' && typeof tx.transaction_hash === 'string' &&
+        hashTransaction(tx) === tx.transaction_hash && !isNaN(new Date(tx.timestamp).getTime());
+}
+
+// Why a block's own hashes don't hold up (the Merkle root over its transactions in the order
+// given, their count, the genesis link and the block hash), or null when they do
+function blockContentsError(block, transactions) {
+    if (!block || typeof block !== 'object' || !Number.isInteger(block.block_number) || !Array.isArray(transactions)) {
+        return 'malformed_block';
     }
+    if (transactions.length === 0 || transactions.length !== block.transaction_count) return 'transaction_count_mismatch';
+    if (merkleRoot(transactions.map(tx => tx && tx.transaction_hash)) !== block.merkle_root) return 'merkle_root_mismatch';
+    if (block.block_number === 0 && block.previous_hash !== GENESIS_PREVIOUS_HASH) return 'previous_hash_mismatch';
+    if (isNaN(new Date(block.timestamp).getTime()) || hashBlock(block) !== block.current_hash) return 'block_hash_mismatch';
+    return null;
+}
 
-    const blockchainAddress = '0x' + crypto.randomBytes(20).toString('hex');
+// Shape a block's transactions as blocks.append entries. callback(err, entries, rejection),
+// where rejection says why they can't be applied here, e.g. an election this node doesn't have.
+function replicationEntries(transactions, callback) {
+    const invalid = transactions.find(tx => !validReplicatedTransaction(tx));
+    if (invalid !== undefined) {
+        return callback(null, null, { transaction_hash: invalid && invalid.transaction_hash, reason: 'invalid_transaction' });
+    }
+
+    const electionIds = Array.from(new Set(transactions.map(tx => Number(tx.election_id))));
+    const elections = new Map();
+    const lookupNext = (k) => {
+        if (k < electionIds.length) {
+            return storage.elections.findById(electionIds[k], (err, election) => {
+                if (err) return callback(err);
+                if (!election) return callback(null, null, { election_id: electionIds[k], reason: 'unknown_election' });
+                elections.set(electionIds[k], election);
+                lookupNext(k + 1);
+            });
+        }
 
-    const query = `INSERT INTO elections (title, description, type, start_date, end_date, voting_method, 
-                   privacy_level, requires_verification, blockchain_address) 
-                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        callback(null, transactions.map(tx => {
+            const ballot = tx.ballot ? JSON.stringify(tx.ballot) : null;
+            const voterHash = crypto.createHash('sha256').update(tx.voter_address + tx.timestamp).digest('hex').substring(0, 12);
+            return {
+                transaction: {
+                    transaction_hash: tx.transaction_hash,
+                    election_id: Number(tx.election_id),
+                    voter_address: tx.voter_address,
+                    candidate_id: tx.candidate_id,
+                    vote_data: JSON.stringify(tx.vote_data),
+                    signature: tx.signature,
+                    ballot,
+                    timestamp: tx.timestamp
+                },
+                vote: {
+                    election_id: Number(tx.election_id),
+                    candidate_id: tx.candidate_id,
+                    ballot,
+                    voter_id: 'ANON_' + voterHash,
+                    nullifier: voteNullifier(tx.election_id, tx.voter_address)
+                },
+                allow_revoting: Boolean(elections.get(Number(tx.election_id)).allow_revoting)
+            };
+        }));
+    };
+    lookupNext(0);
+}
 
-    db.query(query, [title, description, type, start_date, end_date, voting_method, privacy_level, requires_verification, blockchainAddress], 
-        (err, results) => {
-            if (err) {
-                console.error('Error creating election:', err);
-                return res.status(500).json({ error: 'Database error' });
+// Append a block sealed in peer mode, this node's own included. callback(err, outcome) with
+// blocks.append's outcome, { status: 'rejected', reason } when the block or a transaction
+// doesn't check out, { status: 'known' } when the block is already on this chain, or
+// { status: 'fork' } when a different block holds its height. options.dryRun only checks.
+function applyReplicatedBlock(block, transactions, options, callback) {
+    const contentsError = blockContentsError(block, transactions);
+    if (contentsError) return callback(null, { status: 'rejected', reason: contentsError });
+
+    replicationEntries(transactions, (err, entries, rejection) => {
+        if (err) return callback(err);
+        if (rejection) return callback(null, Object.assign({ status: 'rejected' }, rejection));
+
+        const stored = Object.assign({}, block, {
+            timestamp: new Date(block.timestamp),
+            block_size: Buffer.byteLength(transactions.map(tx => tx.transaction_hash).join(''))
+        });
+        storage.blocks.append(stored, entries, { dryRun: Boolean(options.dryRun) }, (err, outcome) => {
+            if (err) return callback(err);
+            if (outcome.status === 'appended') {
+                if (!options.dryRun) blockAppended(stored, transactions, outcome, options.proposer);
+                return callback(null, outcome);
+            }
+            if (outcome.status !== 'not_next' || !outcome.last || block.block_number > outcome.last.block_number) {
+                return callback(null, outcome);
             }
 
-            res.status(201).json({ 
-                message: 'Election created successfully',
-                id: results.insertId,
-                blockchain_address: blockchainAddress
+            storage.blocks.findByNumber(block.block_number, (err, held) => {
+                if (err) return callback(err);
+                callback(null, held && held.current_hash === block.current_hash ? { status: 'known' } : { status: 'fork' });
             });
         });
-});
+    });
+}
 
-// Update election
-app.put('/api/elections/:id', (req, res) => {
-    const { id } = req.params;
-    const { title, description, type, status, start_date, end_date, voting_method, privacy_level } = req.body;
+function blockAppended(block, transactions, outcome, proposer) {
+    transactions.forEach(tx => {
+        peerMempool.delete(tx.transaction_hash);
+        gossipedHashes.delete(tx.transaction_hash);
+    });
+    new Set(transactions.map(tx => Number(tx.election_id))).forEach(markTurnoutChanged);
+    if (peerLock && peerLock.block_number <= block.block_number) peerLock = null;
+
+    console.log(`Appended block #${block.block_number} with ${block.transaction_count} transaction(s) from ${proposer || 'a peer'}: ${block.current_hash}`);
+    if (outcome.failed.length > 0) {
+        console.warn(`${outcome.failed.length} pending transaction(s) failed: the voter's ballot was sealed on another node first`);
+    }
+    publishStreamEvent('block', block);
+}
 
-    const query = `UPDATE elections SET title = ?, description = ?, type = ?, status = ?, 
-                   start_date = ?, end_date = ?, voting_method = ?, privacy_level = ? 
-                   WHERE id = ?`;
+function recordFork(peer, blockNumber) {
+    if (!chainFork) console.error(`Chain fork: ${peer} holds a different block #${blockNumber}; this node stops proposing until it is resolved`);
+    chainFork = { peer, block_number: blockNumber, detected_at: new Date().toISOString() };
+}
 
-    db.query(query, [title, description, type, status, start_date, end_date, voting_method, privacy_level, id], 
-        (err, results) => {
+// Fetch and append the blocks a peer has beyond this node's tip, one batch at a time
+function syncFromPeer(peer, callback) {
+    if (peerSyncRunning) return callback(null);
+    peerSyncRunning = true;
+    const done = (err) => {
+        peerSyncRunning = false;
+        callback(err);
+    };
+
+    localTip((err, last) => {
+        if (err) return done(err);
+
+        const from = last ? last.block_number + 1 : 0;
+        peerRequest(peer, 'GET', `/api/peer/blocks?from=${from}&limit=${PEER_SYNC_BATCH}`, null, (err, status, body) => {
+            if (err) return done(err);
+            if (status !== 200 || !body || !Array.isArray(body.blocks)) {
+                return done(new Error(`${peer} answered ${status} when asked for blocks from #${from}`));
+            }
+
+            const applyNext = (k) => {
+                if (k === body.blocks.length) {
+                    if (k > 0) console.log(`Synced ${k} block(s) from ${peer}`);
+                    return done(null);
+                }
+                const { block, transactions } = body.blocks[k] || {};
+                applyReplicatedBlock(block, transactions, { proposer: peer }, (err, outcome) => {
+                    if (err) return done(err);
+                    if (outcome.status === 'fork' || outcome.status === 'not_next') {
+                        recordFork(peer, from + k);
+                        return done(null);
+                    }
+                    if (outcome.status !== 'appended' && outcome.status !== 'known') {
+                        return done(new Error(`Block #${from + k} from ${peer} was rejected: ${outcome.reason || outcome.status}`));
+                    }
+                    applyNext(k + 1);
+                });
+            };
+            applyNext(0);
+        });
+    });
+}
+
+// Poll every peer's status, noting which are reachable and how far their chains reach
+function pollPeers(callback) {
+    broadcastToPeers('GET', '/api/peer/status', null, (results) => {
+        results.forEach(result => {
+            const state = peerStates.get(result.peer);
+            const body = result.body || {};
+            if (result.err || result.status !== 200) {
+                state.reachable = false;
+                state.error = result.err ? result.err.message : `status ${result.status}`;
+                return;
+            }
+            if (!Array.isArray(body.validators) || body.validators.join(',') !== VALIDATORS.join(',')) {
+                state.reachable = false;
+                state.error = 'validator_set_mismatch';
+                return;
+            }
+            Object.assign(state, { reachable: true, height: body.height, tip_hash: body.tip_hash, last_seen: Date.now(), error: null });
+        });
+        callback();
+    });
+}
+
+// Send the peers this node's pending transactions they haven't been sent yet
+function gossipPending(callback) {
+    storage.transactions.listPending(BLOCK_MAX_TRANSACTIONS, (err, pending) => {
+        if (err) {
+            console.error('Error listing pending transactions:', err);
+            return callback();
+        }
+
+        // Forget hashes that have since been sealed or failed
+        const pendingHashes = new Set(pending.map(tx => tx.transaction_hash));
+        Array.from(gossipedHashes).filter(hash => !pendingHashes.has(hash)).forEach(hash => gossipedHashes.delete(hash));
+
+        const fresh = pending.filter(tx => !gossipedHashes.has(tx.transaction_hash));
+        if (fresh.length === 0) return callback();
+        fresh.forEach(tx => gossipedHashes.add(tx.transaction_hash));
+        broadcastToPeers('POST', '/api/peer/transactions', { transactions: fresh.map(replicatedTransaction) }, () => callback());
+    });
+}
+
+// In this node's slot, propose a block of its pending transactions and, with a majority's
+// acknowledgement, append it and send it to the peers
+function proposeBlock(callback) {
+    const slot = currentSlot();
+    if (slotValidator(slot) !== NODE_URL || slot === proposedSlot || chainFork) return callback();
+    proposedSlot = slot;
+
+    localTip((err, last) => {
+        if (err) {
+            console.error('Error reading chain tip:', err);
+            return callback();
+        }
+        storage.transactions.listPending(BLOCK_MAX_TRANSACTIONS, (err, pending) => {
             if (err) {
-                console.error('Error updating election:', err);
-                return res.status(500).json({ error: 'Database error' });
+                console.error('Error listing pending transactions:', err);
+                return callback();
             }
+            if (pending.length === 0) return callback();
 
-            if (results.affectedRows === 0) {
-                return res.status(404).json({ error: 'Election not found' });
+            const transactions = pending.map(replicatedTransaction);
+            const block = replicatedBlock(buildBlock(transactions.map(tx => tx.transaction_hash), last));
+            if (lockedAgainst(block)) return callback();
+            peerLock = { block_number: block.block_number, current_hash: block.current_hash, proposer: NODE_URL, expires_at: slotLockExpiry(slot) };
+
+            broadcastToPeers('POST', '/api/peer/proposals', { proposer: NODE_URL, slot, block, transactions }, (results) => {
+                const acks = [NODE_URL].concat(results.filter(r => !r.err && r.status === 200 && r.body && r.body.ack).map(r => r.peer));
+                // Past the end of the slot peers may acknowledge the next proposer's block instead
+                if (acks.length < PEER_QUORUM || Date.now() >= (slot + 1) * BLOCK_INTERVAL_MS) {
+                    const refusals = results.map(r => `${r.peer}: ${r.err ? r.err.message : (r.body && r.body.reason) || (r.body && r.body.ack ? 'ack' : r.status)}`);
+                    console.warn(`Block #${block.block_number} not sealed: ${acks.length} of ${PEER_QUORUM} acknowledgements needed in time (${refusals.join('; ')})`);
+                    peerLock = null;
+                    return callback();
+                }
+
+                applyReplicatedBlock(block, transactions, { proposer: NODE_URL }, (err, outcome) => {
+                    if (err || outcome.status !== 'appended') {
+                        console.error(`Error appending agreed block #${block.block_number}:`, err || outcome);
+                        return callback();
+                    }
+                    broadcastToPeers('POST', '/api/peer/blocks', { proposer: NODE_URL, block, transactions, acks }, (results) => {
+                        results.filter(r => r.err || r.status >= 300).forEach(r => {
+                            console.warn(`${r.peer} did not take block #${block.block_number}: ${r.err ? r.err.message : JSON.stringify(r.body)}`);
+                        });
+                        callback();
+                    });
+                });
+            });
+        });
+    });
+}
+
+// A lock holds until the proposer's slot is over, with time for its block to arrive
+function slotLockExpiry(slot) {
+    return (slot + 1) * BLOCK_INTERVAL_MS + PEER_TIMEOUT_MS;
+}
+
+// Whether this node acknowledged a different block at the same height that may still be sealed
+function lockedAgainst(block) {
+    return Boolean(peerLock) && peerLock.block_number === block.block_number &&
+        peerLock.current_hash !== block.current_hash && peerLock.expires_at > Date.now();
+}
+
+// One round: poll the peers, catch up with any that are ahead, gossip and, in this node's slot, propose
+function peerTick() {
+    if (peerTickRunning) return;
+    peerTickRunning = true;
+    const done = () => {
+        peerTickRunning = false;
+    };
+
+    localTip((err, last) => {
+        if (err) {
+            console.error('Error reading chain tip:', err);
+            return done();
+        }
+        pollPeers(() => {
+            const height = last ? last.block_number : -1;
+            const peers = Array.from(peerStates.values()).filter(peer => peer.reachable && peer.height !== null);
+            peers.filter(peer => peer.height === height && peer.tip_hash !== last.current_hash)
+                .forEach(peer => recordFork(peer.url, height));
+
+            const ahead = peers.filter(peer => peer.height > height).sort((a, b) => b.height - a.height)[0];
+            if (ahead) {
+                return syncFromPeer(ahead.url, (err) => {
+                    if (err) console.error(`Error syncing from ${ahead.url}:`, err.message);
+                    done();
+                });
             }
+            gossipPending(() => proposeBlock(done));
+        });
+    });
+}
 
-            res.json({ message: 'Election updated successfully' });
+// Before acknowledging a block at a height where this node's lock on another proposer's block
+// has expired, ask that proposer whether its block was sealed after all (its commit may have
+// been lost). callback(sealed); when it was, this node catches up from it.
+function lockedBlockSealed(block, callback) {
+    if (!peerLock || peerLock.block_number !== block.block_number || peerLock.current_hash === block.current_hash ||
+        peerLock.proposer === NODE_URL) {
+        return callback(false);
+    }
+
+    const holder = peerLock.proposer;
+    peerRequest(holder, 'GET', '/api/peer/status', null, (err, status, body) => {
+        if (err || status !== 200 || !body || body.height === null || body.height < block.block_number) return callback(false);
+        syncFromPeer(holder, (err) => {
+            if (err) console.error(`Error syncing from ${holder}:`, err.message);
+        });
+        callback(true);
+    });
+}
+
+// Whether a peer recently gossiped a pending ballot holding this nullifier
+function peerMempoolHolds(electionId, nullifier) {
+    const key = `${Number(electionId)}:${nullifier}`;
+    const cutoff = Date.now() - PEER_MEMPOOL_TTL_MS;
+    return Array.from(peerMempool.values()).some(entry => entry.nullifier_key === key && entry.received_at >= cutoff);
+}
+
+// This node's chain tip and validator set, polled by its peers
+app.get('/api/peer/status', requirePeer, (req, res) => {
+    localTip((err, last) => {
+        if (err) {
+            console.error('Error reading chain tip:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({
+            node: NODE_URL,
+            height: last ? last.block_number : null,
+            tip_hash: last ? last.current_hash : null,
+            validators: VALIDATORS,
+            slot: currentSlot(),
+            fork: chainFork
         });
+    });
 });
 
-// Delete election
-app.delete('/api/elections/:id', (req, res) => {
-    const { id } = req.params;
+// Pending transactions gossiped by a peer
+app.post('/api/peer/transactions', requirePeer, (req, res) => {
+    const transactions = Array.isArray(req.body.transactions) ? req.body.transactions : [];
+    const now = Date.now();
+    peerMempool.forEach((entry, hash) => {
+        if (entry.received_at < now - PEER_MEMPOOL_TTL_MS) peerMempool.delete(hash);
+    });
+
+    const valid = transactions.filter(validReplicatedTransaction);
+    valid.forEach(tx => peerMempool.set(tx.transaction_hash, {
+        nullifier_key: `${Number(tx.election_id)}:${voteNullifier(tx.election_id, tx.voter_address)}`,
+        received_at: now
+    }));
+    res.json({ accepted: valid.length, rejected: transactions.length - valid.length });
+});
 
-    const query = 'DELETE FROM elections WHERE id = ?';
+// A block proposed by the slot's validator: acknowledge it if it would extend this node's chain
+app.post('/api/peer/proposals', requirePeer, (req, res) => {
+    const { proposer, slot, block, transactions } = req.body;
+    const refuse = (reason) => res.status(409).json({ ack: false, node: NODE_URL, reason });
 
-    db.query(query, [id], (err, results) => {
+    if (!Number.isInteger(slot) || slotValidator(slot) !== proposer || Math.abs(slot - currentSlot()) > 1) {
+        return refuse('not_proposers_slot');
+    }
+    if (chainFork) return refuse('fork');
+
+    applyReplicatedBlock(block, transactions, { dryRun: true }, (err, outcome) => {
         if (err) {
-            console.error('Error deleting election:', err);
+            console.error('Error checking proposed block:', err);
             return res.status(500).json({ error: 'Database error' });
         }
+        if (outcome.status === 'not_next' && (!outcome.last || block.block_number > outcome.last.block_number + 1)) {
+            syncFromPeer(proposer, (err) => {
+                if (err) console.error(`Error syncing from ${proposer}:`, err.message);
+            });
+            return refuse('behind');
+        }
+        if (outcome.status !== 'appended') return refuse(outcome.reason || outcome.status);
+        if (lockedAgainst(block)) return refuse('locked');
 
-        if (results.affectedRows === 0) {
-            return res.status(404).json({ error: 'Election not found' });
+        lockedBlockSealed(block, (sealed) => {
+            if (sealed || lockedAgainst(block)) return refuse('locked');
+            peerLock = { block_number: block.block_number, current_hash: block.current_hash, proposer, expires_at: slotLockExpiry(slot) };
+            res.json({ ack: true, node: NODE_URL });
+        });
+    });
+});
+
+// A block a majority acknowledged, sent by its proposer
+app.post('/api/peer/blocks', requirePeer, (req, res) => {
+    const { proposer, block, transactions } = req.body;
+    const acks = new Set((Array.isArray(req.body.acks) ? req.body.acks : []).filter(node => VALIDATORS.includes(node)));
+    if (!VALIDATORS.includes(proposer) || !acks.has(proposer) || acks.size < PEER_QUORUM) {
+        return res.status(409).json({ status: 'rejected', reason: 'no_quorum' });
+    }
+
+    applyReplicatedBlock(block, transactions, { proposer }, (err, outcome) => {
+        if (err) {
+            console.error('Error appending replicated block:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (outcome.status === 'not_next') {
+            // Blocks are missing in between; fetch them from the proposer
+            syncFromPeer(proposer, (err) => {
+                if (err) console.error(`Error syncing from ${proposer}:`, err.message);
+            });
+            return res.status(202).json({ status: 'behind' });
+        }
+        if (outcome.status === 'fork') recordFork(proposer, block.block_number);
+        if (outcome.status !== 'appended' && outcome.status !== 'known') return res.status(409).json(outcome);
+        res.json({ status: outcome.status });
+    });
+});
+
+// Sealed blocks with their transactions from block number `from` on, for a node catching up
+app.get('/api/peer/blocks', requirePeer, (req, res) => {
+    const from = parseInt(req.query.from);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || PEER_SYNC_BATCH, 1), PEER_SYNC_BATCH);
+    if (!(from >= 0)) return res.status(400).json({ error: 'from must be a block number' });
+
+    storage.blocks.listRange(from, from + limit - 1, (err, blocks) => {
+        if (err) {
+            console.error('Error listing blocks:', err);
+            return res.status(500).json({ error: 'Database error' });
         }
+        storage.transactions.listSealed(from, from + limit - 1, (err, rows) => {
+            if (err) {
+                console.error('Error listing sealed transactions:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
 
-        res.json({ message: 'Election deleted successfully' });
+            const byBlock = new Map();
+            rows.forEach(row => {
+                if (!byBlock.has(row.block_number)) byBlock.set(row.block_number, []);
+                byBlock.get(row.block_number).push(replicatedTransaction(row));
+            });
+            res.json({
+                blocks: blocks.map(block => ({
+                    block: replicatedBlock(block),
+                    transactions: byBlock.get(block.block_number) || []
+                }))
+            });
+        });
     });
 });
 
 // ============================================================================
-// Candidates API Routes
+// Blockchain API Routes
 // ============================================================================
 
-// Get all candidates for an election
-app.get('/api/elections/:id/candidates', (req, res) => {
-    const { id } = req.params;
+// Get blockchain statistics. Block height and node count are live: this node's chain tip and
+// the peers answering its status polls (see Peer Replication).
+app.get('/api/blockchain/stats', (req, res) => {
+    storage.stats.blockchain((err, stats) => {
+        if (err) {
+            console.error('Error fetching blockchain stats:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        localTip((err, last) => {
+            if (err) {
+                console.error('Error reading chain tip:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            res.json(Object.assign(stats, {
+                block_height: last ? last.block_number : null,
+                network_nodes: liveNodeCount(),
+                consensus: PEER_MODE ? 'round-robin' : 'single-node'
+            }));
+        });
+    });
+});
+
+// The peer network as this node sees it
+app.get('/api/blockchain/peers', (req, res) => {
+    localTip((err, last) => {
+        if (err) {
+            console.error('Error reading chain tip:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({
+            mode: PEER_MODE ? 'peer' : 'single-node',
+            node: PEER_MODE ? NODE_URL : null,
+            height: last ? last.block_number : null,
+            validators: PEER_MODE ? VALIDATORS : [],
+            quorum: PEER_MODE ? PEER_QUORUM : 1,
+            slot_proposer: PEER_MODE ? slotValidator(currentSlot()) : null,
+            network_nodes: liveNodeCount(),
+            fork: chainFork,
+            peers: Array.from(peerStates.values()).map(peer => ({
+                url: peer.url,
+                reachable: peer.reachable,
+                height: peer.height,
+                last_seen: peer.last_seen ? new Date(peer.last_seen).toISOString() : null,
+                error: peer.error
+            }))
+        });
+    });
+});
+
+// Explorer pagination. Lists are newest first and return at most `limit` rows (1 to
+// EXPLORER_MAX_LIMIT). When there are more, the response carries an opaque cursor for the next
+// page in X-Next-Cursor and a Link rel="next" header; pass it back as ?cursor= with the same
+// filters. Cursors are keyset positions, so pages stay stable while new blocks are sealed.
+const EXPLORER_MAX_LIMIT = 100;
+const TRANSACTION_STATUSES = ['pending', 'confirmed', 'failed'];
+const BLOCK_HASH_PATTERN = /^0x[0-9a-f]{62}$/i;
+
+// The requested page size, the default when absent, or null when it isn't a valid size
+function explorerLimit(value, defaultLimit) {
+    if (value === undefined || value === '') return defaultLimit;
+    if (!/^\d+$/.test(String(value))) return null;
+    const limit = Number(value);
+    return limit >= 1 && limit <= EXPLORER_MAX_LIMIT ? limit : null;
+}
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// The position a cursor encodes, or null if it is malformed. field names the one integer
+// key the cursor must hold.
+function decodeCursor(cursor, field) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return position && Number.isInteger(position[field]) && position[field] >= 0 ? position : null;
+    } catch (parseErr) {
+        return null;
+    }
+}
 
-    const query = `SELECT c.*, COUNT(v.id) as vote_count
-                   FROM candidates c
-                   LEFT JOIN votes v ON c.id = v.candidate_id AND v.verification_status = 'verified'
-                   WHERE c.election_id = ? AND c.is_active = TRUE
-                   GROUP BY c.id
-                   ORDER BY c.display_order`;
+// Trim the extra row fetched to detect a next page and, if there was one, advertise its cursor
+function sendPage(req, res, rows, limit, nextPosition, format) {
+    const page = rows.slice(0, limit);
+    if (rows.length > limit) {
+        const cursor = encodeCursor(nextPosition(page[page.length - 1]));
+        const next = new URL(req.originalUrl, 'http://localhost');
+        next.searchParams.set('cursor', cursor);
+        res.set({ 'X-Next-Cursor': cursor, 'Link': `<${next.pathname}${next.search}>; rel="next"` });
+    }
+    res.json(page.map(format));
+}
+
+// Get blocks, newest first
+app.get('/api/blockchain/blocks', (req, res) => {
+    const limit = explorerLimit(req.query.limit, 10);
+    if (!limit) {
+        return res.status(400).json({ error: `limit must be an integer from 1 to ${EXPLORER_MAX_LIMIT}` });
+    }
 
-    db.query(query, [id], (err, results) => {
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, 'before') : {};
+    if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    storage.blocks.list({ before: position.before, limit: limit + 1 }, (err, results) => {
         if (err) {
-            console.error('Error fetching candidates:', err);
+            console.error('Error fetching blocks:', err);
             return res.status(500).json({ error: 'Database error' });
         }
-        res.json(results);
+        sendPage(req, res, results, limit, block => ({ before: block.block_number }), block => block);
     });
 });
 
-// Add candidate to election
-app.post('/api/elections/:id/candidates', (req, res) => {
-    const { id } = req.params;
-    const { name, party, platform, biography, photo_url, contact_email, display_order } = req.body;
+// Get one block, by number or by hash, with its transactions (redacted like the list)
+app.get('/api/blockchain/blocks/:numberOrHash', (req, res) => {
+    const { numberOrHash } = req.params;
 
-    if (!name) {
-        return res.status(400).json({ error: 'Candidate name is required' });
+    let lookup;
+    if (/^\d+$/.test(numberOrHash)) {
+        lookup = (callback) => storage.blocks.findByNumber(Number(numberOrHash), callback);
+    } else if (BLOCK_HASH_PATTERN.test(numberOrHash)) {
+        lookup = (callback) => storage.blocks.findByHash(numberOrHash.toLowerCase(), callback);
+    } else {
+        return res.status(400).json({ error: 'Expected a block number or a 0x-prefixed block hash' });
     }
 
-    const query = `INSERT INTO candidates (election_id, name, party, platform, biography, 
-                   photo_url, contact_email, display_order) 
-                   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+    lookup((err, block) => {
+        if (err) {
+            console.error('Error fetching block:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!block) {
+            return res.status(404).json({ error: 'Block not found' });
+        }
 
-    db.query(query, [id, name, party, platform, biography, photo_url, contact_email, display_order || 0], 
-        (err, results) => {
+        storage.transactions.list({ block_number: block.block_number }, { limit: block.transaction_count }, (err, transactions) => {
             if (err) {
-                console.error('Error adding candidate:', err);
+                console.error('Error fetching block transactions:', err);
                 return res.status(500).json({ error: 'Database error' });
             }
-
-            res.status(201).json({ 
-                message: 'Candidate added successfully',
-                id: results.insertId
-            });
+            res.json(Object.assign({}, block, { transactions: transactions.map(redactTransaction) }));
         });
+    });
 });
 
-// Update candidate
-app.put('/api/candidates/:id', (req, res) => {
-    const { id } = req.params;
-    const { name, party, platform, biography, photo_url, contact_email, display_order } = req.body;
+// Parse transaction list filters: election_id, status and a from/to range on the timestamp.
+// Returns { error } for bad input.
+function transactionFilters(query) {
+    const filters = { election_id: null, status: null, from: null, to: null };
 
-    const query = `UPDATE candidates SET name = ?, party = ?, platform = ?, biography = ?, 
-                   photo_url = ?, contact_email = ?, display_order = ? 
-                   WHERE id = ?`;
+    if (query.election_id) {
+        if (!/^\d+$/.test(String(query.election_id))) return { error: 'election_id must be an integer' };
+        filters.election_id = Number(query.election_id);
+    }
 
-    db.query(query, [name, party, platform, biography, photo_url, contact_email, display_order, id], 
-        (err, results) => {
-            if (err) {
-                console.error('Error updating candidate:', err);
-                return res.status(500).json({ error: 'Database error' });
-            }
+    if (query.status) {
+        if (!TRANSACTION_STATUSES.includes(query.status)) {
+            return { error: 'status must be one of: ' + TRANSACTION_STATUSES.join(', ') };
+        }
+        filters.status = query.status;
+    }
 
-            if (results.affectedRows === 0) {
-                return res.status(404).json({ error: 'Candidate not found' });
-            }
+    for (const field of ['from', 'to']) {
+        if (!query[field]) continue;
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) return { error: `${field} must be a date` };
+        filters[field] = date;
+    }
 
-            res.json({ message: 'Candidate updated successfully' });
-        });
-});
+    return filters;
+}
 
-// Delete candidate
-app.delete('/api/candidates/:id', (req, res) => {
-    const { id } = req.params;
+// Get transactions, newest first, redacted per each election's privacy_level
+app.get('/api/blockchain/transactions', (req, res) => {
+    const limit = explorerLimit(req.query.limit, 20);
+    if (!limit) {
+        return res.status(400).json({ error: `limit must be an integer from 1 to ${EXPLORER_MAX_LIMIT}` });
+    }
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, 'before_id') : {};
+    if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const query = 'UPDATE candidates SET is_active = FALSE WHERE id = ?';
+    const filters = transactionFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
 
-    db.query(query, [id], (err, results) => {
+    const list = () => storage.transactions.list(filters, { before_id: position.before_id, limit: limit + 1 }, (err, results) => {
         if (err) {
-            console.error('Error deleting candidate:', err);
+            console.error('Error fetching transactions:', err);
             return res.status(500).json({ error: 'Database error' });
         }
+        sendPage(req, res, results, limit, tx => ({ before_id: tx.id }), redactTransaction);
+    });
 
-        if (results.affectedRows === 0) {
-            return res.status(404).json({ error: 'Candidate not found' });
+    if (!filters.election_id) return list();
+
+    // Filtering by election would tie a private election's transactions back to it
+    storage.elections.findById(filters.election_id, (err, election) => {
+        if (err) {
+            console.error('Error fetching election:', err);
+            return res.status(500).json({ error: 'Database error' });
         }
 
-        res.json({ message: 'Candidate deleted successfully' });
+        if (!election) {
+            return res.status(404).json({ error: 'Election not found' });
+        }
+
+        if (normalizePrivacyLevel(election.privacy_level) === 'private') {
+            return res.status(403).json({ error: 'Transactions of private elections cannot be listed by election' });
+        }
+        list();
     });
 });
 
-// ============================================================================
-// Voting API Routes
-// ============================================================================
+// Get one transaction by hash, redacted like the list
+app.get('/api/blockchain/transactions/:hash', (req, res) => {
+    storage.transactions.findByHash(req.params.hash, (err, tx) => {
+        if (err) {
+            console.error('Error fetching transaction:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
 
-// Submit vote
-app.post('/api/vote', (req, res) => {
-    const { election_id, candidate_id, voter_address, vote_data, signature } = req.body;
+        if (!tx) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        res.json(redactTransaction(tx));
+    });
+});
 
-    if (!election_id || !candidate_id || !voter_address || !vote_data || !signature) {
-        return res.status(400).json({ error: 'Missing required voting data' });
-    }
+// Verify chain integrity from genesis
+app.get('/api/blockchain/verify', (req, res) => {
+    buildIntegrityReport(null, (err, report) => {
+        if (err) {
+            console.error('Error verifying blockchain:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        logChainVerification(req, report);
+        res.json(report);
+    });
+});
 
-    // Check if election is active
-    const electionQuery = 'SELECT status, start_date, end_date FROM elections WHERE id = ?';
+// Verify chain integrity for a single election's transactions and votes
+app.get('/api/elections/:id/verify', (req, res) => {
+    const { id } = req.params;
 
-    db.query(electionQuery, [election_id], (err, electionResults) => {
+    storage.elections.findById(id, (err, election) => {
         if (err) {
-            console.error('Error checking election:', err);
+            console.error('Error fetching election:', err);
             return res.status(500).json({ error: 'Database error' });
         }
 
-        if (electionResults.length === 0) {
+        if (!election) {
             return res.status(404).json({ error: 'Election not found' });
         }
 
-        const election = electionResults[0];
-        const now = new Date();
+        buildIntegrityReport(election.id, (err, report) => {
+            if (err) {
+                console.error('Error verifying election chain:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            logChainVerification(req, report);
+            res.json(report);
+        });
+    });
+});
 
-        let reason = null;
-        const startDate = new Date(election.start_date);
-        const endDate = new Date(election.end_date);
-        if (now < startDate) {
-            reason = 'not_started';
-        } else if (now > endDate) {
-            reason = 'ended';
-        } else if (election.status !== 'active') {
-            reason = 'inactive';
-        }
+// ============================================================================
+// Turnout Analytics API Routes
+// ============================================================================
 
-        if (reason) {
-            // Log rejected vote attempt to audit_logs for traceability
-            try {
-                const details = JSON.stringify({
-                    reason,
-                    status: election.status,
-                    start_date: election.start_date,
-                    end_date: election.end_date,
-                    now: now.toISOString(),
-                    candidate_id: candidate_id || null,
-                    voter_address: voter_address || null
-                });
+// Participation over time for charting: accepted votes and rejected attempts per time bucket,
+// cumulative turnout against the eligibility roll, rejections by reason and the busiest minute.
+// Storage aggregates per minute; each election's aggregates are cached for ANALYTICS_CACHE_MS
+// and rebucketed per request, so dashboards polling during a busy window cost at most one set of
+// aggregate queries per election per interval, whoever is watching.
+const ANALYTICS_CACHE_MS = parseInt(process.env.ANALYTICS_CACHE_MS) || 60000;
+const ANALYTICS_MAX_BUCKETS = 5000;
+const ANALYTICS_COMPARE_LIMIT = 20;
+const ANALYTICS_BUCKETS = { '1m': 1, '5m': 5, '15m': 15, '1h': 60, '6h': 360, '1d': 1440 };
+const ANALYTICS_SERIES_COLUMNS = ['bucket_start', 'votes', 'ballots', 'rejected', 'cumulative_ballots', 'turnout_percentage'];
+const ANALYTICS_COMPARE_COLUMNS = ['election_id', 'title', 'status', 'start_date', 'end_date', 'eligible_voters', 'ballots_cast',
+    'turnout_percentage', 'submissions', 'rejected', 'peak_votes_per_minute', 'peak_minute', 'first_vote_at', 'last_vote_at'];
 
-                const logQuery = `INSERT INTO audit_logs (user_id, user_type, action, resource_type, details) VALUES (?, 'voter', 'VOTE_REJECTED', 'election', ?)`;
-                // user_id is an integer in the schema; we don't have a numeric user id for anonymous voters
-                // so pass NULL for user_id and keep the voter's public address inside details JSON.
-                db.query(logQuery, [null, details], (logErr) => {
-                    if (logErr) console.error('Error logging rejected vote:', logErr);
-                    // Respond with structured error after attempting to log
-                    return res.status(400).json({ 
-                        error: 'Election is not currently accepting votes', 
-                        reason,
-                        status: election.status,
-                        start_date: election.start_date,
-                        end_date: election.end_date,
-                        now: now.toISOString()
-                    });
-                });
-            } catch (logEx) {
-                console.error('Audit log error:', logEx);
-                return res.status(400).json({ 
-                    error: 'Election is not currently accepting votes', 
-                    reason,
-                    status: election.status,
-                    start_date: election.start_date,
-                    end_date: election.end_date,
-                    now: now.toISOString()
-                });
-            }
+// election id -> { loaded_at, activity }, or { waiting } (callbacks) while a load is running
+const analyticsCache = new Map();
 
-            return;
-        }
+const unixMinute = (date) => Math.floor(new Date(date).getTime() / 60000);
+const minuteIso = (minute) => new Date(minute * 60000).toISOString();
 
-        // Verify candidate exists, belongs to this election, and is active
-        const candidateQuery = 'SELECT id, election_id, is_active FROM candidates WHERE id = ?';
-        db.query(candidateQuery, [candidate_id], (candErr, candResults) => {
-            if (candErr) {
-                console.error('Error checking candidate:', candErr);
-                return res.status(500).json({ error: 'Database error' });
-            }
+// An election's turnout and per-minute vote and rejection counts, from the cache when fresh.
+// Requests arriving while a load runs share its result.
+function loadActivity(electionId, callback) {
+    const key = Number(electionId);
+    const cached = analyticsCache.get(key);
+    if (cached && cached.waiting) {
+        cached.waiting.push(callback);
+        return;
+    }
+    if (cached && Date.now() - cached.loaded_at < ANALYTICS_CACHE_MS) return callback(null, cached.activity);
 
-            if (candResults.length === 0) {
-                return res.status(400).json({ error: 'Invalid candidate' });
-            }
+    const waiting = [callback];
+    analyticsCache.set(key, { waiting });
+    const finish = (err, activity) => {
+        if (err) analyticsCache.delete(key);
+        else analyticsCache.set(key, { loaded_at: Date.now(), activity });
+        waiting.forEach(done => done(err, activity));
+    };
 
-            const candidate = candResults[0];
-            if (candidate.election_id != election_id) {
-                return res.status(400).json({ error: 'Candidate does not belong to election' });
-            }
-            if (!candidate.is_active) {
-                return res.status(400).json({ error: 'Candidate is not active' });
-            }
+    loadTurnout(key, (err, turnout) => {
+        if (err) return finish(err);
 
-            // Create blockchain transaction
-            // Generate 31-byte random value (62 hex chars) and prefix '0x' to match DB VARCHAR(64)
-            // This keeps transaction_hash length at 64 characters to avoid column size errors.
-            let transactionHex = crypto.randomBytes(31).toString('hex'); // 62 hex chars
-            let transactionHash = '0x' + transactionHex; // total length = 64
-            // Defensive: ensure not to exceed DB column size (64)
-            if (transactionHash.length > 64) transactionHash = transactionHash.slice(0, 64);
-            const transactionQuery = `INSERT INTO blockchain_transactions 
-                                     (transaction_hash, election_id, voter_address, candidate_id, vote_data, signature, status) 
-                                     VALUES (?, ?, ?, ?, ?, ?, 'confirmed')`;
+        storage.stats.voteActivity(key, (err, votes) => {
+            if (err) return finish(err);
 
-            db.query(transactionQuery, [transactionHash, election_id, voter_address, candidate_id, JSON.stringify(vote_data), signature], 
-                (err, txResults) => {
-                    if (err) {
-                        console.error('Error creating transaction:', err);
-                        console.error('Attempted transactionHash length:', transactionHash.length, 'value:', transactionHash);
-                        // Log transaction failure to audit_logs for investigation
-                        try {
-                            const details = JSON.stringify({
-                                error: err.sqlMessage || err.message,
-                                code: err.code,
-                                election_id,
-                                candidate_id,
-                                voter_address,
-                                transactionHash,
-                                transactionHashLength: transactionHash.length,
-                                vote_data_sample: typeof vote_data === 'object' ? JSON.stringify(vote_data).slice(0, 1000) : String(vote_data),
-                                timestamp: new Date().toISOString()
-                            });
-                            const logQuery = `INSERT INTO audit_logs (user_id, user_type, action, resource_type, details) VALUES (?, 'system', 'TRANSACTION_FAILED', 'blockchain_transaction', ?)`;
-                            db.query(logQuery, [null, details], (logErr) => {
-                                if (logErr) console.error('Error logging transaction failure:', logErr);
-                                // If error indicates data too long, return a clearer message for the client
-                                if (err && err.code === 'ER_DATA_TOO_LONG') {
-                                    return res.status(500).json({ error: 'Transaction creation failed', detail: 'Data too long for a column (likely transaction_hash). Server has truncated generated hashes to fit DB limits.' });
-                                }
-
-                                // respond with more detailed message for debugging
-                                return res.status(500).json({ error: 'Transaction creation failed', detail: err.sqlMessage || err.message });
-                            });
-                        } catch (le) {
-                            console.error('Error while logging transaction failure:', le);
-                            return res.status(500).json({ error: 'Transaction creation failed' });
-                        }
-                        return;
-                    }
+            storage.stats.rejectionActivity(key, (err, rejections) => {
+                if (err) return finish(err);
 
-                    // Create vote record
-                    const voterHash = crypto.createHash('sha256').update(voter_address + Date.now()).digest('hex').substring(0, 12);
-                    const voteQuery = `INSERT INTO votes (transaction_id, election_id, candidate_id, voter_id, verification_status) 
-                                      VALUES (?, ?, ?, ?, 'verified')`;
-
-                    db.query(voteQuery, [txResults.insertId, election_id, candidate_id, 'ANON_' + voterHash], 
-                        (err, voteResults) => {
-                            if (err) {
-                                console.error('Error creating vote:', err);
-                                return res.status(500).json({ error: 'Vote recording failed' });
-                            }
-
-                            // Build a clear receipt object to return to the client
-                            const receiptObj = {
-                                transaction_id: txResults.insertId,
-                                transactionHash: transactionHash,
-                                timestamp: new Date().toISOString(),
-                                election_id: election_id,
-                                verification_code: voterHash
-                            };
-
-                            console.log('Vote recorded successfully:', { transactionHash, receipt: receiptObj });
-
-                            res.json({
-                                success: true,
-                                transaction_hash: transactionHash,
-                                message: 'Vote submitted successfully',
-                                receipt: receiptObj
-                            });
-                        });
+                finish(null, {
+                    generated_at: new Date().toISOString(),
+                    turnout,
+                    votes: votes.map(v => ({ minute: Number(v.minute), submissions: Number(v.submissions), ballots: Number(v.ballots) })),
+                    rejections: rejections.map(r => ({ minute: Number(r.minute), reason: r.reason || 'unknown', count: Number(r.count) }))
                 });
+            });
         });
     });
-});
+}
 
-// ============================================================================
-// Results API Routes
-// ============================================================================
+// Totals over the whole election
+function summarizeActivity(activity) {
+    const byReason = {};
+    activity.rejections.forEach(r => { byReason[r.reason] = (byReason[r.reason] || 0) + r.count; });
 
-// Get election results
-app.get('/api/elections/:id/results', (req, res) => {
-    const { id } = req.params;
+    let peak = null;
+    activity.votes.forEach(v => {
+        if (!peak || v.submissions > peak.votes_per_minute) peak = { votes_per_minute: v.submissions, minute: minuteIso(v.minute) };
+    });
 
-    const query = `SELECT 
-        c.id, c.name, c.party, c.photo_url,
-        COUNT(v.id) as vote_count,
-        ROUND(COUNT(v.id) * 100.0 / NULLIF(total.total_votes, 0), 2) as percentage
-    FROM candidates c
-    LEFT JOIN votes v ON c.id = v.candidate_id AND v.verification_status = 'verified'
-    CROSS JOIN (
-        SELECT COUNT(*) as total_votes 
-        FROM votes v2 
-        JOIN candidates c2 ON v2.candidate_id = c2.id 
-        WHERE c2.election_id = ? AND v2.verification_status = 'verified'
-    ) total
-    WHERE c.election_id = ? AND c.is_active = TRUE
-    GROUP BY c.id, c.name, c.party, c.photo_url, total.total_votes
-    ORDER BY vote_count DESC`;
+    const votes = activity.votes;
+    return {
+        turnout: Object.assign({}, activity.turnout, { submissions: votes.reduce((sum, v) => sum + v.submissions, 0) }),
+        rejections: {
+            total: activity.rejections.reduce((sum, r) => sum + r.count, 0),
+            by_reason: byReason
+        },
+        peak,
+        first_vote_at: votes.length > 0 ? minuteIso(votes[0].minute) : null,
+        last_vote_at: votes.length > 0 ? minuteIso(votes[votes.length - 1].minute) : null
+    };
+}
 
-    db.query(query, [id, id], (err, results) => {
-        if (err) {
-            console.error('Error fetching results:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
+// Counts per bucket of bucketMinutes covering minutes from..to, with buckets aligned to `origin`
+// (all Unix minutes). Empty buckets are included so the series charts as is; activity outside the
+// range lands in the first or last bucket. Returns null if that would take too many buckets.
+function activitySeries(activity, bucketMinutes, origin, from, to) {
+    const first = Math.floor((from - origin) / bucketMinutes);
+    const last = Math.floor((to - origin) / bucketMinutes);
+    if (last < first) return [];
+    if (last - first + 1 > ANALYTICS_MAX_BUCKETS) return null;
 
-        // Get total votes
-        const totalVotes = results.reduce((sum, candidate) => sum + candidate.vote_count, 0);
+    const buckets = [];
+    for (let k = first; k <= last; k++) {
+        buckets.push({ start: origin + k * bucketMinutes, votes: 0, ballots: 0, rejected: 0 });
+    }
+    const bucketAt = (minute) => {
+        const k = Math.floor((minute - origin) / bucketMinutes) - first;
+        return buckets[Math.min(Math.max(k, 0), buckets.length - 1)];
+    };
+    activity.votes.forEach(v => {
+        const bucket = bucketAt(v.minute);
+        bucket.votes += v.submissions;
+        bucket.ballots += v.ballots;
+    });
+    activity.rejections.forEach(r => { bucketAt(r.minute).rejected += r.count; });
 
-        res.json({
-            total_votes: totalVotes,
-            candidates: results
+    let cumulative = 0;
+    return buckets.map(bucket => {
+        cumulative += bucket.ballots;
+        return Object.assign(bucket, {
+            cumulative_ballots: cumulative,
+            turnout_percentage: turnoutPercentage(cumulative, activity.turnout.eligible_voters)
         });
     });
-});
-
-// ----------------------------------------------------------------------------
-// Admin API: Update election metadata (status, start_date, end_date)
-// Protected via ADMIN_API_TOKEN environment variable for simplicity
-// ----------------------------------------------------------------------------
-app.patch('/api/admin/elections/:id', (req, res) => {
-    const token = req.get('x-admin-token') || req.query.token;
-    if (!process.env.ADMIN_API_TOKEN || token !== process.env.ADMIN_API_TOKEN) {
-        return res.status(403).json({ error: 'Unauthorized' });
-    }
+}
 
-    const { id } = req.params;
-    const { status, start_date, end_date } = req.body;
+// The minutes an election's chart covers: from its start (or earliest activity) to now or its
+// end, whichever comes first (or its latest activity, if later)
+function activityRange(election, activity) {
+    const minutes = activity.votes.map(v => v.minute).concat(activity.rejections.map(r => r.minute));
+    const from = minutes.reduce((min, minute) => Math.min(min, minute), unixMinute(election.start_date));
+    const until = Math.min(Date.now(), new Date(election.end_date).getTime());
+    const to = minutes.reduce((max, minute) => Math.max(max, minute), unixMinute(until));
+    return { from, to };
+}
 
-    // Build update parts
-    const updates = [];
-    const params = [];
-    if (typeof status !== 'undefined') {
-        updates.push('status = ?');
-        params.push(status);
-    }
-    if (typeof start_date !== 'undefined') {
-        updates.push('start_date = ?');
-        params.push(start_date);
-    }
-    if (typeof end_date !== 'undefined') {
-        updates.push('end_date = ?');
-        params.push(end_date);
+function analyticsBucket(req, res) {
+    const bucket = req.query.bucket || '1h';
+    if (!ANALYTICS_BUCKETS[bucket]) {
+        res.status(400).json({ error: `bucket must be one of: ${Object.keys(ANALYTICS_BUCKETS).join(', ')}` });
+        return null;
     }
+    return bucket;
+}
 
-    if (updates.length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
+// One election's participation. ?bucket= sets the series interval (default 1h, aligned to UTC);
+// ?format=csv returns just the series.
+app.get('/api/admin/elections/:id/analytics', requireRole(ALL_ADMIN_ROLES), (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv' });
     }
+    const bucket = analyticsBucket(req, res);
+    if (!bucket) return;
 
-    params.push(id);
-    const query = `UPDATE elections SET ${updates.join(', ')} WHERE id = ?`;
-    db.query(query, params, (err, results) => {
+    storage.elections.findById(id, (err, election) => {
         if (err) {
-            console.error('Error updating election via admin API:', err);
+            console.error('Error fetching election:', err);
             return res.status(500).json({ error: 'Database error' });
         }
-        if (results.affectedRows === 0) {
+        if (!election) {
             return res.status(404).json({ error: 'Election not found' });
         }
 
-        // Log admin change
-        const logQuery = `INSERT INTO audit_logs (user_id, user_type, action, resource_type, details) VALUES (?, 'admin', 'UPDATE_ELECTION', 'election', ?)`;
-        const details = JSON.stringify({ status, start_date, end_date, admin_api: true });
-        db.query(logQuery, [null, details], (logErr) => {
-            if (logErr) console.error('Error logging election update:', logErr);
-        });
+        loadActivity(election.id, (err, activity) => {
+            if (err) {
+                console.error('Error loading election analytics:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
 
-        res.json({ message: 'Election updated successfully' });
+            const { from, to } = activityRange(election, activity);
+            const buckets = activitySeries(activity, ANALYTICS_BUCKETS[bucket], 0, from, to);
+            if (!buckets) {
+                return res.status(400).json({ error: `More than ${ANALYTICS_MAX_BUCKETS} buckets; use a larger bucket` });
+            }
+            const series = buckets.map(({ start, ...counts }) => Object.assign({ bucket_start: minuteIso(start) }, counts));
+
+            res.set('Cache-Control', `private, max-age=${Math.ceil(ANALYTICS_CACHE_MS / 1000)}`);
+            if (format === 'csv') {
+                return sendExport(res, 'csv', `election-${election.id}-turnout-${bucket}`, ANALYTICS_SERIES_COLUMNS, series);
+            }
+            res.json(Object.assign({
+                election_id: election.id,
+                title: election.title,
+                status: election.status,
+                start_date: election.start_date,
+                end_date: election.end_date,
+                bucket,
+                generated_at: activity.generated_at
+            }, summarizeActivity(activity), { series }));
+        });
     });
 });
 
-// ============================================================================
-// Blockchain API Routes
-// ============================================================================
+// Compare elections side by side: ?ids=1,2,3, or by default the most recent non-draft elections.
+// Each election's series is cumulative turnout by time since it opened, so curves line up;
+// ?format=csv returns one summary row per election.
+app.get('/api/admin/analytics/elections', requireRole(ALL_ADMIN_ROLES), (req, res) => {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'format must be json or csv' });
+    }
+    const bucket = analyticsBucket(req, res);
+    if (!bucket) return;
 
-// Get blockchain statistics
-app.get('/api/blockchain/stats', (req, res) => {
-    const query = `SELECT 
-        (SELECT COUNT(*) FROM blockchain_blocks) as total_blocks,
-        (SELECT COUNT(*) FROM blockchain_transactions) as total_transactions,
-        (SELECT COUNT(*) FROM votes WHERE verification_status = 'verified') as verified_votes,
-        (SELECT COUNT(*) FROM voters WHERE registration_status = 'verified') as registered_voters,
-        (SELECT COUNT(*) FROM elections WHERE status = 'active') as active_elections,
-        (SELECT setting_value FROM system_settings WHERE setting_key = 'network_nodes') as network_nodes`;
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(Number) : null;
+    if (ids && (ids.some(id => !Number.isInteger(id) || id < 1) || ids.length > ANALYTICS_COMPARE_LIMIT)) {
+        return res.status(400).json({ error: `ids must be up to ${ANALYTICS_COMPARE_LIMIT} comma-separated election ids` });
+    }
 
-    db.query(query, (err, results) => {
+    storage.elections.list((err, elections) => {
         if (err) {
-            console.error('Error fetching blockchain stats:', err);
+            console.error('Error fetching elections:', err);
             return res.status(500).json({ error: 'Database error' });
         }
-        res.json(results[0]);
-    });
-});
-
-// Get recent blocks
-app.get('/api/blockchain/blocks', (req, res) => {
-    const limit = req.query.limit || 10;
 
-    const query = `SELECT block_number, current_hash, previous_hash, timestamp, transaction_count, block_size
-                   FROM blockchain_blocks 
-                   ORDER BY block_number DESC 
-                   LIMIT ?`;
-
-    db.query(query, [parseInt(limit)], (err, results) => {
-        if (err) {
-            console.error('Error fetching blocks:', err);
-            return res.status(500).json({ error: 'Database error' });
+        let selected;
+        if (ids) {
+            selected = ids.map(id => elections.find(e => Number(e.id) === id));
+            const missing = ids.filter((id, k) => !selected[k]);
+            if (missing.length > 0) {
+                return res.status(404).json({ error: 'Election not found', election_ids: missing });
+            }
+        } else {
+            selected = elections.filter(e => e.status !== 'draft').slice(0, ANALYTICS_COMPARE_LIMIT);
         }
-        res.json(results);
-    });
-});
 
-// Get recent transactions
-app.get('/api/blockchain/transactions', (req, res) => {
-    const limit = req.query.limit || 20;
+        const rows = [];
+        const loadNext = (k) => {
+            if (k === selected.length) {
+                res.set('Cache-Control', `private, max-age=${Math.ceil(ANALYTICS_CACHE_MS / 1000)}`);
+                if (format === 'csv') {
+                    return sendExport(res, 'csv', `turnout-comparison-${bucket}`, ANALYTICS_COMPARE_COLUMNS, rows);
+                }
+                return res.json({ bucket, elections: rows });
+            }
 
-    const query = `SELECT t.transaction_hash, t.timestamp, t.status, t.gas_used,
-                   e.title as election_title, c.name as candidate_name
-                   FROM blockchain_transactions t
-                   JOIN elections e ON t.election_id = e.id
-                   JOIN candidates c ON t.candidate_id = c.id
-                   ORDER BY t.timestamp DESC
-                   LIMIT ?`;
+            const election = selected[k];
+            loadActivity(election.id, (err, activity) => {
+                if (err) {
+                    console.error('Error loading election analytics:', err);
+                    return res.status(500).json({ error: 'Database error' });
+                }
 
-    db.query(query, [parseInt(limit)], (err, results) => {
-        if (err) {
-            console.error('Error fetching transactions:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
-        res.json(results);
+                const summary = summarizeActivity(activity);
+                const row = {
+                    election_id: election.id,
+                    title: election.title,
+                    status: election.status,
+                    start_date: election.start_date,
+                    end_date: election.end_date,
+                    eligible_voters: summary.turnout.eligible_voters,
+                    ballots_cast: summary.turnout.ballots_cast,
+                    turnout_percentage: summary.turnout.turnout_percentage,
+                    submissions: summary.turnout.submissions,
+                    rejected: summary.rejections.total,
+                    peak_votes_per_minute: summary.peak ? summary.peak.votes_per_minute : null,
+                    peak_minute: summary.peak ? summary.peak.minute : null,
+                    first_vote_at: summary.first_vote_at,
+                    last_vote_at: summary.last_vote_at
+                };
+
+                if (format === 'json') {
+                    const opened = unixMinute(election.start_date);
+                    const buckets = activitySeries(activity, ANALYTICS_BUCKETS[bucket], opened, opened, activityRange(election, activity).to);
+                    if (!buckets) {
+                        return res.status(400).json({ error: `More than ${ANALYTICS_MAX_BUCKETS} buckets; use a larger bucket` });
+                    }
+                    Object.assign(row, {
+                        rejections_by_reason: summary.rejections.by_reason,
+                        generated_at: activity.generated_at,
+                        series: buckets.map(b => ({
+                            elapsed_minutes: b.start - opened,
+                            cumulative_ballots: b.cumulative_ballots,
+                            turnout_percentage: b.turnout_percentage
+                        }))
+                    });
+                }
+                rows.push(row);
+                loadNext(k + 1);
+            });
+        };
+        loadNext(0);
     });
 });
 
@@ -651,56 +6421,61 @@ app.get('/api/blockchain/transactions', (req, res) => {
 // ============================================================================
 
 // Get admin dashboard data
-app.get('/api/admin/dashboard', (req, res) => {
-    const queries = {
-        stats: `SELECT 
-            (SELECT COUNT(*) FROM elections) as total_elections,
-            (SELECT COUNT(*) FROM elections WHERE status = 'active') as active_elections,
-            (SELECT COUNT(*) FROM candidates WHERE is_active = TRUE) as total_candidates,
-            (SELECT COUNT(*) FROM votes WHERE verification_status = 'verified') as total_votes`,
-
-        recentActivity: `SELECT activity_type, timestamp, description, details 
-                        FROM recent_activity LIMIT 10`,
-
-        systemHealth: `SELECT setting_key, setting_value, description 
-                      FROM system_settings 
-                      WHERE setting_key IN ('current_block_height', 'total_transactions', 'network_nodes')`
-    };
-
-    const dashboardData = {};
-    let completed = 0;
-    const total = Object.keys(queries).length;
-
-    Object.keys(queries).forEach(key => {
-        db.query(queries[key], (err, results) => {
+app.get('/api/admin/dashboard', requireRole(ALL_ADMIN_ROLES), (req, res) => {
+    storage.stats.dashboard((err, dashboardData) => {
+        if (err) {
+            console.error('Error fetching dashboard data:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        localTip((err, last) => {
             if (err) {
-                console.error(`Error fetching ${key}:`, err);
+                console.error('Error reading chain tip:', err);
                 return res.status(500).json({ error: 'Database error' });
             }
-
-            dashboardData[key] = key === 'stats' ? results[0] : results;
-
-            completed++;
-            if (completed === total) {
-                res.json(dashboardData);
-            }
+            // Height and node count from live state rather than the stored settings
+            const live = { current_block_height: last ? String(last.block_number) : '0', network_nodes: String(liveNodeCount()) };
+            dashboardData.systemHealth = dashboardData.systemHealth.map(row =>
+                live[row.setting_key] !== undefined ? Object.assign({}, row, { setting_value: live[row.setting_key] }) : row);
+            res.json(dashboardData);
         });
     });
 });
 
+// Parse audit log filters from the query string: action (comma-separated), user_id, username,
+// user_type, resource_type, and a from/to range on the entry timestamp. Returns { error } for bad input.
+function auditLogFilters(query) {
+    const filters = {
+        actions: query.action ? String(query.action).split(',') : null,
+        user_id: query.user_id ? parseInt(query.user_id) : null,
+        username: query.username || null,
+        user_type: query.user_type || null,
+        resource_type: query.resource_type || null,
+        from: null,
+        to: null
+    };
+
+    for (const field of ['from', 'to']) {
+        if (!query[field]) continue;
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) return { error: `${field} must be a date` };
+        filters[field] = date;
+    }
+
+    return filters;
+}
+
 // Get audit logs
-app.get('/api/admin/audit-logs', (req, res) => {
+app.get('/api/admin/audit-logs', requireRole(AUDIT_READERS), (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const offset = (page - 1) * limit;
 
-    const query = `SELECT a.*, u.username 
-                   FROM audit_logs a
-                   LEFT JOIN admin_users u ON a.user_id = u.id
-                   ORDER BY a.timestamp DESC
-                   LIMIT ? OFFSET ?`;
+    const filters = auditLogFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
 
-    db.query(query, [limit, offset], (err, results) => {
+    storage.audit.list(filters, { limit, offset }, (err, results) => {
         if (err) {
             console.error('Error fetching audit logs:', err);
             return res.status(500).json({ error: 'Database error' });
@@ -709,9 +6484,77 @@ app.get('/api/admin/audit-logs', (req, res) => {
     });
 });
 
+// Recompute the audit hash chain and report the first broken link, if any
+app.get('/api/admin/audit-logs/verify', requireRole(AUDIT_READERS), (req, res) => {
+    verifyAuditChain((err, report) => {
+        if (err) {
+            console.error('Error verifying audit log:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        writeAuditLog(req.admin.id, 'admin', 'VERIFY_AUDIT_LOG', 'audit_log', {
+            valid: report.valid,
+            entries: report.entries,
+            first_broken_link: report.first_broken_link
+        });
+        res.json(report);
+    });
+});
+
+const AUDIT_EXPORT_COLUMNS = ['id', 'timestamp', 'user_id', 'username', 'user_type', 'action', 'resource_type',
+    'details', 'previous_hash', 'entry_hash'];
+
+// Export audit logs (same filters as the list, oldest first) as NDJSON or CSV. The body is
+// signed with the server key; the signature and key id travel in response headers.
+app.get('/api/admin/audit-logs/export', requireRole(AUDIT_READERS), (req, res) => {
+    const format = req.query.format || 'ndjson';
+    if (!['ndjson', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'format must be ndjson or csv' });
+    }
+
+    const filters = auditLogFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+
+    storage.audit.listForExport(filters, (err, rows) => {
+        if (err) {
+            console.error('Error exporting audit logs:', err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        rows.forEach(row => { row.details = parseVoteData(row.details); });
+        const body = format === 'csv'
+            ? toCsv(AUDIT_EXPORT_COLUMNS, rows)
+            : rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+
+        writeAuditLog(req.admin.id, 'admin', 'EXPORT_AUDIT_LOG', 'audit_log', {
+            format,
+            entries: rows.length,
+            filters: req.query
+        });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="audit-log-${stamp}.${format}"`,
+            'X-Content-SHA256': crypto.createHash('sha256').update(body).digest('hex'),
+            'X-Signature': signDocument(body),
+            'X-Signature-Algorithm': 'Ed25519',
+            'X-Signature-Key-Id': SERVER_KEY_ID
+        });
+        res.send(body);
+    });
+});
+
+// The public half of the server signing key, for checking signed exports
+app.get('/api/signing-key', (req, res) => {
+    res.json({ algorithm: 'Ed25519', key_id: SERVER_KEY_ID, public_key: SERVER_PUBLIC_KEY_PEM });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    db.query('SELECT 1 as healthy', (err, results) => {
+    storage.ping((err) => {
         if (err) {
             return res.status(500).json({ status: 'ERROR', database: 'disconnected', error: err.message });
         }
@@ -720,36 +6563,101 @@ app.get('/api/health', (req, res) => {
             status: 'OK', 
             timestamp: new Date().toISOString(),
             database: 'connected',
+            database_pool: storage.poolStats(),
+            circuit_breaker: circuitOpenUntil > Date.now() ? 'open' : 'closed',
             version: '1.0.0'
         });
     });
 });
 
-// Start server with explicit error handling for common startup failures
-const server = app.listen(PORT, () => {
-    console.log(`BlockVote server running on port ${PORT}`);
-    console.log(`Access the application at: http://localhost:${PORT}`);
+// Body parser errors (oversized or malformed JSON) are answered in JSON like every other API error
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large', limit: err.limit });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+    }
+    next(err);
 });
 
-server.on('error', (err) => {
-    if (err && err.code === 'EADDRINUSE') {
-        console.error(`Port ${PORT} is already in use. Another process is listening on that port.`);
-        console.error('If you previously started the server, stop that process or choose a different PORT.');
-        // Provide a friendly hint including the platform-specific command to find and stop the process
-        console.error('On Windows (PowerShell) you can run:');
-        console.error(`  Get-NetTCPConnection -LocalPort ${PORT} | Select-Object -Unique OwningProcess ; Get-Process -Id <PID>`);
-        process.exit(1);
-    } else {
-        console.error('Server error during startup:', err);
+// Block producer, election scheduler and turnout publisher. Started by `node server.js`;
+// code that requires this file (tests, other entry points) starts and stops them itself.
+function startBackgroundJobs() {
+    startBlockProducer();
+    startElectionScheduler();
+    startEventStream();
+}
+
+function stopBackgroundJobs() {
+    clearInterval(blockProducer);
+    clearInterval(electionScheduler);
+    clearInterval(turnoutPublisher);
+}
+
+module.exports = {
+    app,
+    storage,
+    limiterStore,
+    startBackgroundJobs,
+    stopBackgroundJobs,
+    // Read-only verification, for offline tools such as bin/blockvote-audit.js
+    verifyLedger,
+    verifyElectionArchive,
+    ballotSignatureIssues,
+    loadElectionRecords,
+    loadResults,
+    resultsPublished,
+    recountArchive,
+    tallyDifferences
+};
+
+if (require.main === module) {
+    // Unlike SESSION_SECRET, a random fallback won't do: nullifiers must stay the same across
+    // restarts and on every peer
+    if (!process.env.NULLIFIER_SECRET && process.env.NODE_ENV === 'production') {
+        console.error('NULLIFIER_SECRET must be set when NODE_ENV is production; refusing to start.');
         process.exit(1);
     }
-});
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down BlockVote server gracefully...');
-    db.end(() => {
-        console.log('Database connections closed.');
-        process.exit();
+    // Test database connection
+    storage.ping((err) => {
+        if (err) {
+            console.error('Database connection failed: ' + err.stack);
+            return;
+        }
+        console.log(`Connected to BlockVote ${storage.name} storage`);
+    });
+
+    // Start server with explicit error handling for common startup failures
+    const server = app.listen(PORT, () => {
+        console.log(`BlockVote server running on port ${PORT}`);
+        console.log(`Access the application at: http://localhost:${PORT}`);
+        startBackgroundJobs();
+    });
+
+    server.on('error', (err) => {
+        if (err && err.code === 'EADDRINUSE') {
+            console.error(`Port ${PORT} is already in use. Another process is listening on that port.`);
+            console.error('If you previously started the server, stop that process or choose a different PORT.');
+            // Provide a friendly hint including the platform-specific command to find and stop the process
+            console.error('On Windows (PowerShell) you can run:');
+            console.error(`  Get-NetTCPConnection -LocalPort ${PORT} | Select-Object -Unique OwningProcess ; Get-Process -Id <PID>`);
+            process.exit(1);
+        } else {
+            console.error('Server error during startup:', err);
+            process.exit(1);
+        }
+    });
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('Shutting down BlockVote server gracefully...');
+        stopBackgroundJobs();
+        limiterStore.close();
+        storage.close(() => {
+            console.log('Database connections closed.');
+            process.exit();
+        });
     });
-});
\ No newline at end of file
+}
@@ -0,0 +1,43 @@
+// Storage layer. server.js talks to its data only through the repositories returned by
+// createStorage, so the same routes run against MySQL or an in-memory store.
+//
+// Every method is callback-style, callback(err, result). Repositories:
+//   elections     list, findById, create, update (guarded by the expected status), remove (drafts
+//                 and scheduled elections without votes only), findDueTransitions, configureEncryption
+//   contests      listByElection, findById, create (with its options), update, remove
+//   candidates    listByElection, findById, create, createMany, update, deactivate
+//   voters        create, findByAddress, listByAddresses, list, setStatus
+//   eligibility   list, add, importRoll, remove, includes
+//   transactions  findReceipt, findByHash, list, listHashesInBlock, listAll, listByElection,
+//                 listLedgerEntries, listPending, listSealed
+//   votes         record, findIdempotent, listCounted, pluralityTally, listAll, listByElection
+//   blocks        sealPending, append, findByNumber, findByHash, list, listAll, listRange
+//   audit         append, head, list, listForExport, forEach, listForElection
+//   admins        findActiveByUsername, findById, findProfile, findBySession, list, create, update,
+//                 createSession, revokeSession, revokeOtherSessions, revokeAllSessions, recordLogin,
+//                 recordFailedLogin, setPassword, createPasswordReset, consumePasswordReset
+//   trustees      list, submitDecryption
+//   archives      list, findByElection, listLedgerEntries, remove, restore
+//   stats         blockchain, turnout, voteActivity, rejectionActivity, dashboard
+// plus ping(callback), close(callback) and poolStats(), which synchronously returns the
+// connection pool's { in_use, idle, queued, limit }. Update and delete methods call back with
+// whether a row was affected; inserts with the new id. Unique-key violations fail with err.code
+// 'ER_DUP_ENTRY' on every backend, and admin updates that would leave no active superadmin
+// with 'LAST_SUPERADMIN'. See storage/mysql.js for what each method reads and writes.
+const BACKENDS = {
+    mysql: './mysql',
+    memory: './memory'
+};
+
+// backend defaults to STORAGE_BACKEND, then 'mysql'. options are passed to the backend
+// (the MySQL backend accepts an existing `pool`).
+function createStorage(backend, options) {
+    const name = backend || process.env.STORAGE_BACKEND || 'mysql';
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown storage backend '${name}'; expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    // Required lazily so the memory backend doesn't need the MySQL driver installed
+    return require(BACKENDS[name])(options);
+}
+
+module.exports = { createStorage };
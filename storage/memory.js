@@ -0,0 +1,1239 @@
+// In-memory storage backend: the same repositories as storage/mysql.js, kept in plain arrays
+// for tests and local runs without a database. Nothing is persisted. Rows are handed out as
+// shallow copies so callers can't change stored data by mutating a result, and callbacks are
+// always asynchronous, as they are with a real driver.
+const crypto = require('crypto');
+
+const ELECTION_COLUMNS = ['title', 'description', 'type', 'status', 'start_date', 'end_date', 'voting_method', 'seats',
+    'privacy_level', 'requires_verification', 'allow_revoting', 'blockchain_address'];
+const CANDIDATE_COLUMNS = ['name', 'party', 'platform', 'biography', 'photo_url', 'contact_email', 'display_order', 'contest_id'];
+const CONTEST_COLUMNS = ['title', 'description', 'type', 'voting_method', 'seats', 'display_order'];
+const ADMIN_COLUMNS = ['username', 'email', 'role', 'full_name', 'department', 'is_active'];
+
+// The same accounts blockvote_schema.sql seeds, with the legacy SHA-256 hash of 'admin123'
+// so the forced password change on first login applies here too
+const SEEDED_ADMINS = [
+    { username: 'superadmin', role: 'superadmin', full_name: 'System Administrator', department: 'IT' },
+    { username: 'electionadmin', role: 'electionadmin', full_name: 'Election Administrator', department: 'Elections' },
+    { username: 'auditor', role: 'auditor', full_name: 'System Auditor', department: 'Audit' }
+];
+
+function assignColumns(row, fields, columns) {
+    columns.forEach(column => {
+        if (Object.prototype.hasOwnProperty.call(fields, column)) {
+            row[column] = typeof fields[column] === 'undefined' ? null : fields[column];
+        }
+    });
+    return row;
+}
+
+function copy(row) {
+    return row ? Object.assign({}, row) : null;
+}
+
+function duplicateEntry(message) {
+    const err = new Error(message);
+    err.code = 'ER_DUP_ENTRY';
+    return err;
+}
+
+function lastSuperadmin() {
+    const err = new Error('At least one active superadmin must remain');
+    err.code = 'LAST_SUPERADMIN';
+    return err;
+}
+
+function adminProfile(admin) {
+    const { password_hash, ...profile } = admin;
+    return profile;
+}
+
+function sameId(a, b) {
+    return Number(a) === Number(b);
+}
+
+function createMemoryStorage() {
+    const tables = {
+        elections: [],
+        election_contests: [],
+        candidates: [],
+        voters: [],
+        election_eligibility: [],
+        vote_nullifiers: new Set(),
+        vote_idempotency_keys: new Map(),
+        blockchain_transactions: [],
+        votes: [],
+        blockchain_blocks: [],
+        audit_logs: [],
+        admin_users: [],
+        admin_sessions: [],
+        admin_password_resets: [],
+        election_trustees: [],
+        election_archives: []
+    };
+    const settings = new Map([
+        ['current_block_height', { setting_value: '0', description: 'Current blockchain height' }],
+        ['total_transactions', { setting_value: '0', description: 'Total blockchain transactions' }],
+        ['network_nodes', { setting_value: '1', description: 'Active network nodes' }]
+    ]);
+    const nextIds = {};
+
+    function insert(table, row) {
+        nextIds[table] = (nextIds[table] || 0) + 1;
+        row.id = nextIds[table];
+        tables[table].push(row);
+        return row.id;
+    }
+
+    function blockRow(block) {
+        return {
+            block_number: block.block_number,
+            current_hash: block.current_hash,
+            previous_hash: block.previous_hash,
+            merkle_root: block.merkle_root,
+            timestamp: block.timestamp,
+            transaction_count: block.transaction_count,
+            block_size: block.block_size
+        };
+    }
+
+    // A transaction joined with its election and candidate, as the MySQL explorer queries
+    // return it; null when the election is gone (the inner join drops it)
+    function explorerTransactionRow(t) {
+        const election = tables.elections.find(e => e.id === t.election_id);
+        if (!election) return null;
+        const candidate = tables.candidates.find(c => c.id === t.candidate_id);
+        return {
+            id: t.id,
+            transaction_hash: t.transaction_hash,
+            election_id: t.election_id,
+            timestamp: t.timestamp,
+            status: t.status,
+            gas_used: t.gas_used,
+            block_number: t.block_number,
+            election_title: election.title,
+            privacy_level: election.privacy_level,
+            election_status: election.status,
+            candidate_name: candidate ? candidate.name : null
+        };
+    }
+
+    // Call back on a later tick, like a driver would
+    function reply(callback, err, result) {
+        setImmediate(() => callback(err, result));
+    }
+
+    const legacyHash = crypto.createHash('sha256').update('admin123').digest('hex');
+    SEEDED_ADMINS.forEach(admin => insert('admin_users', Object.assign({
+        email: `${admin.username}@blockvote.local`,
+        password_hash: legacyHash,
+        is_active: true,
+        last_login: null,
+        failed_login_attempts: 0,
+        locked_until: null,
+        must_change_password: false,
+        created_at: new Date()
+    }, admin)));
+
+    function candidateRow(electionId, fields) {
+        return assignColumns({
+            election_id: Number(electionId),
+            party: null,
+            platform: null,
+            biography: null,
+            photo_url: null,
+            contact_email: null,
+            display_order: 0,
+            contest_id: null,
+            is_active: true
+        }, fields, CANDIDATE_COLUMNS);
+    }
+
+    const counted = (vote) => vote.verification_status === 'verified';
+    const activeCandidate = (candidate) => candidate.is_active;
+
+    function auditMatches(filters, row, username) {
+        if (filters.actions && !filters.actions.includes(row.action)) return false;
+        if (filters.user_id && !sameId(row.user_id, filters.user_id)) return false;
+        if (filters.username && username !== filters.username) return false;
+        if (filters.user_type && row.user_type !== filters.user_type) return false;
+        if (filters.resource_type && row.resource_type !== filters.resource_type) return false;
+        if (filters.from && row.timestamp < filters.from) return false;
+        if (filters.to && row.timestamp > filters.to) return false;
+        return true;
+    }
+
+    function auditRows(filters) {
+        return tables.audit_logs
+            .map(row => {
+                const admin = row.user_id === null ? null : tables.admin_users.find(u => sameId(u.id, row.user_id));
+                return Object.assign({}, row, { username: admin ? admin.username : null });
+            })
+            .filter(row => auditMatches(filters, row, row.username));
+    }
+
+    const elections = {
+        list(callback) {
+            const rows = tables.elections
+                .map(election => Object.assign({}, election, {
+                    candidate_count: tables.candidates.filter(c => c.election_id === election.id && activeCandidate(c)).length,
+                    vote_count: tables.votes.filter(v => v.election_id === election.id && counted(v)).length
+                }))
+                .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+            reply(callback, null, rows);
+        },
+
+        findById(id, callback) {
+            reply(callback, null, copy(tables.elections.find(e => sameId(e.id, id))));
+        },
+
+        create(fields, callback) {
+            const row = assignColumns({
+                description: null,
+                type: null,
+                status: 'draft',
+                voting_method: 'plurality',
+                seats: 1,
+                privacy_level: 'standard',
+                requires_verification: false,
+                allow_revoting: false,
+                ballot_encryption: 'none',
+                encryption_public_key: null,
+                decryption_threshold: null,
+                created_at: new Date()
+            }, fields, ELECTION_COLUMNS);
+            reply(callback, null, insert('elections', row));
+        },
+
+        update(id, expectedStatus, fields, callback) {
+            const election = tables.elections.find(e => sameId(e.id, id) && e.status === expectedStatus);
+            if (election) assignColumns(election, fields, ELECTION_COLUMNS);
+            reply(callback, null, Boolean(election));
+        },
+
+        remove(id, callback) {
+            const index = tables.elections.findIndex(e => sameId(e.id, id));
+            if (index === -1) return reply(callback, null, false);
+
+            const election = tables.elections[index];
+            const electionId = election.id;
+            const hasVotes = tables.votes.some(v => v.election_id === electionId);
+            if (!(election.status === 'draft' || (election.status === 'scheduled' && !hasVotes))) {
+                return reply(callback, null, false);
+            }
+            tables.elections.splice(index, 1);
+            tables.election_contests = tables.election_contests.filter(c => c.election_id !== electionId);
+            tables.candidates = tables.candidates.filter(c => c.election_id !== electionId);
+            tables.election_eligibility = tables.election_eligibility.filter(ee => ee.election_id !== electionId);
+            tables.election_trustees = tables.election_trustees.filter(t => t.election_id !== electionId);
+            reply(callback, null, true);
+        },
+
+        findDueTransitions(callback) {
+            const now = new Date();
+            const due = tables.elections
+                .filter(e => (e.status === 'scheduled' && new Date(e.start_date) <= now) ||
+                    (e.status === 'active' && new Date(e.end_date) <= now))
+                .map(e => ({ id: e.id, status: e.status, next_status: new Date(e.end_date) <= now ? 'closed' : 'active' }));
+            reply(callback, null, due);
+        },
+
+        configureEncryption(id, encryption, callback) {
+            const election = tables.elections.find(e => sameId(e.id, id) && ['draft', 'scheduled'].includes(e.status));
+            if (!election) return reply(callback, null, false);
+
+            election.ballot_encryption = 'elgamal';
+            election.encryption_public_key = encryption.public_key;
+            election.decryption_threshold = encryption.threshold;
+            tables.election_trustees = tables.election_trustees.filter(t => t.election_id !== election.id);
+            encryption.trustees.forEach((t, k) => insert('election_trustees', {
+                election_id: election.id,
+                trustee_index: k + 1,
+                name: t.name,
+                verification_key: t.verification_key,
+                partial_decryption: null,
+                decrypted_at: null
+            }));
+            reply(callback, null, true);
+        }
+    };
+
+    const candidates = {
+        listByElection(electionId, options, callback) {
+            const rows = tables.candidates
+                .filter(c => sameId(c.election_id, electionId) && (options.includeInactive || activeCandidate(c)))
+                .sort((a, b) => a.display_order - b.display_order || a.id - b.id)
+                .map(c => options.withVoteCounts
+                    ? Object.assign({}, c, { vote_count: tables.votes.filter(v => v.candidate_id === c.id && counted(v)).length })
+                    : copy(c));
+            reply(callback, null, rows);
+        },
+
+        findById(id, callback) {
+            reply(callback, null, copy(tables.candidates.find(c => sameId(c.id, id))));
+        },
+
+        create(electionId, fields, callback) {
+            reply(callback, null, insert('candidates', candidateRow(electionId, fields)));
+        },
+
+        createMany(electionId, rows, callback) {
+            reply(callback, null, rows.map(fields => insert('candidates', candidateRow(electionId, fields))));
+        },
+
+        update(id, fields, callback) {
+            const candidate = tables.candidates.find(c => sameId(c.id, id));
+            if (candidate) assignColumns(candidate, fields, CANDIDATE_COLUMNS);
+            reply(callback, null, Boolean(candidate));
+        },
+
+        deactivate(id, callback) {
+            const candidate = tables.candidates.find(c => sameId(c.id, id));
+            if (candidate) candidate.is_active = false;
+            reply(callback, null, Boolean(candidate));
+        }
+    };
+
+    const contests = {
+        listByElection(electionId, callback) {
+            const rows = tables.election_contests
+                .filter(c => sameId(c.election_id, electionId))
+                .sort((a, b) => a.display_order - b.display_order || a.id - b.id)
+                .map(copy);
+            reply(callback, null, rows);
+        },
+
+        findById(id, callback) {
+            reply(callback, null, copy(tables.election_contests.find(c => sameId(c.id, id))));
+        },
+
+        create(electionId, fields, options, callback) {
+            const row = assignColumns({
+                election_id: Number(electionId),
+                description: null,
+                type: 'candidate',
+                voting_method: 'plurality',
+                seats: 1,
+                display_order: 0,
+                created_at: new Date()
+            }, fields, CONTEST_COLUMNS);
+            const contestId = insert('election_contests', row);
+            options.forEach((option, k) => {
+                insert('candidates', candidateRow(electionId, Object.assign({ display_order: k }, option, { contest_id: contestId })));
+            });
+            reply(callback, null, contestId);
+        },
+
+        update(id, fields, callback) {
+            const contest = tables.election_contests.find(c => sameId(c.id, id));
+            if (contest) assignColumns(contest, fields, CONTEST_COLUMNS);
+            reply(callback, null, Boolean(contest));
+        },
+
+        remove(id, callback) {
+            const contest = tables.election_contests.find(c => sameId(c.id, id));
+            if (!contest) return reply(callback, null, false);
+
+            tables.election_contests = tables.election_contests.filter(c => c !== contest);
+            tables.candidates = tables.candidates.filter(c => c.contest_id !== contest.id);
+            reply(callback, null, true);
+        }
+    };
+
+    const voters = {
+        create(voter, callback) {
+            if (tables.voters.some(v => v.voter_address === voter.voter_address)) {
+                return reply(callback, duplicateEntry(`Duplicate entry '${voter.voter_address}' for key 'voter_address'`));
+            }
+            reply(callback, null, insert('voters', {
+                voter_address: voter.voter_address,
+                public_key: voter.public_key,
+                registration_details: voter.registration_details,
+                registration_status: 'pending'
+            }));
+        },
+
+        findByAddress(address, callback) {
+            const voter = tables.voters.find(v => v.voter_address === address);
+            reply(callback, null, voter ? {
+                id: voter.id,
+                voter_address: voter.voter_address,
+                public_key: voter.public_key,
+                registration_status: voter.registration_status
+            } : null);
+        },
+
+        listByAddresses(addresses, callback) {
+            const rows = tables.voters
+                .filter(v => addresses.includes(v.voter_address))
+                .map(v => ({ id: v.id, voter_address: v.voter_address, public_key: v.public_key, registration_status: v.registration_status }));
+            reply(callback, null, rows);
+        },
+
+        list(options, callback) {
+            const rows = tables.voters
+                .filter(v => !options.status || v.registration_status === options.status)
+                .sort((a, b) => b.id - a.id)
+                .slice(options.offset, options.offset + options.limit)
+                .map(v => ({
+                    id: v.id,
+                    voter_address: v.voter_address,
+                    registration_status: v.registration_status,
+                    registration_details: v.registration_details
+                }));
+            reply(callback, null, rows);
+        },
+
+        setStatus(id, status, callback) {
+            const voter = tables.voters.find(v => sameId(v.id, id));
+            if (voter) voter.registration_status = status;
+            reply(callback, null, Boolean(voter));
+        }
+    };
+
+    const eligibility = {
+        list(electionId, callback) {
+            const rows = tables.election_eligibility
+                .filter(ee => sameId(ee.election_id, electionId))
+                .sort((a, b) => a.added_at - b.added_at)
+                .map(ee => {
+                    const voter = tables.voters.find(v => v.id === ee.voter_id);
+                    return voter && {
+                        id: voter.id,
+                        voter_address: voter.voter_address,
+                        public_key: voter.public_key,
+                        registration_status: voter.registration_status,
+                        added_at: ee.added_at
+                    };
+                })
+                .filter(Boolean);
+            reply(callback, null, rows);
+        },
+
+        add(electionId, voterAddresses, callback) {
+            const election = tables.elections.find(e => sameId(e.id, electionId));
+            if (!election) return reply(callback, null, 0);
+
+            let added = 0;
+            tables.voters
+                .filter(v => voterAddresses.includes(v.voter_address))
+                .forEach(voter => {
+                    if (tables.election_eligibility.some(ee => ee.election_id === election.id && ee.voter_id === voter.id)) return;
+                    tables.election_eligibility.push({ election_id: election.id, voter_id: voter.id, added_at: new Date() });
+                    added++;
+                });
+            reply(callback, null, added);
+        },
+
+        importRoll(electionId, voters, callback) {
+            const election = tables.elections.find(e => sameId(e.id, electionId));
+            if (!election) return reply(callback, null, null);
+
+            const created = voters.filter(v => v.public_key && !tables.voters.some(existing => existing.voter_address === v.voter_address));
+            const taken = voters.find(v => v.public_key && !created.includes(v));
+            if (taken) {
+                return reply(callback, duplicateEntry(`Duplicate entry '${taken.voter_address}' for key 'voter_address'`));
+            }
+
+            created.forEach(v => insert('voters', {
+                voter_address: v.voter_address,
+                public_key: v.public_key,
+                registration_details: v.registration_details,
+                registration_status: v.registration_status
+            }));
+            let added = 0;
+            voters.forEach(v => {
+                const voter = tables.voters.find(existing => existing.voter_address === v.voter_address);
+                if (!voter || tables.election_eligibility.some(ee => ee.election_id === election.id && ee.voter_id === voter.id)) return;
+                tables.election_eligibility.push({ election_id: election.id, voter_id: voter.id, added_at: new Date() });
+                added++;
+            });
+            reply(callback, null, { voters_created: created.length, added });
+        },
+
+        remove(electionId, voterId, callback) {
+            const before = tables.election_eligibility.length;
+            tables.election_eligibility = tables.election_eligibility
+                .filter(ee => !(sameId(ee.election_id, electionId) && sameId(ee.voter_id, voterId)));
+            reply(callback, null, tables.election_eligibility.length < before);
+        },
+
+        includes(electionId, voterId, callback) {
+            reply(callback, null, tables.election_eligibility.some(ee => sameId(ee.election_id, electionId) && sameId(ee.voter_id, voterId)));
+        }
+    };
+
+    const transactions = {
+        findReceipt(key, callback) {
+            let tx;
+            let vote;
+            if (key.transaction_hash) {
+                tx = tables.blockchain_transactions.find(t => t.transaction_hash === key.transaction_hash);
+                vote = tx && tables.votes.find(v => v.transaction_id === tx.id);
+            } else {
+                vote = tables.votes.find(v => v.voter_id === key.voter_id);
+                tx = vote && tables.blockchain_transactions.find(t => t.id === vote.transaction_id);
+            }
+            reply(callback, null, tx ? {
+                id: tx.id,
+                transaction_hash: tx.transaction_hash,
+                election_id: tx.election_id,
+                status: tx.status,
+                block_number: tx.block_number,
+                timestamp: tx.timestamp,
+                verification_status: vote ? vote.verification_status : null
+            } : null);
+        },
+
+        listHashesInBlock(blockNumber, callback) {
+            const hashes = tables.blockchain_transactions
+                .filter(t => t.block_number !== null && sameId(t.block_number, blockNumber))
+                .map(t => t.transaction_hash);
+            reply(callback, null, hashes);
+        },
+
+        list(filters, page, callback) {
+            const hasBlock = filters.block_number !== undefined && filters.block_number !== null;
+            const rows = tables.blockchain_transactions
+                .filter(t => (!filters.election_id || sameId(t.election_id, filters.election_id))
+                    && (!filters.status || t.status === filters.status)
+                    && (!hasBlock || (t.block_number !== null && sameId(t.block_number, filters.block_number)))
+                    && (!filters.from || t.timestamp >= filters.from)
+                    && (!filters.to || t.timestamp <= filters.to)
+                    && (!page.before_id || t.id < page.before_id))
+                .sort((a, b) => b.id - a.id)
+                .map(explorerTransactionRow)
+                .filter(Boolean)
+                .slice(0, page.limit);
+            reply(callback, null, rows);
+        },
+
+        findByHash(transactionHash, callback) {
+            const tx = tables.blockchain_transactions.find(t => t.transaction_hash === transactionHash);
+            reply(callback, null, tx ? explorerTransactionRow(tx) : null);
+        },
+
+        listAll(callback) {
+            reply(callback, null, tables.blockchain_transactions.map(copy));
+        },
+
+        listByElection(electionId, callback) {
+            reply(callback, null, tables.blockchain_transactions.filter(t => sameId(t.election_id, electionId)).map(copy));
+        },
+
+        listLedgerEntries(firstBlock, lastBlock, callback) {
+            const rows = tables.blockchain_transactions
+                .filter(t => t.block_number !== null && t.block_number >= firstBlock && t.block_number <= lastBlock)
+                .map(t => ({ id: t.id, transaction_hash: t.transaction_hash, block_number: t.block_number }));
+            reply(callback, null, rows);
+        },
+
+        listPending(limit, callback) {
+            const rows = tables.blockchain_transactions
+                .filter(t => t.block_number === null && t.status === 'pending')
+                .sort((a, b) => a.id - b.id)
+                .slice(0, limit)
+                .map(copy);
+            reply(callback, null, rows);
+        },
+
+        listSealed(firstBlock, lastBlock, callback) {
+            const rows = tables.blockchain_transactions
+                .filter(t => t.block_number !== null && t.block_number >= firstBlock && t.block_number <= lastBlock)
+                .sort((a, b) => a.block_number - b.block_number || a.id - b.id)
+                .map(copy);
+            reply(callback, null, rows);
+        }
+    };
+
+    const votes = {
+        // Every check runs before anything is written, so a rejected ballot leaves no trace
+        record(submission, callback) {
+            const { transaction: tx, vote, idempotency } = submission;
+            const keyId = idempotency && `${idempotency.voter_address}:${idempotency.key}`;
+            if (idempotency && tables.vote_idempotency_keys.has(keyId)) {
+                return reply(callback, null, { status: 'key_taken' });
+            }
+
+            const nullifierKey = `${Number(vote.election_id)}:${vote.nullifier}`;
+            const isRevote = tables.vote_nullifiers.has(nullifierKey);
+            if (isRevote && !submission.allow_revoting) {
+                return reply(callback, null, { status: 'already_voted' });
+            }
+            if (tables.blockchain_transactions.some(t => t.transaction_hash === tx.transaction_hash)) {
+                return reply(callback, duplicateEntry(`Duplicate entry '${tx.transaction_hash}' for key 'transaction_hash'`));
+            }
+
+            tables.vote_nullifiers.add(nullifierKey);
+            const transactionId = insert('blockchain_transactions', {
+                transaction_hash: tx.transaction_hash,
+                election_id: Number(tx.election_id),
+                voter_address: tx.voter_address,
+                candidate_id: tx.candidate_id,
+                vote_data: tx.vote_data,
+                signature: tx.signature,
+                ballot: tx.ballot,
+                status: 'pending',
+                block_number: null,
+                gas_used: 21000,
+                timestamp: new Date()
+            });
+            const voteId = insert('votes', {
+                transaction_id: transactionId,
+                election_id: Number(vote.election_id),
+                candidate_id: vote.candidate_id,
+                ballot: vote.ballot,
+                voter_id: vote.voter_id,
+                nullifier: vote.nullifier,
+                verification_status: 'verified'
+            });
+            if (isRevote) {
+                tables.votes
+                    .filter(v => sameId(v.election_id, vote.election_id) && v.nullifier === vote.nullifier && v.id < voteId)
+                    .forEach(v => { v.verification_status = 'superseded'; });
+            }
+
+            const outcome = { status: 'recorded', transaction_id: transactionId, vote_id: voteId, is_revote: isRevote };
+            outcome.response = submission.respond(outcome);
+            if (idempotency) {
+                tables.vote_idempotency_keys.set(keyId, {
+                    request_hash: idempotency.request_hash,
+                    response: JSON.parse(JSON.stringify(outcome.response)),
+                    created_at: new Date()
+                });
+            }
+            reply(callback, null, outcome);
+        },
+
+        findIdempotent(voterAddress, key, callback) {
+            const row = tables.vote_idempotency_keys.get(`${voterAddress}:${key}`);
+            reply(callback, null, row ? copy(row) : null);
+        },
+
+        listCounted(electionId, callback) {
+            const rows = tables.votes
+                .filter(v => sameId(v.election_id, electionId) && counted(v))
+                .map(v => ({ candidate_id: v.candidate_id, ballot: v.ballot }));
+            reply(callback, null, rows);
+        },
+
+        // Percentages are shares of every counted ballot cast for one of the election's
+        // candidates, withdrawn ones included, as in the MySQL backend
+        pluralityTally(electionId, callback) {
+            const electionCandidates = tables.candidates.filter(c => sameId(c.election_id, electionId));
+            const votesFor = (candidate) => tables.votes.filter(v => v.candidate_id === candidate.id && counted(v)).length;
+            const totalVotes = electionCandidates.reduce((sum, candidate) => sum + votesFor(candidate), 0);
+
+            const rows = electionCandidates
+                .filter(activeCandidate)
+                .map(c => ({
+                    id: c.id,
+                    name: c.name,
+                    party: c.party,
+                    photo_url: c.photo_url,
+                    vote_count: votesFor(c),
+                    percentage: totalVotes ? Math.round(votesFor(c) * 10000 / totalVotes) / 100 : null
+                }))
+                .sort((a, b) => b.vote_count - a.vote_count);
+            reply(callback, null, rows);
+        },
+
+        listAll(callback) {
+            reply(callback, null, tables.votes.map(v => ({
+                id: v.id,
+                transaction_id: v.transaction_id,
+                election_id: v.election_id,
+                candidate_id: v.candidate_id,
+                ballot: v.ballot
+            })));
+        },
+
+        listByElection(electionId, callback) {
+            reply(callback, null, tables.votes.filter(v => sameId(v.election_id, electionId)).map(copy));
+        }
+    };
+
+    const blocks = {
+        // Runs synchronously between ticks, so nothing can interleave with it
+        sealPending(maxTransactions, buildBlock, callback) {
+            const pending = tables.blockchain_transactions
+                .filter(t => t.block_number === null && t.status === 'pending')
+                .sort((a, b) => a.id - b.id)
+                .slice(0, maxTransactions);
+            if (pending.length === 0) return reply(callback, null, null);
+
+            const last = tables.blockchain_blocks[tables.blockchain_blocks.length - 1];
+            const block = buildBlock(pending.map(t => t.transaction_hash),
+                last ? { block_number: last.block_number, current_hash: last.current_hash } : null);
+
+            tables.blockchain_blocks.push(Object.assign({}, block));
+            pending.forEach(t => {
+                t.block_number = block.block_number;
+                t.status = 'confirmed';
+            });
+            settings.get('current_block_height').setting_value = String(block.block_number);
+            reply(callback, null, block);
+        },
+
+        findByNumber(blockNumber, callback) {
+            const block = tables.blockchain_blocks.find(b => sameId(b.block_number, blockNumber));
+            reply(callback, null, block ? blockRow(block) : null);
+        },
+
+        findByHash(blockHash, callback) {
+            const block = tables.blockchain_blocks.find(b => b.current_hash === blockHash);
+            reply(callback, null, block ? blockRow(block) : null);
+        },
+
+        list(page, callback) {
+            const hasCursor = page.before !== undefined && page.before !== null;
+            const rows = tables.blockchain_blocks
+                .filter(b => !hasCursor || b.block_number < Number(page.before))
+                .sort((a, b) => b.block_number - a.block_number)
+                .slice(0, page.limit)
+                .map(blockRow);
+            reply(callback, null, rows);
+        },
+
+        listAll(callback) {
+            reply(callback, null, tables.blockchain_blocks.map(b => ({
+                block_number: b.block_number,
+                current_hash: b.current_hash,
+                previous_hash: b.previous_hash,
+                merkle_root: b.merkle_root,
+                timestamp: b.timestamp,
+                transaction_count: b.transaction_count
+            })));
+        },
+
+        listRange(firstBlock, lastBlock, callback) {
+            const rows = tables.blockchain_blocks
+                .filter(b => b.block_number >= firstBlock && b.block_number <= lastBlock)
+                .map(b => ({
+                    block_number: b.block_number,
+                    current_hash: b.current_hash,
+                    previous_hash: b.previous_hash,
+                    merkle_root: b.merkle_root,
+                    timestamp: b.timestamp,
+                    transaction_count: b.transaction_count
+                }));
+            reply(callback, null, rows);
+        },
+
+        // Every check runs before anything is written, so a conflict or a dry run leaves the
+        // tables untouched
+        append(block, entries, options, callback) {
+            const last = tables.blockchain_blocks[tables.blockchain_blocks.length - 1] || null;
+            const extendsChain = last
+                ? block.block_number === last.block_number + 1 && block.previous_hash === last.current_hash
+                : block.block_number === 0;
+            if (!extendsChain) return reply(callback, null, { status: 'not_next', last: last ? blockRow(last) : null });
+
+            const conflict = (transactionHash, reason) => reply(callback, null, { status: 'conflict', transaction_hash: transactionHash, reason });
+            const blockHashes = new Set(entries.map(entry => entry.transaction.transaction_hash));
+            const claimedInBlock = new Set();
+            const failing = [];
+            const existing = [];
+            let lastId = 0;
+
+            for (const entry of entries) {
+                const hash = entry.transaction.transaction_hash;
+                const row = tables.blockchain_transactions.find(t => t.transaction_hash === hash);
+                existing.push(row || null);
+                if (row) {
+                    if (row.block_number !== null || row.status !== 'pending') return conflict(hash, 'already_sealed');
+                    if (row.id < lastId) return conflict(hash, 'out_of_order');
+                    lastId = row.id;
+                    continue;
+                }
+                // Inserted rows take new ids, so no row already held may follow them
+                lastId = Infinity;
+                if (entry.allow_revoting) continue;
+
+                const nullifierKey = `${Number(entry.vote.election_id)}:${entry.vote.nullifier}`;
+                if (claimedInBlock.has(nullifierKey)) return conflict(hash, 'double_vote');
+                claimedInBlock.add(nullifierKey);
+
+                const holders = tables.votes
+                    .filter(v => sameId(v.election_id, entry.vote.election_id) && v.nullifier === entry.vote.nullifier && counted(v))
+                    .map(v => tables.blockchain_transactions.find(t => t.id === v.transaction_id))
+                    .filter(Boolean);
+                for (const holder of holders) {
+                    if (holder.block_number !== null || blockHashes.has(holder.transaction_hash)) return conflict(hash, 'double_vote');
+                    failing.push(holder);
+                }
+            }
+
+            const outcome = { status: 'appended', failed: failing.map(t => t.transaction_hash) };
+            if (options.dryRun) return reply(callback, null, outcome);
+
+            failing.forEach(t => {
+                t.status = 'failed';
+                tables.votes.filter(v => v.transaction_id === t.id).forEach(v => { v.verification_status = 'rejected'; });
+            });
+
+            entries.forEach((entry, k) => {
+                let transactionId;
+                if (existing[k]) {
+                    existing[k].block_number = block.block_number;
+                    existing[k].status = 'confirmed';
+                    transactionId = existing[k].id;
+                } else {
+                    const tx = entry.transaction;
+                    tables.vote_nullifiers.add(`${Number(entry.vote.election_id)}:${entry.vote.nullifier}`);
+                    transactionId = insert('blockchain_transactions', {
+                        transaction_hash: tx.transaction_hash,
+                        election_id: Number(tx.election_id),
+                        voter_address: tx.voter_address,
+                        candidate_id: tx.candidate_id,
+                        vote_data: tx.vote_data,
+                        signature: tx.signature,
+                        ballot: tx.ballot,
+                        status: 'confirmed',
+                        block_number: block.block_number,
+                        gas_used: 21000,
+                        timestamp: new Date(tx.timestamp)
+                    });
+                    insert('votes', {
+                        transaction_id: transactionId,
+                        election_id: Number(entry.vote.election_id),
+                        candidate_id: entry.vote.candidate_id,
+                        ballot: entry.vote.ballot,
+                        voter_id: entry.vote.voter_id,
+                        nullifier: entry.vote.nullifier,
+                        verification_status: 'verified'
+                    });
+                }
+
+                // On a revote the ballot sealed last counts, on every node alike
+                if (entry.allow_revoting) {
+                    tables.votes
+                        .filter(v => sameId(v.election_id, entry.vote.election_id) && v.nullifier === entry.vote.nullifier &&
+                            (counted(v) || v.verification_status === 'superseded'))
+                        .forEach(v => { v.verification_status = v.transaction_id === transactionId ? 'verified' : 'superseded'; });
+                }
+            });
+
+            tables.blockchain_blocks.push(Object.assign({}, block));
+            settings.get('current_block_height').setting_value = String(block.block_number);
+            reply(callback, null, outcome);
+        }
+    };
+
+    const audit = {
+        append(entry, seal, callback) {
+            const head = settings.get('audit_chain_head');
+            seal(head ? head.setting_value : null);
+
+            insert('audit_logs', {
+                user_id: entry.user_id,
+                user_type: entry.user_type,
+                action: entry.action,
+                resource_type: entry.resource_type,
+                details: entry.details,
+                timestamp: entry.timestamp,
+                previous_hash: entry.previous_hash,
+                entry_hash: entry.entry_hash
+            });
+            settings.set('audit_chain_head', { setting_value: entry.entry_hash, description: null });
+            reply(callback, null, entry);
+        },
+
+        head(callback) {
+            const head = settings.get('audit_chain_head');
+            reply(callback, null, head ? head.setting_value : null);
+        },
+
+        list(filters, options, callback) {
+            const rows = auditRows(filters)
+                .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id)
+                .slice(options.offset, options.offset + options.limit);
+            reply(callback, null, rows);
+        },
+
+        listForExport(filters, callback) {
+            reply(callback, null, auditRows(filters).map(row => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                user_id: row.user_id,
+                username: row.username,
+                user_type: row.user_type,
+                action: row.action,
+                resource_type: row.resource_type,
+                details: row.details,
+                previous_hash: row.previous_hash,
+                entry_hash: row.entry_hash
+            })));
+        },
+
+        forEach(onRow, callback) {
+            const rows = tables.audit_logs.map(copy);
+            setImmediate(() => {
+                rows.forEach(onRow);
+                callback(null);
+            });
+        },
+
+        listForElection(electionId, callback) {
+            const rows = tables.audit_logs.filter(row => {
+                const details = typeof row.details === 'string' ? JSON.parse(row.details) : row.details;
+                return details && details.election_id !== undefined && sameId(details.election_id, electionId);
+            });
+            reply(callback, null, rows.map(copy));
+        }
+    };
+
+    const liveSession = (jti) => tables.admin_sessions.find(s => s.jti === jti && !s.revoked_at && s.expires_at > new Date());
+
+    const admins = {
+        findActiveByUsername(username, callback) {
+            reply(callback, null, copy(tables.admin_users.find(u => u.username === username && u.is_active)));
+        },
+
+        findById(id, callback) {
+            reply(callback, null, copy(tables.admin_users.find(u => sameId(u.id, id))));
+        },
+
+        findBySession(jti, callback) {
+            const session = liveSession(jti);
+            const admin = session && tables.admin_users.find(u => u.id === session.admin_id && u.is_active);
+            reply(callback, null, admin ? {
+                id: admin.id,
+                username: admin.username,
+                role: admin.role,
+                must_change_password: admin.must_change_password
+            } : null);
+        },
+
+        createSession(jti, adminId, expiresAt, callback) {
+            tables.admin_sessions.push({ jti, admin_id: Number(adminId), expires_at: expiresAt, revoked_at: null, created_at: new Date() });
+            reply(callback, null);
+        },
+
+        revokeSession(jti, callback) {
+            tables.admin_sessions.filter(s => s.jti === jti).forEach(s => { s.revoked_at = new Date(); });
+            reply(callback, null);
+        },
+
+        revokeOtherSessions(adminId, keepJti, callback) {
+            tables.admin_sessions
+                .filter(s => sameId(s.admin_id, adminId) && s.jti !== keepJti && !s.revoked_at)
+                .forEach(s => { s.revoked_at = new Date(); });
+            reply(callback, null);
+        },
+
+        recordLogin(adminId, callback) {
+            const admin = tables.admin_users.find(u => sameId(u.id, adminId));
+            if (admin) Object.assign(admin, { last_login: new Date(), failed_login_attempts: 0, locked_until: null });
+            reply(callback, null);
+        },
+
+        recordFailedLogin(adminId, lockMinutes, callback) {
+            const admin = tables.admin_users.find(u => sameId(u.id, adminId));
+            if (admin && lockMinutes) {
+                Object.assign(admin, { failed_login_attempts: 0, locked_until: new Date(Date.now() + lockMinutes * 60000) });
+            } else if (admin) {
+                admin.failed_login_attempts++;
+            }
+            reply(callback, null);
+        },
+
+        setPassword(adminId, passwordHash, mustChangePassword, callback) {
+            const admin = tables.admin_users.find(u => sameId(u.id, adminId));
+            if (admin) Object.assign(admin, { password_hash: passwordHash, must_change_password: Boolean(mustChangePassword) });
+            reply(callback, null);
+        },
+
+        list(filters, callback) {
+            const rows = tables.admin_users
+                .filter(u => (!filters.role || u.role === filters.role)
+                    && (typeof filters.is_active !== 'boolean' || u.is_active === filters.is_active))
+                .sort((a, b) => a.username.localeCompare(b.username))
+                .map(adminProfile);
+            reply(callback, null, rows);
+        },
+
+        findProfile(id, callback) {
+            const admin = tables.admin_users.find(u => sameId(u.id, id));
+            reply(callback, null, admin ? adminProfile(admin) : null);
+        },
+
+        create(fields, callback) {
+            const duplicate = tables.admin_users.find(u => u.username === fields.username || (fields.email && u.email === fields.email));
+            if (duplicate) {
+                return reply(callback, duplicateEntry(`Duplicate entry for key '${duplicate.username === fields.username ? 'username' : 'email'}'`));
+            }
+            reply(callback, null, insert('admin_users', {
+                username: fields.username,
+                email: fields.email,
+                role: fields.role,
+                full_name: fields.full_name,
+                department: fields.department,
+                password_hash: fields.password_hash,
+                is_active: true,
+                last_login: null,
+                failed_login_attempts: 0,
+                locked_until: null,
+                must_change_password: Boolean(fields.must_change_password),
+                created_at: new Date()
+            }));
+        },
+
+        update(id, fields, callback) {
+            const admin = tables.admin_users.find(u => sameId(u.id, id));
+            if (!admin) return reply(callback, null, false);
+
+            const superadmins = tables.admin_users.filter(u => u.role === 'superadmin' && u.is_active);
+            const losesSuperadmin = (fields.role !== undefined && fields.role !== 'superadmin')
+                || (fields.is_active !== undefined && !fields.is_active);
+            if (superadmins.includes(admin) && losesSuperadmin && superadmins.length === 1) {
+                return reply(callback, lastSuperadmin());
+            }
+            for (const key of ['username', 'email']) {
+                if (fields[key] && tables.admin_users.some(u => u !== admin && u[key] === fields[key])) {
+                    return reply(callback, duplicateEntry(`Duplicate entry '${fields[key]}' for key '${key}'`));
+                }
+            }
+
+            assignColumns(admin, fields, ADMIN_COLUMNS);
+            reply(callback, null, true);
+        },
+
+        revokeAllSessions(adminId, callback) {
+            tables.admin_sessions
+                .filter(s => sameId(s.admin_id, adminId) && !s.revoked_at)
+                .forEach(s => { s.revoked_at = new Date(); });
+            reply(callback, null);
+        },
+
+        createPasswordReset(adminId, tokenHash, expiresAt, callback) {
+            tables.admin_password_resets = tables.admin_password_resets.filter(r => !(sameId(r.admin_id, adminId) && !r.used_at));
+            tables.admin_password_resets.push({ token_hash: tokenHash, admin_id: Number(adminId), expires_at: expiresAt, used_at: null, created_at: new Date() });
+            reply(callback, null);
+        },
+
+        consumePasswordReset(tokenHash, passwordHash, callback) {
+            const reset = tables.admin_password_resets.find(r => r.token_hash === tokenHash && !r.used_at && r.expires_at > new Date());
+            const admin = reset && tables.admin_users.find(u => u.id === reset.admin_id && u.is_active);
+            if (!admin) return reply(callback, null, null);
+
+            reset.used_at = new Date();
+            Object.assign(admin, { password_hash: passwordHash, must_change_password: false, failed_login_attempts: 0, locked_until: null });
+            tables.admin_sessions
+                .filter(s => s.admin_id === admin.id && !s.revoked_at)
+                .forEach(s => { s.revoked_at = new Date(); });
+            reply(callback, null, admin.id);
+        }
+    };
+
+    const trustees = {
+        list(electionId, callback) {
+            const rows = tables.election_trustees
+                .filter(t => sameId(t.election_id, electionId))
+                .sort((a, b) => a.trustee_index - b.trustee_index)
+                .map(t => ({
+                    trustee_index: t.trustee_index,
+                    name: t.name,
+                    verification_key: t.verification_key,
+                    partial_decryption: t.partial_decryption,
+                    decrypted_at: t.decrypted_at
+                }));
+            reply(callback, null, rows);
+        },
+
+        submitDecryption(electionId, trusteeIndex, shares, callback) {
+            const trustee = tables.election_trustees.find(t => sameId(t.election_id, electionId) &&
+                t.trustee_index === trusteeIndex && !t.decrypted_at);
+            if (trustee) Object.assign(trustee, { partial_decryption: shares, decrypted_at: new Date() });
+            reply(callback, null, Boolean(trustee));
+        }
+    };
+
+    const archives = {
+        list(callback) {
+            const rows = tables.election_archives
+                .slice()
+                .sort((a, b) => b.removed_at - a.removed_at || b.election_id - a.election_id)
+                .map(({ ledger_entries, ...row }) => row);
+            reply(callback, null, rows);
+        },
+
+        findByElection(electionId, callback) {
+            reply(callback, null, copy(tables.election_archives.find(a => sameId(a.election_id, electionId))));
+        },
+
+        listLedgerEntries(callback) {
+            reply(callback, null, [].concat(...tables.election_archives.map(a => a.ledger_entries.map(copy))));
+        },
+
+        remove(electionId, record, callback) {
+            const election = tables.elections.find(e => sameId(e.id, electionId) && e.status === 'archived');
+            if (!election) return reply(callback, null, false);
+
+            const id = election.id;
+            const entries = tables.blockchain_transactions
+                .filter(t => t.election_id === id)
+                .map(t => ({ id: t.id, transaction_hash: t.transaction_hash, block_number: t.block_number }));
+            tables.election_archives.push({
+                election_id: id,
+                title: record.title,
+                archive_sha256: record.archive_sha256,
+                key_id: record.key_id,
+                transaction_count: entries.length,
+                ledger_entries: entries,
+                removed_by: record.removed_by,
+                removed_at: new Date()
+            });
+
+            tables.votes = tables.votes.filter(v => v.election_id !== id);
+            Array.from(tables.vote_nullifiers)
+                .filter(key => key.startsWith(`${id}:`))
+                .forEach(key => tables.vote_nullifiers.delete(key));
+            tables.blockchain_transactions = tables.blockchain_transactions.filter(t => t.election_id !== id);
+            tables.election_eligibility = tables.election_eligibility.filter(ee => ee.election_id !== id);
+            tables.election_trustees = tables.election_trustees.filter(t => t.election_id !== id);
+            tables.candidates = tables.candidates.filter(c => c.election_id !== id);
+            tables.election_contests = tables.election_contests.filter(c => c.election_id !== id);
+            tables.elections = tables.elections.filter(e => e.id !== id);
+            reply(callback, null, true);
+        },
+
+        restore(records, callback) {
+            const id = Number(records.election.id);
+            const index = tables.election_archives.findIndex(a => a.election_id === id);
+            if (index === -1) return reply(callback, null, false);
+
+            const taken = (table, rows) => rows.some(row => tables[table].some(existing => existing.id === row.id));
+            if (tables.elections.some(e => e.id === id) || taken('election_contests', records.contests) || taken('candidates', records.candidates) ||
+                taken('blockchain_transactions', records.transactions) || taken('votes', records.votes)) {
+                return reply(callback, duplicateEntry(`Duplicate entry for election ${id}'s records`));
+            }
+
+            tables.election_archives.splice(index, 1);
+            tables.elections.push(copy(records.election));
+            records.contests.forEach(row => tables.election_contests.push(copy(row)));
+            records.candidates.forEach(row => tables.candidates.push(copy(row)));
+            records.transactions.forEach(row => tables.blockchain_transactions.push(copy(row)));
+            tables.blockchain_transactions.sort((a, b) => a.id - b.id);
+            records.votes.forEach(row => {
+                tables.votes.push(copy(row));
+                if (row.nullifier) tables.vote_nullifiers.add(`${id}:${row.nullifier}`);
+            });
+            tables.votes.sort((a, b) => a.id - b.id);
+            records.eligibility.forEach(row => tables.election_eligibility.push(Object.assign({ election_id: id }, row)));
+            records.trustees.forEach(row => tables.election_trustees.push(Object.assign({ election_id: id }, row)));
+            reply(callback, null, true);
+        }
+    };
+
+    const stats = {
+        blockchain(callback) {
+            reply(callback, null, {
+                total_blocks: tables.blockchain_blocks.length,
+                total_transactions: tables.blockchain_transactions.length,
+                verified_votes: tables.votes.filter(counted).length,
+                registered_voters: tables.voters.filter(v => v.registration_status === 'verified').length,
+                active_elections: tables.elections.filter(e => e.status === 'active').length
+            });
+        },
+
+        turnout(electionId, callback) {
+            reply(callback, null, {
+                ballots_cast: tables.votes.filter(v => sameId(v.election_id, electionId) && counted(v)).length,
+                eligible_voters: tables.election_eligibility.filter(ee => sameId(ee.election_id, electionId)).length
+            });
+        },
+
+        voteActivity(electionId, callback) {
+            const txById = new Map(tables.blockchain_transactions.map(t => [t.id, t]));
+            const byMinute = new Map();
+            tables.votes
+                .filter(v => sameId(v.election_id, electionId) && (counted(v) || v.verification_status === 'superseded'))
+                .forEach(v => {
+                    const tx = txById.get(v.transaction_id);
+                    if (!tx) return;
+                    const minute = Math.floor(new Date(tx.timestamp).getTime() / 60000);
+                    const row = byMinute.get(minute) || { minute, submissions: 0, ballots: 0 };
+                    row.submissions++;
+                    if (counted(v)) row.ballots++;
+                    byMinute.set(minute, row);
+                });
+            reply(callback, null, Array.from(byMinute.values()).sort((x, y) => x.minute - y.minute));
+        },
+
+        rejectionActivity(electionId, callback) {
+            const byMinute = new Map();
+            tables.audit_logs
+                .filter(row => row.action === 'VOTE_REJECTED')
+                .forEach(row => {
+                    const details = typeof row.details === 'string' ? JSON.parse(row.details) : row.details;
+                    if (!details || details.election_id === undefined || !sameId(details.election_id, electionId)) return;
+                    const minute = Math.floor(new Date(row.timestamp).getTime() / 60000);
+                    const reason = details.reason || null;
+                    const key = `${minute}|${reason}`;
+                    const entry = byMinute.get(key) || { minute, reason, count: 0 };
+                    entry.count++;
+                    byMinute.set(key, entry);
+                });
+            reply(callback, null, Array.from(byMinute.values()).sort((x, y) => x.minute - y.minute));
+        },
+
+        // The MySQL backend reads recent activity from the recent_activity view; here it is
+        // taken from the newest audit entries
+        dashboard(callback) {
+            reply(callback, null, {
+                stats: {
+                    total_elections: tables.elections.length,
+                    active_elections: tables.elections.filter(e => e.status === 'active').length,
+                    total_candidates: tables.candidates.filter(activeCandidate).length,
+                    total_votes: tables.votes.filter(counted).length
+                },
+                recentActivity: tables.audit_logs.slice(-10).reverse().map(row => ({
+                    activity_type: row.action,
+                    timestamp: row.timestamp,
+                    description: `${row.action} (${row.resource_type})`,
+                    details: row.details
+                })),
+                systemHealth: ['current_block_height', 'total_transactions', 'network_nodes'].map(key => ({
+                    setting_key: key,
+                    setting_value: key === 'total_transactions'
+                        ? String(tables.blockchain_transactions.length)
+                        : settings.get(key).setting_value,
+                    description: settings.get(key).description
+                }))
+            });
+        }
+    };
+
+    return {
+        name: 'memory',
+        elections,
+        contests,
+        candidates,
+        voters,
+        eligibility,
+        transactions,
+        votes,
+        blocks,
+        audit,
+        admins,
+        trustees,
+        archives,
+        stats,
+
+        ping(callback) {
+            reply(callback, null);
+        },
+
+        // No pool to saturate
+        poolStats() {
+            return { in_use: 0, idle: 0, queued: 0, limit: null };
+        },
+
+        close(callback) {
+            if (callback) reply(callback, null);
+        }
+    };
+}
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,1359 @@
+// MySQL storage backend: the repositories described in storage/index.js, backed by a
+// mysql2 connection pool and the blockvote_schema.sql schema (plus the README's schema updates).
+const mysql = require('mysql2');
+
+// Columns callers may set through create/update. Only the keys present in `fields` are
+// written (an undefined value is written as NULL); anything else in `fields` is ignored.
+const ELECTION_COLUMNS = ['title', 'description', 'type', 'status', 'start_date', 'end_date', 'voting_method', 'seats',
+    'privacy_level', 'requires_verification', 'allow_revoting', 'blockchain_address'];
+const CANDIDATE_COLUMNS = ['name', 'party', 'platform', 'biography', 'photo_url', 'contact_email', 'display_order', 'contest_id'];
+const CONTEST_COLUMNS = ['title', 'description', 'type', 'voting_method', 'seats', 'display_order'];
+const ADMIN_COLUMNS = ['username', 'email', 'role', 'full_name', 'department', 'is_active'];
+// Everything about an admin account except its password hash
+const ADMIN_PROFILE_COLUMNS = `id, username, email, role, full_name, department, is_active, last_login,
+                               failed_login_attempts, locked_until, must_change_password, created_at`;
+
+// What the blockchain explorer reads for a transaction: enough for redactTransaction, plus
+// the id it pages on
+const EXPLORER_TRANSACTION_COLUMNS = `t.id, t.transaction_hash, t.election_id, t.timestamp, t.status, t.gas_used, t.block_number,
+                           e.title as election_title, e.privacy_level, e.status as election_status, c.name as candidate_name`;
+
+// What peer nodes exchange for a transaction (see blocks.append)
+const REPLICATED_TRANSACTION_COLUMNS = `id, transaction_hash, election_id, voter_address, candidate_id, vote_data, signature, ballot,
+                           status, block_number, timestamp`;
+
+function pickColumns(fields, columns) {
+    return columns.filter(column => Object.prototype.hasOwnProperty.call(fields, column));
+}
+
+function first(callback) {
+    return (err, rows) => callback(err, rows ? rows[0] || null : null);
+}
+
+// Refusal to leave the system without an active superadmin, raised like a key violation
+function lastSuperadmin() {
+    const err = new Error('At least one active superadmin must remain');
+    err.code = 'LAST_SUPERADMIN';
+    return err;
+}
+
+function affected(callback) {
+    return (err, results) => callback(err, results ? results.affectedRows > 0 : false);
+}
+
+function createMysqlStorage(options = {}) {
+    // Note: mysql2 rejects some legacy connection options when passed to a Connection.
+    // Keep only supported pool options here to avoid warnings.
+    const db = options.pool || mysql.createPool({
+        connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        database: process.env.DB_NAME || 'blockvote'
+    });
+
+    // Run work(connection, fail, commit, rollback) inside a transaction on one pooled connection.
+    // fail(err) rolls back and calls back with err; commit(result) commits and calls back with
+    // result; rollback(result) rolls back and calls back with result.
+    function inTransaction(work, callback) {
+        db.getConnection((err, connection) => {
+            if (err) return callback(err);
+
+            const fail = (err) => connection.rollback(() => {
+                connection.release();
+                callback(err);
+            });
+            const rollback = (result) => connection.rollback(() => {
+                connection.release();
+                callback(null, result);
+            });
+            const commit = (result) => connection.commit((err) => {
+                if (err) return fail(err);
+                connection.release();
+                callback(null, result);
+            });
+
+            connection.beginTransaction((err) => {
+                if (err) {
+                    connection.release();
+                    return callback(err);
+                }
+                work(connection, fail, commit, rollback);
+            });
+        });
+    }
+
+    function auditFilterClause(filters) {
+        const conditions = [];
+        const params = [];
+        if (filters.actions) {
+            conditions.push('a.action IN (?)');
+            params.push(filters.actions);
+        }
+        if (filters.user_id) {
+            conditions.push('a.user_id = ?');
+            params.push(filters.user_id);
+        }
+        if (filters.username) {
+            conditions.push('u.username = ?');
+            params.push(filters.username);
+        }
+        if (filters.user_type) {
+            conditions.push('a.user_type = ?');
+            params.push(filters.user_type);
+        }
+        if (filters.resource_type) {
+            conditions.push('a.resource_type = ?');
+            params.push(filters.resource_type);
+        }
+        if (filters.from) {
+            conditions.push('a.timestamp >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('a.timestamp <= ?');
+            params.push(filters.to);
+        }
+        return { where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '', params };
+    }
+
+    const elections = {
+        // Use DISTINCT counts to avoid multiplicative results from joining candidates and votes
+        list(callback) {
+            const query = `SELECT e.*,
+                           COUNT(DISTINCT c.id) as candidate_count,
+                           COUNT(DISTINCT v.id) as vote_count
+                           FROM elections e
+                           LEFT JOIN candidates c ON e.id = c.election_id AND c.is_active = TRUE
+                           LEFT JOIN votes v ON e.id = v.election_id AND v.verification_status = 'verified'
+                           GROUP BY e.id
+                           ORDER BY e.created_at DESC`;
+            db.query(query, callback);
+        },
+
+        findById(id, callback) {
+            db.query('SELECT * FROM elections WHERE id = ?', [id], first(callback));
+        },
+
+        create(fields, callback) {
+            const columns = pickColumns(fields, ELECTION_COLUMNS);
+            const query = `INSERT INTO elections (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+            db.query(query, columns.map(column => fields[column]), (err, results) => {
+                callback(err, results ? results.insertId : null);
+            });
+        },
+
+        // Guarded update: only applies while the election is still in expectedStatus
+        update(id, expectedStatus, fields, callback) {
+            const columns = pickColumns(fields, ELECTION_COLUMNS);
+            const query = `UPDATE elections SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND status = ?`;
+            db.query(query, columns.map(column => fields[column]).concat([id, expectedStatus]), affected(callback));
+        },
+
+        // Only a draft, or a scheduled election without votes, is removed; false otherwise
+        remove(id, callback) {
+            const query = `DELETE FROM elections
+                           WHERE id = ? AND (status = 'draft' OR (status = 'scheduled' AND NOT EXISTS (
+                               SELECT 1 FROM votes WHERE election_id = ?)))`;
+            db.query(query, [id, id], affected(callback));
+        },
+
+        // Scheduled elections whose start has passed and active ones whose end has passed
+        findDueTransitions(callback) {
+            const query = `SELECT id, status,
+                           CASE WHEN end_date <= NOW() THEN 'closed' ELSE 'active' END AS next_status
+                           FROM elections
+                           WHERE (status = 'scheduled' AND start_date <= NOW())
+                              OR (status = 'active' AND end_date <= NOW())`;
+            db.query(query, callback);
+        },
+
+        // Set the election key and replace its trustees, only while the election is a draft or
+        // scheduled. Calls back with false if voting has started.
+        configureEncryption(id, encryption, callback) {
+            inTransaction((connection, fail, commit) => {
+                const updateQuery = `UPDATE elections SET ballot_encryption = 'elgamal', encryption_public_key = ?, decryption_threshold = ?
+                                     WHERE id = ? AND status IN ('draft', 'scheduled')`;
+                connection.query(updateQuery, [encryption.public_key, encryption.threshold, id], (err, results) => {
+                    if (err) return fail(err);
+                    if (results.affectedRows === 0) return commit(false);
+
+                    connection.query('DELETE FROM election_trustees WHERE election_id = ?', [id], (err) => {
+                        if (err) return fail(err);
+
+                        const rows = encryption.trustees.map((t, k) => [id, k + 1, t.name, t.verification_key]);
+                        connection.query('INSERT INTO election_trustees (election_id, trustee_index, name, verification_key) VALUES ?', [rows], (err) => {
+                            if (err) return fail(err);
+                            commit(true);
+                        });
+                    });
+                });
+            }, callback);
+        }
+    };
+
+    const candidates = {
+        // Active candidates in display order. options.withVoteCounts adds each one's counted votes;
+        // options.includeInactive also returns withdrawn candidates.
+        listByElection(electionId, options, callback) {
+            const query = options.withVoteCounts
+                ? `SELECT c.*, COUNT(v.id) as vote_count
+                   FROM candidates c
+                   LEFT JOIN votes v ON c.id = v.candidate_id AND v.verification_status = 'verified'
+                   WHERE c.election_id = ? AND c.is_active = TRUE
+                   GROUP BY c.id
+                   ORDER BY c.display_order`
+                : `SELECT * FROM candidates WHERE election_id = ? ${options.includeInactive ? '' : 'AND is_active = TRUE'}
+                   ORDER BY display_order`;
+            db.query(query, [electionId], callback);
+        },
+
+        findById(id, callback) {
+            db.query('SELECT * FROM candidates WHERE id = ?', [id], first(callback));
+        },
+
+        create(electionId, fields, callback) {
+            const columns = pickColumns(fields, CANDIDATE_COLUMNS);
+            const query = `INSERT INTO candidates (election_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`;
+            db.query(query, [electionId].concat(columns.map(column => fields[column])), (err, results) => {
+                callback(err, results ? results.insertId : null);
+            });
+        },
+
+        // Insert candidates in one transaction: all of them or none. Calls back with their ids.
+        createMany(electionId, rows, callback) {
+            inTransaction((connection, fail, commit) => {
+                const ids = [];
+                const insertNext = (k) => {
+                    if (k === rows.length) return commit(ids);
+                    const columns = pickColumns(rows[k], CANDIDATE_COLUMNS);
+                    const query = `INSERT INTO candidates (election_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`;
+                    connection.query(query, [electionId].concat(columns.map(column => rows[k][column])), (err, results) => {
+                        if (err) return fail(err);
+                        ids.push(results.insertId);
+                        insertNext(k + 1);
+                    });
+                };
+                insertNext(0);
+            }, callback);
+        },
+
+        update(id, fields, callback) {
+            const columns = pickColumns(fields, CANDIDATE_COLUMNS);
+            const query = `UPDATE candidates SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+            db.query(query, columns.map(column => fields[column]).concat([id]), affected(callback));
+        },
+
+        deactivate(id, callback) {
+            db.query('UPDATE candidates SET is_active = FALSE WHERE id = ?', [id], affected(callback));
+        }
+    };
+
+    const contests = {
+        // An election's contests in ballot order
+        listByElection(electionId, callback) {
+            db.query('SELECT * FROM election_contests WHERE election_id = ? ORDER BY display_order, id', [electionId], callback);
+        },
+
+        findById(id, callback) {
+            db.query('SELECT * FROM election_contests WHERE id = ?', [id], first(callback));
+        },
+
+        // Insert a contest together with its options (candidate fields, e.g. a measure's Yes and
+        // No), which are listed in the order given. Calls back with the contest's id.
+        create(electionId, fields, options, callback) {
+            const columns = pickColumns(fields, CONTEST_COLUMNS);
+            const query = `INSERT INTO election_contests (election_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`;
+
+            inTransaction((connection, fail, commit) => {
+                connection.query(query, [electionId].concat(columns.map(column => fields[column])), (err, results) => {
+                    if (err) return fail(err);
+
+                    const contestId = results.insertId;
+                    const insertNext = (k) => {
+                        if (k === options.length) return commit(contestId);
+                        const option = Object.assign({ display_order: k }, options[k], { contest_id: contestId });
+                        const optionColumns = pickColumns(option, CANDIDATE_COLUMNS);
+                        const optionQuery = `INSERT INTO candidates (election_id, ${optionColumns.join(', ')})
+                                             VALUES (?, ${optionColumns.map(() => '?').join(', ')})`;
+                        connection.query(optionQuery, [electionId].concat(optionColumns.map(column => option[column])), (err) => {
+                            if (err) return fail(err);
+                            insertNext(k + 1);
+                        });
+                    };
+                    insertNext(0);
+                });
+            }, callback);
+        },
+
+        update(id, fields, callback) {
+            const columns = pickColumns(fields, CONTEST_COLUMNS);
+            const query = `UPDATE election_contests SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+            db.query(query, columns.map(column => fields[column]).concat([id]), affected(callback));
+        },
+
+        // Delete a contest and its candidates. Only done before voting opens, so no vote names them.
+        remove(id, callback) {
+            inTransaction((connection, fail, commit) => {
+                connection.query('DELETE FROM candidates WHERE contest_id = ?', [id], (err) => {
+                    if (err) return fail(err);
+                    connection.query('DELETE FROM election_contests WHERE id = ?', [id], (err, results) => {
+                        if (err) return fail(err);
+                        commit(results.affectedRows > 0);
+                    });
+                });
+            }, callback);
+        }
+    };
+
+    const voters = {
+        // Duplicate keys fail with err.code 'ER_DUP_ENTRY'
+        create(voter, callback) {
+            const query = `INSERT INTO voters (voter_address, public_key, registration_details, registration_status)
+                           VALUES (?, ?, ?, 'pending')`;
+            db.query(query, [voter.voter_address, voter.public_key, voter.registration_details], (err, results) => {
+                callback(err, results ? results.insertId : null);
+            });
+        },
+
+        findByAddress(address, callback) {
+            const query = 'SELECT id, voter_address, public_key, registration_status FROM voters WHERE voter_address = ?';
+            db.query(query, [address], first(callback));
+        },
+
+        listByAddresses(addresses, callback) {
+            if (addresses.length === 0) return setImmediate(() => callback(null, []));
+            db.query('SELECT id, voter_address, public_key, registration_status FROM voters WHERE voter_address IN (?)', [addresses], callback);
+        },
+
+        list(options, callback) {
+            const query = `SELECT id, voter_address, registration_status, registration_details
+                           FROM voters
+                           ${options.status ? 'WHERE registration_status = ?' : ''}
+                           ORDER BY id DESC
+                           LIMIT ? OFFSET ?`;
+            const params = options.status ? [options.status, options.limit, options.offset] : [options.limit, options.offset];
+            db.query(query, params, callback);
+        },
+
+        setStatus(id, status, callback) {
+            db.query('UPDATE voters SET registration_status = ? WHERE id = ?', [status, id], affected(callback));
+        }
+    };
+
+    const eligibility = {
+        list(electionId, callback) {
+            const query = `SELECT v.id, v.voter_address, v.public_key, v.registration_status, ee.added_at
+                           FROM election_eligibility ee
+                           JOIN voters v ON ee.voter_id = v.id
+                           WHERE ee.election_id = ?
+                           ORDER BY ee.added_at`;
+            db.query(query, [electionId], callback);
+        },
+
+        // Calls back with how many voters were newly added. INSERT IGNORE keeps re-adding a
+        // voter who is already on the roll harmless.
+        add(electionId, voterAddresses, callback) {
+            const query = `INSERT IGNORE INTO election_eligibility (election_id, voter_id)
+                           SELECT e.id, v.id FROM elections e JOIN voters v ON v.voter_address IN (?)
+                           WHERE e.id = ?`;
+            db.query(query, [voterAddresses, electionId], (err, results) => {
+                callback(err, results ? results.affectedRows : 0);
+            });
+        },
+
+        // Load a roll in one transaction. voters lists { voter_address } for registered voters and
+        // { voter_address, public_key, registration_details, registration_status } for new ones,
+        // which are registered first. Calls back with { voters_created, added }, or null if the
+        // election is gone; a new voter registered meanwhile fails the whole import with 'ER_DUP_ENTRY'.
+        importRoll(electionId, voters, callback) {
+            const created = voters.filter(v => v.public_key);
+
+            inTransaction((connection, fail, commit, rollback) => {
+                connection.query('SELECT id FROM elections WHERE id = ? FOR UPDATE', [electionId], (err, rows) => {
+                    if (err) return fail(err);
+                    if (rows.length === 0) return rollback(null);
+
+                    const insertNext = (k) => {
+                        if (k < created.length) {
+                            const query = `INSERT INTO voters (voter_address, public_key, registration_details, registration_status)
+                                           VALUES (?, ?, ?, ?)`;
+                            const v = created[k];
+                            return connection.query(query, [v.voter_address, v.public_key, v.registration_details, v.registration_status], (err) => {
+                                if (err) return fail(err);
+                                insertNext(k + 1);
+                            });
+                        }
+                        if (voters.length === 0) return commit({ voters_created: 0, added: 0 });
+
+                        const rollQuery = `INSERT IGNORE INTO election_eligibility (election_id, voter_id)
+                                           SELECT ?, id FROM voters WHERE voter_address IN (?)`;
+                        connection.query(rollQuery, [electionId, voters.map(v => v.voter_address)], (err, results) => {
+                            if (err) return fail(err);
+                            commit({ voters_created: created.length, added: results.affectedRows });
+                        });
+                    };
+                    insertNext(0);
+                });
+            }, callback);
+        },
+
+        remove(electionId, voterId, callback) {
+            db.query('DELETE FROM election_eligibility WHERE election_id = ? AND voter_id = ?', [electionId, voterId], affected(callback));
+        },
+
+        includes(electionId, voterId, callback) {
+            db.query('SELECT 1 FROM election_eligibility WHERE election_id = ? AND voter_id = ?', [electionId, voterId], (err, rows) => {
+                callback(err, rows ? rows.length > 0 : false);
+            });
+        }
+    };
+
+    const transactions = {
+        // Look up a receipt by { transaction_hash } or by the vote's { voter_id }
+        findReceipt(key, callback) {
+            const query = `SELECT t.id, t.transaction_hash, t.election_id, t.status, t.block_number, t.timestamp,
+                           v.verification_status
+                           FROM blockchain_transactions t
+                           LEFT JOIN votes v ON v.transaction_id = t.id
+                           WHERE ${key.transaction_hash ? 't.transaction_hash = ?' : 'v.voter_id = ?'}`;
+            db.query(query, [key.transaction_hash || key.voter_id], first(callback));
+        },
+
+        listHashesInBlock(blockNumber, callback) {
+            db.query('SELECT transaction_hash FROM blockchain_transactions WHERE block_number = ? ORDER BY id', [blockNumber], (err, rows) => {
+                callback(err, rows ? rows.map(row => row.transaction_hash) : null);
+            });
+        },
+
+        // Newest first, with the fields redactTransaction needs from the election and candidate.
+        // filters: election_id, status, block_number, and a from/to range on the timestamp.
+        // page: { before_id, limit } for keyset pagination on the transaction id.
+        list(filters, page, callback) {
+            const conditions = [];
+            const params = [];
+            if (filters.election_id) {
+                conditions.push('t.election_id = ?');
+                params.push(filters.election_id);
+            }
+            if (filters.status) {
+                conditions.push('t.status = ?');
+                params.push(filters.status);
+            }
+            if (filters.block_number !== undefined && filters.block_number !== null) {
+                conditions.push('t.block_number = ?');
+                params.push(filters.block_number);
+            }
+            if (filters.from) {
+                conditions.push('t.timestamp >= ?');
+                params.push(filters.from);
+            }
+            if (filters.to) {
+                conditions.push('t.timestamp <= ?');
+                params.push(filters.to);
+            }
+            if (page.before_id) {
+                conditions.push('t.id < ?');
+                params.push(page.before_id);
+            }
+
+            const query = `SELECT ${EXPLORER_TRANSACTION_COLUMNS}
+                           FROM blockchain_transactions t
+                           JOIN elections e ON t.election_id = e.id
+                           LEFT JOIN candidates c ON t.candidate_id = c.id
+                           ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+                           ORDER BY t.id DESC
+                           LIMIT ?`;
+            params.push(page.limit);
+            db.query(query, params, callback);
+        },
+
+        findByHash(transactionHash, callback) {
+            const query = `SELECT ${EXPLORER_TRANSACTION_COLUMNS}
+                           FROM blockchain_transactions t
+                           JOIN elections e ON t.election_id = e.id
+                           LEFT JOIN candidates c ON t.candidate_id = c.id
+                           WHERE t.transaction_hash = ?`;
+            db.query(query, [transactionHash], first(callback));
+        },
+
+        listAll(callback) {
+            const query = `SELECT id, transaction_hash, election_id, voter_address, candidate_id, vote_data,
+                           signature, ballot, status, block_number
+                           FROM blockchain_transactions`;
+            db.query(query, callback);
+        },
+
+        // Every column of an election's transactions, oldest first
+        listByElection(electionId, callback) {
+            db.query('SELECT * FROM blockchain_transactions WHERE election_id = ? ORDER BY id', [electionId], callback);
+        },
+
+        // The id, hash and block of every transaction sealed into blocks firstBlock..lastBlock
+        listLedgerEntries(firstBlock, lastBlock, callback) {
+            const query = `SELECT id, transaction_hash, block_number FROM blockchain_transactions
+                           WHERE block_number BETWEEN ? AND ? ORDER BY id`;
+            db.query(query, [firstBlock, lastBlock], callback);
+        },
+
+        // Unsealed pending transactions, oldest first, with the columns another node needs to
+        // replay them
+        listPending(limit, callback) {
+            const query = `SELECT ${REPLICATED_TRANSACTION_COLUMNS} FROM blockchain_transactions
+                           WHERE block_number IS NULL AND status = 'pending' ORDER BY id LIMIT ?`;
+            db.query(query, [limit], callback);
+        },
+
+        // The same columns for transactions sealed into blocks firstBlock..lastBlock, in block order
+        listSealed(firstBlock, lastBlock, callback) {
+            const query = `SELECT ${REPLICATED_TRANSACTION_COLUMNS} FROM blockchain_transactions
+                           WHERE block_number BETWEEN ? AND ? ORDER BY block_number, id`;
+            db.query(query, [firstBlock, lastBlock], callback);
+        }
+    };
+
+    const votes = {
+        // Record a ballot atomically: claim the voter's nullifier, write the pending ledger
+        // transaction and the vote, and supersede the voter's earlier ballots on a revote. Nothing
+        // is written unless all of it is. submission holds:
+        //   transaction, vote   the rows to insert (vote.transaction_id is filled in)
+        //   allow_revoting      whether an already-claimed nullifier means a revote
+        //   idempotency         optional { voter_address, key, request_hash }; the key is stored
+        //                       with the response in the same transaction
+        //   respond(outcome)    builds the response to store for the idempotency key
+        // Calls back with { status: 'recorded', transaction_id, vote_id, is_revote, response },
+        // { status: 'already_voted' }, or { status: 'key_taken' } when another request with the
+        // same idempotency key committed first. A replayed transaction hash fails with 'ER_DUP_ENTRY'.
+        record(submission, callback) {
+            const { transaction: tx, vote, idempotency } = submission;
+
+            inTransaction((connection, fail, commit, rollback) => {
+                // The key goes in first: a concurrent request with the same key waits on its
+                // primary key until this transaction ends
+                const claimKey = (next) => {
+                    if (!idempotency) return next();
+                    const keyQuery = 'INSERT INTO vote_idempotency_keys (voter_address, idempotency_key, request_hash) VALUES (?, ?, ?)';
+                    connection.query(keyQuery, [idempotency.voter_address, idempotency.key, idempotency.request_hash], (err) => {
+                        if (err && err.code === 'ER_DUP_ENTRY') return rollback({ status: 'key_taken' });
+                        if (err) return fail(err);
+                        next();
+                    });
+                };
+
+                claimKey(() => {
+                    const claimQuery = 'INSERT IGNORE INTO vote_nullifiers (election_id, nullifier) VALUES (?, ?)';
+                    connection.query(claimQuery, [vote.election_id, vote.nullifier], (err, claim) => {
+                        if (err) return fail(err);
+
+                        const isRevote = claim.affectedRows === 0;
+                        if (isRevote && !submission.allow_revoting) return rollback({ status: 'already_voted' });
+
+                        const transactionQuery = `INSERT INTO blockchain_transactions
+                                                  (transaction_hash, election_id, voter_address, candidate_id, vote_data, signature, ballot, status)
+                                                  VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`;
+                        connection.query(transactionQuery, [tx.transaction_hash, tx.election_id, tx.voter_address, tx.candidate_id,
+                            tx.vote_data, tx.signature, tx.ballot], (err, txResults) => {
+                            if (err) return fail(err);
+
+                            const voteQuery = `INSERT INTO votes (transaction_id, election_id, candidate_id, ballot, voter_id, nullifier, verification_status)
+                                               VALUES (?, ?, ?, ?, ?, ?, 'verified')`;
+                            connection.query(voteQuery, [txResults.insertId, vote.election_id, vote.candidate_id, vote.ballot,
+                                vote.voter_id, vote.nullifier], (err, voteResults) => {
+                                if (err) return fail(err);
+
+                                // Only the latest ballot counts; earlier ones stay on the ledger but drop out of tallies
+                                const supersede = (next) => {
+                                    if (!isRevote) return next(null);
+                                    const supersedeQuery = `UPDATE votes SET verification_status = 'superseded'
+                                                            WHERE election_id = ? AND nullifier = ? AND id < ?`;
+                                    connection.query(supersedeQuery, [vote.election_id, vote.nullifier, voteResults.insertId], next);
+                                };
+
+                                supersede((err) => {
+                                    if (err) return fail(err);
+
+                                    const outcome = {
+                                        status: 'recorded',
+                                        transaction_id: txResults.insertId,
+                                        vote_id: voteResults.insertId,
+                                        is_revote: isRevote
+                                    };
+                                    outcome.response = submission.respond(outcome);
+                                    if (!idempotency) return commit(outcome);
+
+                                    const responseQuery = `UPDATE vote_idempotency_keys SET response = ?
+                                                           WHERE voter_address = ? AND idempotency_key = ?`;
+                                    connection.query(responseQuery, [JSON.stringify(outcome.response), idempotency.voter_address, idempotency.key], (err) => {
+                                        if (err) return fail(err);
+                                        commit(outcome);
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            }, callback);
+        },
+
+        // The stored request hash and response for a voter's idempotency key, if any
+        findIdempotent(voterAddress, key, callback) {
+            const query = `SELECT request_hash, response, created_at FROM vote_idempotency_keys
+                           WHERE voter_address = ? AND idempotency_key = ?`;
+            db.query(query, [voterAddress, key], first(callback));
+        },
+
+        // Counted ballots in the order they were cast
+        listCounted(electionId, callback) {
+            const query = `SELECT candidate_id, ballot FROM votes
+                           WHERE election_id = ? AND verification_status = 'verified' ORDER BY id`;
+            db.query(query, [electionId], callback);
+        },
+
+        // Active candidates with their counted votes and share of the election's ballots, most votes first
+        pluralityTally(electionId, callback) {
+            const query = `SELECT
+                c.id, c.name, c.party, c.photo_url,
+                COUNT(v.id) as vote_count,
+                ROUND(COUNT(v.id) * 100.0 / NULLIF(total.total_votes, 0), 2) as percentage
+            FROM candidates c
+            LEFT JOIN votes v ON c.id = v.candidate_id AND v.verification_status = 'verified'
+            CROSS JOIN (
+                SELECT COUNT(*) as total_votes
+                FROM votes v2
+                JOIN candidates c2 ON v2.candidate_id = c2.id
+                WHERE c2.election_id = ? AND v2.verification_status = 'verified'
+            ) total
+            WHERE c.election_id = ? AND c.is_active = TRUE
+            GROUP BY c.id, c.name, c.party, c.photo_url, total.total_votes
+            ORDER BY vote_count DESC`;
+            db.query(query, [electionId, electionId], callback);
+        },
+
+        listAll(callback) {
+            db.query('SELECT id, transaction_id, election_id, candidate_id, ballot FROM votes', callback);
+        },
+
+        // Every column of an election's votes, superseded ones included, oldest first
+        listByElection(electionId, callback) {
+            db.query('SELECT * FROM votes WHERE election_id = ? ORDER BY id', [electionId], callback);
+        }
+    };
+
+    const blocks = {
+        // Seal pending transactions into the next block, all in one DB transaction so a
+        // transaction is never half-assigned to a block that failed to insert.
+        // buildBlock(hashes, lastBlock) returns the block to insert; calls back with it, or
+        // null when nothing was pending.
+        sealPending(maxTransactions, buildBlock, callback) {
+            inTransaction((connection, fail, commit) => {
+                const pendingQuery = `SELECT id, transaction_hash FROM blockchain_transactions
+                                      WHERE block_number IS NULL AND status = 'pending'
+                                      ORDER BY id LIMIT ? FOR UPDATE`;
+
+                connection.query(pendingQuery, [maxTransactions], (err, pending) => {
+                    if (err) return fail(err);
+                    if (pending.length === 0) return commit(null);
+
+                    const lastBlockQuery = 'SELECT block_number, current_hash FROM blockchain_blocks ORDER BY block_number DESC LIMIT 1 FOR UPDATE';
+                    connection.query(lastBlockQuery, (err, lastBlocks) => {
+                        if (err) return fail(err);
+
+                        const block = buildBlock(pending.map(tx => tx.transaction_hash), lastBlocks[0] || null);
+                        const blockQuery = `INSERT INTO blockchain_blocks
+                                            (block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count, block_size)
+                                            VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+                        connection.query(blockQuery, [block.block_number, block.current_hash, block.previous_hash, block.merkle_root,
+                            block.timestamp, block.transaction_count, block.block_size], (err) => {
+                            if (err) return fail(err);
+
+                            const confirmQuery = `UPDATE blockchain_transactions SET block_number = ?, status = 'confirmed'
+                                                  WHERE id IN (?)`;
+                            connection.query(confirmQuery, [block.block_number, pending.map(tx => tx.id)], (err) => {
+                                if (err) return fail(err);
+
+                                const heightQuery = `UPDATE system_settings SET setting_value = ?
+                                                     WHERE setting_key = 'current_block_height'`;
+                                connection.query(heightQuery, [String(block.block_number)], (err) => {
+                                    if (err) return fail(err);
+                                    commit(block);
+                                });
+                            });
+                        });
+                    });
+                });
+            }, callback);
+        },
+
+        findByNumber(blockNumber, callback) {
+            const query = `SELECT block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count, block_size
+                           FROM blockchain_blocks WHERE block_number = ?`;
+            db.query(query, [blockNumber], first(callback));
+        },
+
+        findByHash(blockHash, callback) {
+            const query = `SELECT block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count, block_size
+                           FROM blockchain_blocks WHERE current_hash = ?`;
+            db.query(query, [blockHash], first(callback));
+        },
+
+        // Newest first; page: { before, limit } where before is an exclusive block number
+        list(page, callback) {
+            const hasCursor = page.before !== undefined && page.before !== null;
+            const query = `SELECT block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count, block_size
+                           FROM blockchain_blocks
+                           ${hasCursor ? 'WHERE block_number < ?' : ''}
+                           ORDER BY block_number DESC
+                           LIMIT ?`;
+            db.query(query, hasCursor ? [page.before, page.limit] : [page.limit], callback);
+        },
+
+        listAll(callback) {
+            const query = `SELECT block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count
+                           FROM blockchain_blocks ORDER BY block_number`;
+            db.query(query, callback);
+        },
+
+        // Headers of blocks firstBlock..lastBlock, in chain order
+        listRange(firstBlock, lastBlock, callback) {
+            const query = `SELECT block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count
+                           FROM blockchain_blocks WHERE block_number BETWEEN ? AND ? ORDER BY block_number`;
+            db.query(query, [firstBlock, lastBlock], callback);
+        },
+
+        // Append a block sealed by a peer node, or by this one once its peers agreed to it, in one
+        // DB transaction. entries are { transaction, vote, allow_revoting } in block order, shaped
+        // like a votes.record submission. Transactions already held as pending are confirmed in
+        // place; the rest are inserted with their votes and nullifiers. Ids must keep ascending in
+        // block order for the Merkle root to rebuild, so a held row may not follow an inserted one.
+        // A ballot sealed here wins over a pending ballot of the same voter in a non-revoting
+        // election, which fails; on a revote the ballot sealed last counts. With options.dryRun
+        // everything is checked and rolled back. Calls back with { status: 'appended', failed }
+        // (hashes of the failed pending transactions), { status: 'not_next', last } when the
+        // block doesn't extend the chain, or { status: 'conflict', transaction_hash, reason }.
+        append(block, entries, options, callback) {
+            const blockHashes = entries.map(entry => entry.transaction.transaction_hash);
+
+            inTransaction((connection, fail, commit, rollback) => {
+                const lastBlockQuery = 'SELECT block_number, current_hash FROM blockchain_blocks ORDER BY block_number DESC LIMIT 1 FOR UPDATE';
+                connection.query(lastBlockQuery, (err, lastBlocks) => {
+                    if (err) return fail(err);
+
+                    const last = lastBlocks[0] || null;
+                    const extendsChain = last
+                        ? Number(block.block_number) === last.block_number + 1 && block.previous_hash === last.current_hash
+                        : Number(block.block_number) === 0;
+                    if (!extendsChain) return rollback({ status: 'not_next', last });
+
+                    const failed = [];
+                    const conflict = (transactionHash, reason) => rollback({ status: 'conflict', transaction_hash: transactionHash, reason });
+                    let lastId = 0;
+
+                    // Fail the pending ballots holding this voter's nullifier; a sealed one means a double vote
+                    const releaseNullifier = (entry, next) => {
+                        if (entry.allow_revoting) return next();
+                        const holderQuery = `SELECT t.id, t.transaction_hash, t.block_number FROM votes v
+                                             JOIN blockchain_transactions t ON t.id = v.transaction_id
+                                             WHERE v.election_id = ? AND v.nullifier = ? AND v.verification_status = 'verified'
+                                             FOR UPDATE`;
+                        connection.query(holderQuery, [entry.vote.election_id, entry.vote.nullifier], (err, holders) => {
+                            if (err) return fail(err);
+                            if (holders.some(h => h.block_number !== null || blockHashes.includes(h.transaction_hash))) {
+                                return conflict(entry.transaction.transaction_hash, 'double_vote');
+                            }
+                            if (holders.length === 0) return next();
+
+                            const ids = holders.map(h => h.id);
+                            connection.query("UPDATE blockchain_transactions SET status = 'failed' WHERE id IN (?)", [ids], (err) => {
+                                if (err) return fail(err);
+                                connection.query("UPDATE votes SET verification_status = 'rejected' WHERE transaction_id IN (?)", [ids], (err) => {
+                                    if (err) return fail(err);
+                                    holders.forEach(h => failed.push(h.transaction_hash));
+                                    next();
+                                });
+                            });
+                        });
+                    };
+
+                    const insertEntry = (entry, next) => {
+                        const tx = entry.transaction;
+                        const vote = entry.vote;
+                        connection.query('INSERT IGNORE INTO vote_nullifiers (election_id, nullifier) VALUES (?, ?)', [vote.election_id, vote.nullifier], (err) => {
+                            if (err) return fail(err);
+
+                            const transactionQuery = `INSERT INTO blockchain_transactions
+                                                      (transaction_hash, election_id, voter_address, candidate_id, vote_data, signature, ballot,
+                                                       status, block_number, timestamp)
+                                                      VALUES (?, ?, ?, ?, ?, ?, ?, 'confirmed', ?, ?)`;
+                            connection.query(transactionQuery, [tx.transaction_hash, tx.election_id, tx.voter_address, tx.candidate_id,
+                                tx.vote_data, tx.signature, tx.ballot, block.block_number, new Date(tx.timestamp)], (err, txResults) => {
+                                if (err) return fail(err);
+
+                                const voteQuery = `INSERT INTO votes (transaction_id, election_id, candidate_id, ballot, voter_id, nullifier, verification_status)
+                                                   VALUES (?, ?, ?, ?, ?, ?, 'verified')`;
+                                connection.query(voteQuery, [txResults.insertId, vote.election_id, vote.candidate_id, vote.ballot,
+                                    vote.voter_id, vote.nullifier], (err) => {
+                                    if (err) return fail(err);
+                                    next(txResults.insertId);
+                                });
+                            });
+                        });
+                    };
+
+                    // On a revote the ballot sealed last counts, on every node alike
+                    const settleRevote = (entry, transactionId, next) => {
+                        if (!entry.allow_revoting) return next();
+                        const revoteQuery = `UPDATE votes SET verification_status = IF(transaction_id = ?, 'verified', 'superseded')
+                                             WHERE election_id = ? AND nullifier = ? AND verification_status IN ('verified', 'superseded')`;
+                        connection.query(revoteQuery, [transactionId, entry.vote.election_id, entry.vote.nullifier], (err) => {
+                            if (err) return fail(err);
+                            next();
+                        });
+                    };
+
+                    const finish = () => {
+                        const blockQuery = `INSERT INTO blockchain_blocks
+                                            (block_number, current_hash, previous_hash, merkle_root, timestamp, transaction_count, block_size)
+                                            VALUES (?, ?, ?, ?, ?, ?, ?)`;
+                        connection.query(blockQuery, [block.block_number, block.current_hash, block.previous_hash, block.merkle_root,
+                            new Date(block.timestamp), block.transaction_count, block.block_size], (err) => {
+                            if (err) return fail(err);
+
+                            const heightQuery = `UPDATE system_settings SET setting_value = ?
+                                                 WHERE setting_key = 'current_block_height'`;
+                            connection.query(heightQuery, [String(block.block_number)], (err) => {
+                                if (err) return fail(err);
+                                const outcome = { status: 'appended', failed };
+                                return options.dryRun ? rollback(outcome) : commit(outcome);
+                            });
+                        });
+                    };
+
+                    const appendNext = (k) => {
+                        if (k === entries.length) return finish();
+                        const entry = entries[k];
+                        const hash = entry.transaction.transaction_hash;
+
+                        const heldQuery = 'SELECT id, status, block_number FROM blockchain_transactions WHERE transaction_hash = ? FOR UPDATE';
+                        connection.query(heldQuery, [hash], (err, held) => {
+                            if (err) return fail(err);
+
+                            if (held.length > 0) {
+                                const row = held[0];
+                                if (row.block_number !== null || row.status !== 'pending') return conflict(hash, 'already_sealed');
+                                if (row.id < lastId) return conflict(hash, 'out_of_order');
+                                lastId = row.id;
+
+                                const confirmQuery = "UPDATE blockchain_transactions SET block_number = ?, status = 'confirmed' WHERE id = ?";
+                                return connection.query(confirmQuery, [block.block_number, row.id], (err) => {
+                                    if (err) return fail(err);
+                                    settleRevote(entry, row.id, () => appendNext(k + 1));
+                                });
+                            }
+
+                            releaseNullifier(entry, () => insertEntry(entry, (transactionId) => {
+                                lastId = Infinity;
+                                settleRevote(entry, transactionId, () => appendNext(k + 1));
+                            }));
+                        });
+                    };
+                    appendNext(0);
+                });
+            }, callback);
+        }
+    };
+
+    const AUDIT_CHAIN_HEAD_KEY = 'audit_chain_head';
+
+    const audit = {
+        // Append an entry under a row lock on the chain head. seal(head) is called with the
+        // current head (null if none yet) and must fill in entry.previous_hash, entry.timestamp
+        // and entry.entry_hash before the row is inserted; the head then moves to entry_hash.
+        append(entry, seal, callback) {
+            inTransaction((connection, fail, commit) => {
+                const headQuery = 'SELECT setting_value FROM system_settings WHERE setting_key = ? FOR UPDATE';
+                connection.query(headQuery, [AUDIT_CHAIN_HEAD_KEY], (err, heads) => {
+                    if (err) return fail(err);
+
+                    seal(heads.length > 0 ? heads[0].setting_value : null);
+
+                    const insertQuery = `INSERT INTO audit_logs (user_id, user_type, action, resource_type, details, timestamp, previous_hash, entry_hash)
+                                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+                    connection.query(insertQuery, [entry.user_id, entry.user_type, entry.action, entry.resource_type, entry.details,
+                        entry.timestamp, entry.previous_hash, entry.entry_hash], (err) => {
+                        if (err) return fail(err);
+
+                        const headUpdate = `INSERT INTO system_settings (setting_key, setting_value) VALUES (?, ?)
+                                            ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`;
+                        connection.query(headUpdate, [AUDIT_CHAIN_HEAD_KEY, entry.entry_hash], (err) => {
+                            if (err) return fail(err);
+                            commit(entry);
+                        });
+                    });
+                });
+            }, callback);
+        },
+
+        head(callback) {
+            db.query('SELECT setting_value FROM system_settings WHERE setting_key = ?', [AUDIT_CHAIN_HEAD_KEY], (err, rows) => {
+                callback(err, rows && rows.length > 0 ? rows[0].setting_value : null);
+            });
+        },
+
+        // Newest first, with the acting admin's username
+        list(filters, options, callback) {
+            const clause = auditFilterClause(filters);
+            const query = `SELECT a.*, u.username
+                           FROM audit_logs a
+                           LEFT JOIN admin_users u ON a.user_id = u.id
+                           ${clause.where}
+                           ORDER BY a.timestamp DESC, a.id DESC
+                           LIMIT ? OFFSET ?`;
+            db.query(query, clause.params.concat([options.limit, options.offset]), callback);
+        },
+
+        // Oldest first, for exports
+        listForExport(filters, callback) {
+            const clause = auditFilterClause(filters);
+            const query = `SELECT a.id, a.timestamp, a.user_id, u.username, a.user_type, a.action, a.resource_type,
+                           a.details, a.previous_hash, a.entry_hash
+                           FROM audit_logs a
+                           LEFT JOIN admin_users u ON a.user_id = u.id
+                           ${clause.where}
+                           ORDER BY a.id`;
+            db.query(query, clause.params, callback);
+        },
+
+        // Stream every entry in id order to onRow, then call back
+        forEach(onRow, callback) {
+            let failed = false;
+            const query = `SELECT id, user_id, user_type, action, resource_type, details, timestamp, previous_hash, entry_hash
+                           FROM audit_logs ORDER BY id`;
+            db.query(query)
+                .on('error', (err) => {
+                    failed = true;
+                    callback(err);
+                })
+                .on('result', onRow)
+                .on('end', () => {
+                    if (!failed) callback(null);
+                });
+        },
+
+        // Entries whose details name the election, oldest first
+        listForElection(electionId, callback) {
+            const query = `SELECT id, user_id, user_type, action, resource_type, details, timestamp, previous_hash, entry_hash
+                           FROM audit_logs
+                           WHERE JSON_UNQUOTE(JSON_EXTRACT(details, '$.election_id')) = ?
+                           ORDER BY id`;
+            db.query(query, [String(electionId)], callback);
+        }
+    };
+
+    const admins = {
+        findActiveByUsername(username, callback) {
+            const query = `SELECT id, username, email, role, full_name, department, last_login, password_hash,
+                           failed_login_attempts, locked_until, must_change_password
+                           FROM admin_users
+                           WHERE username = ? AND is_active = TRUE`;
+            db.query(query, [username], first(callback));
+        },
+
+        findById(id, callback) {
+            db.query('SELECT * FROM admin_users WHERE id = ?', [id], first(callback));
+        },
+
+        // The admin behind a session that is neither revoked nor expired, if still active
+        findBySession(jti, callback) {
+            const query = `SELECT u.id, u.username, u.role, u.must_change_password
+                           FROM admin_sessions s
+                           JOIN admin_users u ON s.admin_id = u.id
+                           WHERE s.jti = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active = TRUE`;
+            db.query(query, [jti], first(callback));
+        },
+
+        createSession(jti, adminId, expiresAt, callback) {
+            db.query('INSERT INTO admin_sessions (jti, admin_id, expires_at) VALUES (?, ?, ?)', [jti, adminId, expiresAt], (err) => callback(err));
+        },
+
+        revokeSession(jti, callback) {
+            db.query('UPDATE admin_sessions SET revoked_at = NOW() WHERE jti = ?', [jti], (err) => callback(err));
+        },
+
+        revokeOtherSessions(adminId, keepJti, callback) {
+            const query = 'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = ? AND jti <> ? AND revoked_at IS NULL';
+            db.query(query, [adminId, keepJti], (err) => callback(err));
+        },
+
+        // Update last login and clear failed attempts
+        recordLogin(adminId, callback) {
+            db.query('UPDATE admin_users SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [adminId], (err) => callback(err));
+        },
+
+        // Count a failed login. With lockMinutes the account is locked and the counter reset,
+        // so it gets a fresh set of attempts afterwards.
+        recordFailedLogin(adminId, lockMinutes, callback) {
+            const query = lockMinutes
+                ? 'UPDATE admin_users SET failed_login_attempts = 0, locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?'
+                : 'UPDATE admin_users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?';
+            db.query(query, lockMinutes ? [lockMinutes, adminId] : [adminId], (err) => callback(err));
+        },
+
+        setPassword(adminId, passwordHash, mustChangePassword, callback) {
+            const query = 'UPDATE admin_users SET password_hash = ?, must_change_password = ? WHERE id = ?';
+            db.query(query, [passwordHash, mustChangePassword, adminId], (err) => callback(err));
+        },
+
+        // filters: role, is_active (both optional)
+        list(filters, callback) {
+            const conditions = [];
+            const params = [];
+            if (filters.role) {
+                conditions.push('role = ?');
+                params.push(filters.role);
+            }
+            if (typeof filters.is_active === 'boolean') {
+                conditions.push('is_active = ?');
+                params.push(filters.is_active);
+            }
+            const query = `SELECT ${ADMIN_PROFILE_COLUMNS} FROM admin_users
+                           ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+                           ORDER BY username`;
+            db.query(query, params, callback);
+        },
+
+        findProfile(id, callback) {
+            db.query(`SELECT ${ADMIN_PROFILE_COLUMNS} FROM admin_users WHERE id = ?`, [id], first(callback));
+        },
+
+        // fields: the ADMIN_COLUMNS plus password_hash and must_change_password
+        create(fields, callback) {
+            const query = `INSERT INTO admin_users (username, email, role, full_name, department, password_hash, must_change_password, is_active)
+                           VALUES (?, ?, ?, ?, ?, ?, ?, TRUE)`;
+            db.query(query, [fields.username, fields.email, fields.role, fields.full_name, fields.department,
+                fields.password_hash, Boolean(fields.must_change_password)], (err, results) => {
+                callback(err, results ? results.insertId : null);
+            });
+        },
+
+        // Update profile, role or is_active. The active superadmins are locked first, and a change
+        // that would leave none fails with err.code 'LAST_SUPERADMIN'.
+        update(id, fields, callback) {
+            const columns = pickColumns(fields, ADMIN_COLUMNS);
+            if (columns.length === 0) return setImmediate(() => callback(null, false));
+
+            inTransaction((connection, fail, commit) => {
+                const superadminsQuery = `SELECT id FROM admin_users WHERE role = 'superadmin' AND is_active = TRUE FOR UPDATE`;
+                connection.query(superadminsQuery, (err, superadmins) => {
+                    if (err) return fail(err);
+
+                    const isSuperadmin = superadmins.some(row => Number(row.id) === Number(id));
+                    const losesSuperadmin = (fields.role !== undefined && fields.role !== 'superadmin')
+                        || (fields.is_active !== undefined && !fields.is_active);
+                    if (isSuperadmin && losesSuperadmin && superadmins.length === 1) return fail(lastSuperadmin());
+
+                    const query = `UPDATE admin_users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+                    connection.query(query, columns.map(column => fields[column]).concat([id]), (err, results) => {
+                        if (err) return fail(err);
+                        commit(results.affectedRows > 0);
+                    });
+                });
+            }, callback);
+        },
+
+        revokeAllSessions(adminId, callback) {
+            const query = 'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL';
+            db.query(query, [adminId], (err) => callback(err));
+        },
+
+        // Store a one-time password reset token (by its hash), replacing any unused one
+        createPasswordReset(adminId, tokenHash, expiresAt, callback) {
+            inTransaction((connection, fail, commit) => {
+                connection.query('DELETE FROM admin_password_resets WHERE admin_id = ? AND used_at IS NULL', [adminId], (err) => {
+                    if (err) return fail(err);
+
+                    const query = 'INSERT INTO admin_password_resets (token_hash, admin_id, expires_at) VALUES (?, ?, ?)';
+                    connection.query(query, [tokenHash, adminId, expiresAt], (err) => {
+                        if (err) return fail(err);
+                        commit();
+                    });
+                });
+            }, (err) => callback(err));
+        },
+
+        // Spend a reset token: set the new password, clear any lockout and revoke every session
+        // of the account. Calls back with the admin's id, or null if the token is unknown, used,
+        // expired or belongs to a deactivated account.
+        consumePasswordReset(tokenHash, passwordHash, callback) {
+            inTransaction((connection, fail, commit, rollback) => {
+                const tokenQuery = `SELECT r.admin_id FROM admin_password_resets r
+                                    JOIN admin_users u ON r.admin_id = u.id
+                                    WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW() AND u.is_active = TRUE
+                                    FOR UPDATE`;
+                connection.query(tokenQuery, [tokenHash], (err, tokens) => {
+                    if (err) return fail(err);
+                    if (tokens.length === 0) return rollback(null);
+
+                    const adminId = tokens[0].admin_id;
+                    connection.query('UPDATE admin_password_resets SET used_at = NOW() WHERE token_hash = ?', [tokenHash], (err) => {
+                        if (err) return fail(err);
+
+                        const passwordQuery = `UPDATE admin_users SET password_hash = ?, must_change_password = FALSE,
+                                               failed_login_attempts = 0, locked_until = NULL WHERE id = ?`;
+                        connection.query(passwordQuery, [passwordHash, adminId], (err) => {
+                            if (err) return fail(err);
+
+                            const sessionsQuery = 'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL';
+                            connection.query(sessionsQuery, [adminId], (err) => {
+                                if (err) return fail(err);
+                                commit(adminId);
+                            });
+                        });
+                    });
+                });
+            }, callback);
+        }
+    };
+
+    const trustees = {
+        list(electionId, callback) {
+            const query = `SELECT trustee_index, name, verification_key, partial_decryption, decrypted_at
+                           FROM election_trustees WHERE election_id = ? ORDER BY trustee_index`;
+            db.query(query, [electionId], callback);
+        },
+
+        // Store a trustee's verified shares once; calls back with false if they already submitted
+        submitDecryption(electionId, trusteeIndex, shares, callback) {
+            const query = `UPDATE election_trustees SET partial_decryption = ?, decrypted_at = NOW()
+                           WHERE election_id = ? AND trustee_index = ? AND decrypted_at IS NULL`;
+            db.query(query, [shares, electionId, trusteeIndex], affected(callback));
+        }
+    };
+
+    // Tables holding an election's live records, in the order they are deleted on removal
+    const ELECTION_RECORD_TABLES = [
+        ['votes', 'election_id'],
+        ['vote_nullifiers', 'election_id'],
+        ['blockchain_transactions', 'election_id'],
+        ['election_eligibility', 'election_id'],
+        ['election_trustees', 'election_id'],
+        ['candidates', 'election_id'],
+        ['election_contests', 'election_id'],
+        ['elections', 'id']
+    ];
+
+    const archives = {
+        // Elections removed after archiving, most recent first
+        list(callback) {
+            const query = `SELECT election_id, title, archive_sha256, key_id, transaction_count, removed_by, removed_at
+                           FROM election_archives ORDER BY removed_at DESC, election_id DESC`;
+            db.query(query, callback);
+        },
+
+        findByElection(electionId, callback) {
+            db.query('SELECT * FROM election_archives WHERE election_id = ?', [electionId], first(callback));
+        },
+
+        // The { id, transaction_hash, block_number } of every removed election's transactions,
+        // which sealed blocks still commit to
+        listLedgerEntries(callback) {
+            db.query('SELECT ledger_entries FROM election_archives', (err, rows) => {
+                if (err) return callback(err);
+                const entries = rows.map(row => typeof row.ledger_entries === 'string' ? JSON.parse(row.ledger_entries) : row.ledger_entries);
+                callback(null, [].concat(...entries));
+            });
+        },
+
+        // Delete an archived election with its contests, candidates, roll, trustees, votes,
+        // nullifiers and transactions, leaving a stub with its ledger entries; audit entries are
+        // kept. record holds the stub's title, archive_sha256, key_id and removed_by. Calls back
+        // with false if the election is gone or not archived.
+        remove(electionId, record, callback) {
+            inTransaction((connection, fail, commit, rollback) => {
+                connection.query("SELECT id FROM elections WHERE id = ? AND status = 'archived' FOR UPDATE", [electionId], (err, rows) => {
+                    if (err) return fail(err);
+                    if (rows.length === 0) return rollback(false);
+
+                    const entriesQuery = 'SELECT id, transaction_hash, block_number FROM blockchain_transactions WHERE election_id = ? ORDER BY id';
+                    connection.query(entriesQuery, [electionId], (err, entries) => {
+                        if (err) return fail(err);
+
+                        const stubQuery = `INSERT INTO election_archives
+                                           (election_id, title, archive_sha256, key_id, transaction_count, ledger_entries, removed_by)
+                                           VALUES (?, ?, ?, ?, ?, ?, ?)`;
+                        connection.query(stubQuery, [electionId, record.title, record.archive_sha256, record.key_id, entries.length,
+                            JSON.stringify(entries), record.removed_by], (err) => {
+                            if (err) return fail(err);
+
+                            const deleteNext = (k) => {
+                                if (k === ELECTION_RECORD_TABLES.length) return commit(true);
+                                const [table, column] = ELECTION_RECORD_TABLES[k];
+                                connection.query('DELETE FROM ?? WHERE ?? = ?', [table, column, electionId], (err) => {
+                                    if (err) return fail(err);
+                                    deleteNext(k + 1);
+                                });
+                            };
+                            deleteNext(0);
+                        });
+                    });
+                });
+            }, callback);
+        },
+
+        // Put a removed election back: records holds the election, contests, candidates,
+        // transactions, votes, eligibility ({ voter_id, added_at }) and trustees rows, inserted with
+        // their original ids. Claimed nullifiers are rebuilt from the votes and the stub is dropped.
+        // Calls back with false if there is no stub; an id already in use fails with 'ER_DUP_ENTRY'.
+        restore(records, callback) {
+            const electionId = records.election.id;
+            const nullifiers = Array.from(new Set(records.votes.map(v => v.nullifier).filter(Boolean)));
+            const rows = [['elections', records.election]]
+                .concat(records.contests.map(row => ['election_contests', row]))
+                .concat(records.candidates.map(row => ['candidates', row]))
+                .concat(records.transactions.map(row => ['blockchain_transactions', row]))
+                .concat(records.votes.map(row => ['votes', row]))
+                .concat(nullifiers.map(nullifier => ['vote_nullifiers', { election_id: electionId, nullifier }]))
+                .concat(records.eligibility.map(row => ['election_eligibility', Object.assign({ election_id: electionId }, row)]))
+                .concat(records.trustees.map(row => ['election_trustees', Object.assign({ election_id: electionId }, row)]));
+
+            inTransaction((connection, fail, commit, rollback) => {
+                connection.query('DELETE FROM election_archives WHERE election_id = ?', [electionId], (err, results) => {
+                    if (err) return fail(err);
+                    if (results.affectedRows === 0) return rollback(false);
+
+                    const insertNext = (k) => {
+                        if (k === rows.length) return commit(true);
+                        connection.query('INSERT INTO ?? SET ?', rows[k], (err) => {
+                            if (err) return fail(err);
+                            insertNext(k + 1);
+                        });
+                    };
+                    insertNext(0);
+                });
+            }, callback);
+        }
+    };
+
+    const stats = {
+        blockchain(callback) {
+            const query = `SELECT
+                (SELECT COUNT(*) FROM blockchain_blocks) as total_blocks,
+                (SELECT COUNT(*) FROM blockchain_transactions) as total_transactions,
+                (SELECT COUNT(*) FROM votes WHERE verification_status = 'verified') as verified_votes,
+                (SELECT COUNT(*) FROM voters WHERE registration_status = 'verified') as registered_voters,
+                (SELECT COUNT(*) FROM elections WHERE status = 'active') as active_elections`;
+            db.query(query, first(callback));
+        },
+
+        turnout(electionId, callback) {
+            const query = `SELECT
+                (SELECT COUNT(*) FROM votes WHERE election_id = ? AND verification_status = 'verified') as ballots_cast,
+                (SELECT COUNT(*) FROM election_eligibility WHERE election_id = ?) as eligible_voters`;
+            db.query(query, [electionId, electionId], first(callback));
+        },
+
+        // Accepted vote submissions per minute (Unix minutes), by the time of their ledger
+        // transaction: every submission, and those that are still the voter's counted ballot
+        voteActivity(electionId, callback) {
+            const query = `SELECT UNIX_TIMESTAMP(t.timestamp) DIV 60 as minute,
+                           COUNT(*) as submissions,
+                           COUNT(CASE WHEN v.verification_status = 'verified' THEN 1 END) as ballots
+                           FROM votes v
+                           JOIN blockchain_transactions t ON t.id = v.transaction_id
+                           WHERE v.election_id = ? AND v.verification_status IN ('verified', 'superseded')
+                           GROUP BY minute
+                           ORDER BY minute`;
+            db.query(query, [electionId], callback);
+        },
+
+        // VOTE_REJECTED audit entries for the election per minute and reason
+        rejectionActivity(electionId, callback) {
+            const query = `SELECT UNIX_TIMESTAMP(timestamp) DIV 60 as minute,
+                           JSON_UNQUOTE(JSON_EXTRACT(details, '$.reason')) as reason,
+                           COUNT(*) as count
+                           FROM audit_logs
+                           WHERE action = 'VOTE_REJECTED'
+                           AND JSON_UNQUOTE(JSON_EXTRACT(details, '$.election_id')) = ?
+                           GROUP BY minute, reason
+                           ORDER BY minute`;
+            db.query(query, [String(electionId)], callback);
+        },
+
+        dashboard(callback) {
+            const queries = {
+                stats: `SELECT
+                    (SELECT COUNT(*) FROM elections) as total_elections,
+                    (SELECT COUNT(*) FROM elections WHERE status = 'active') as active_elections,
+                    (SELECT COUNT(*) FROM candidates WHERE is_active = TRUE) as total_candidates,
+                    (SELECT COUNT(*) FROM votes WHERE verification_status = 'verified') as total_votes`,
+
+                recentActivity: `SELECT activity_type, timestamp, description, details
+                                FROM recent_activity LIMIT 10`,
+
+                systemHealth: `SELECT setting_key, setting_value, description
+                              FROM system_settings
+                              WHERE setting_key IN ('current_block_height', 'total_transactions', 'network_nodes')`
+            };
+
+            const dashboardData = {};
+            const keys = Object.keys(queries);
+            let completed = 0;
+            let failed = false;
+
+            keys.forEach(key => {
+                db.query(queries[key], (err, results) => {
+                    if (failed) return;
+                    if (err) {
+                        failed = true;
+                        return callback(err);
+                    }
+
+                    dashboardData[key] = key === 'stats' ? results[0] : results;
+                    completed++;
+                    if (completed === keys.length) callback(null, dashboardData);
+                });
+            });
+        }
+    };
+
+    return {
+        name: 'mysql',
+        elections,
+        contests,
+        candidates,
+        voters,
+        eligibility,
+        transactions,
+        votes,
+        blocks,
+        audit,
+        admins,
+        trustees,
+        archives,
+        stats,
+
+        ping(callback) {
+            db.query('SELECT 1 as healthy', (err) => callback(err));
+        },
+
+        // Connection pool usage, read from mysql2's pool internals (all, free and queued
+        // connection lists); used to shed load before the pool backs up
+        poolStats() {
+            const pool = db.pool || db;
+            const total = pool._allConnections ? pool._allConnections.length : 0;
+            const idle = pool._freeConnections ? pool._freeConnections.length : 0;
+            return {
+                in_use: total - idle,
+                idle,
+                queued: pool._connectionQueue ? pool._connectionQueue.length : 0,
+                limit: pool.config ? pool.config.connectionLimit : null
+            };
+        },
+
+        close(callback) {
+            db.end(callback);
+        }
+    };
+}
+
+module.exports = createMysqlStorage;
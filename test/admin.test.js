@@ -0,0 +1,76 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { request, app, asAdmin, createElection, stop } = require('./helpers');
+
+const newPublicKey = () => crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+
+async function auditEntries(action) {
+    const admin = await asAdmin();
+    return (await admin.get(`/api/admin/audit-logs?action=${action}`)).body;
+}
+
+describe('administration', () => {
+    after(stop);
+
+    describe('chain verification', () => {
+        it('records checks run by a signed-in admin, not anonymous ones', async () => {
+            const before = (await auditEntries('VERIFY_CHAIN')).length;
+
+            const anonymous = await request(app).get('/api/blockchain/verify');
+            assert.strictEqual(anonymous.status, 200);
+            assert.strictEqual((await auditEntries('VERIFY_CHAIN')).length, before);
+
+            const admin = await asAdmin();
+            await admin.get('/api/blockchain/verify');
+            // The audit entry is written after the response
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.strictEqual((await auditEntries('VERIFY_CHAIN')).length, before + 1);
+
+            const chain = await admin.get('/api/admin/audit-logs/verify');
+            assert.strictEqual(chain.body.valid, true, JSON.stringify(chain.body));
+        });
+    });
+
+    describe('voter roll import', () => {
+        it('registers new voters as pending and lists them in the audit entry', async () => {
+            const { id } = await createElection({ requires_verification: true });
+            const admin = await asAdmin();
+
+            const res = await admin.post(`/api/admin/elections/${id}/voters/import`).send([{ public_key: newPublicKey() }, { public_key: newPublicKey() }]);
+            assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+            assert.strictEqual(res.body.registration_status, 'pending');
+            assert.strictEqual(res.body.voters_created, 2);
+
+            const [entry] = await auditEntries('IMPORT_VOTER_ROLL');
+            const details = typeof entry.details === 'string' ? JSON.parse(entry.details) : entry.details;
+            assert.strictEqual(details.registered_addresses.length, 2);
+            assert.strictEqual(details.registration_status, 'pending');
+
+            const pending = (await admin.get('/api/admin/voters?status=pending')).body.map(v => v.voter_address);
+            details.registered_addresses.forEach(address => assert.ok(pending.includes(address)));
+        });
+
+        it('approves new voters at once with ?verify=true', async () => {
+            const { id } = await createElection({ requires_verification: true });
+            const admin = await asAdmin();
+
+            const res = await admin.post(`/api/admin/elections/${id}/voters/import?verify=true`).send([{ public_key: newPublicKey() }]);
+            assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+            assert.strictEqual(res.body.registration_status, 'verified');
+        });
+    });
+
+    describe('startup', () => {
+        it('refuses to start in production without NULLIFIER_SECRET', () => {
+            const env = Object.assign({}, process.env, { NODE_ENV: 'production', STORAGE_BACKEND: 'memory', PORT: '0' });
+            delete env.NULLIFIER_SECRET;
+
+            const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], { env, encoding: 'utf8', timeout: 10000 });
+            assert.strictEqual(result.status, 1);
+            assert.match(result.stderr, /NULLIFIER_SECRET must be set/);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { server, request, app, asAdmin, openElection, setStatus, registerVoter, castVote, waitForSeal, stop } = require('./helpers');
+
+describe('election archives', () => {
+    let election;
+    let envelope;
+
+    before(async () => {
+        server.startBackgroundJobs();
+
+        election = await openElection({ voting_method: 'ranked_choice' });
+        const voters = [await registerVoter(), await registerVoter('secp256k1'), await registerVoter()];
+        let last;
+        for (const [k, voter] of voters.entries()) {
+            const rankings = [election.candidates[k % 3], election.candidates[(k + 1) % 3]];
+            last = await castVote(voter, election.id, { rankings });
+            assert.strictEqual(last.status, 200, JSON.stringify(last.body));
+        }
+        await waitForSeal(last.body.transaction_hash);
+        await setStatus(election.id, 'closed');
+
+        const admin = await asAdmin();
+        const exported = await admin.get(`/api/admin/elections/${election.id}/archive`);
+        assert.strictEqual(exported.status, 200, JSON.stringify(exported.body));
+        envelope = exported.body;
+    });
+    after(stop);
+
+    it('exports a signed archive that verifies, every ballot signature included', async () => {
+        assert.strictEqual(envelope.archive.transactions.length, 3);
+        assert.strictEqual(envelope.archive.voter_keys.length, 3);
+
+        const admin = await asAdmin();
+        const report = (await admin.post('/api/admin/archives/verify').send(envelope)).body;
+        assert.strictEqual(report.valid, true, JSON.stringify(report));
+        assert.strictEqual(report.signature.trusted, true);
+        assert.strictEqual(report.recount.matches, true);
+        assert.strictEqual(report.ballot_signatures.total, 3);
+        assert.deepStrictEqual(report.ballot_signatures.invalid, []);
+    });
+
+    it('reports voter keys that do not match their address and signatures that do not verify', () => {
+        const forged = JSON.parse(JSON.stringify(envelope));
+        forged.archive.voter_keys[0].public_key = crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+        const swapped = forged.archive.transactions.find(tx => tx.voter_address !== forged.archive.voter_keys[0].voter_address);
+        swapped.signature = forged.archive.transactions.find(tx => tx !== swapped).signature;
+
+        const report = server.verifyElectionArchive(forged);
+        assert.strictEqual(report.valid, false);
+        assert.deepStrictEqual(report.ballot_signatures.invalid.map(issue => issue.reason).sort(),
+            ['invalid_signature', 'key_address_mismatch']);
+
+        delete forged.archive.voter_keys;
+        const withoutKeys = server.verifyElectionArchive(forged);
+        assert.ok(withoutKeys.ballot_signatures.invalid.every(issue => issue.reason === 'voter_key_missing'));
+        assert.strictEqual(withoutKeys.ballot_signatures.invalid.length, 3);
+    });
+
+    it('rejects an archive whose contents were changed after signing', async () => {
+        const tampered = JSON.parse(JSON.stringify(envelope));
+        tampered.archive.votes[0].ballot = JSON.stringify({ rankings: [election.candidates[2]] });
+
+        const admin = await asAdmin();
+        const report = (await admin.post('/api/admin/archives/verify').send(tampered)).body;
+        assert.strictEqual(report.valid, false);
+        assert.strictEqual(report.signature.valid, false);
+    });
+
+    it('removes an archived election and restores it with the same results', async () => {
+        const admin = await asAdmin();
+        const resultsBefore = (await request(app).get(`/api/elections/${election.id}/results`)).body;
+
+        const notArchived = await admin.post('/api/admin/archives/remove').send(envelope);
+        assert.strictEqual(notArchived.status, 409);
+
+        await setStatus(election.id, 'archived');
+        const removed = await admin.post('/api/admin/archives/remove').send(envelope);
+        assert.strictEqual(removed.status, 200, JSON.stringify(removed.body));
+        assert.strictEqual((await request(app).get(`/api/elections/${election.id}`)).status, 404);
+
+        const chain = await request(app).get('/api/blockchain/verify');
+        assert.strictEqual(chain.body.valid, true, JSON.stringify(chain.body));
+        assert.strictEqual(chain.body.transactions.archived, 3);
+
+        const restored = await admin.post('/api/admin/archives/import').send(envelope);
+        assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+        const again = await admin.post('/api/admin/archives/import').send(envelope);
+        assert.strictEqual(again.status, 409);
+
+        const resultsAfter = (await request(app).get(`/api/elections/${election.id}/results`)).body;
+        assert.deepStrictEqual(resultsAfter, resultsBefore);
+
+        const reexported = await admin.get(`/api/admin/elections/${election.id}/archive`);
+        const report = (await admin.post('/api/admin/archives/verify').send(reexported.body)).body;
+        assert.strictEqual(report.valid, true, JSON.stringify(report));
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { request, app, asAdmin, createElection, openElection, stop } = require('./helpers');
+
+const getElection = async (id) => (await request(app).get(`/api/elections/${id}`)).body;
+
+describe('elections', () => {
+    after(stop);
+
+    describe('PUT /api/elections/:id', () => {
+        it('updates only the fields that were sent', async () => {
+            const { id } = await createElection({ description: 'Kept', voting_method: 'stv', seats: 3, privacy_level: 'private' });
+            const admin = await asAdmin();
+
+            const res = await admin.put(`/api/elections/${id}`).send({ title: 'Renamed' });
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+
+            const election = await getElection(id);
+            assert.strictEqual(election.title, 'Renamed');
+            assert.strictEqual(election.description, 'Kept');
+            assert.strictEqual(election.voting_method, 'stv');
+            assert.strictEqual(Number(election.seats), 3);
+            assert.strictEqual(election.privacy_level, 'private');
+        });
+
+        it('checks a new seat count against the election\'s own voting method', async () => {
+            const admin = await asAdmin();
+            const stv = await createElection({ voting_method: 'stv', seats: 2 });
+            assert.strictEqual((await admin.put(`/api/elections/${stv.id}`).send({ seats: 4 })).status, 200);
+            assert.strictEqual((await getElection(stv.id)).voting_method, 'stv');
+
+            const irv = await createElection({ voting_method: 'ranked_choice' });
+            assert.strictEqual((await admin.put(`/api/elections/${irv.id}`).send({ seats: 2 })).status, 400);
+        });
+
+        it('rejects an empty update', async () => {
+            const { id } = await createElection();
+            const admin = await asAdmin();
+            assert.strictEqual((await admin.put(`/api/elections/${id}`).send({})).status, 400);
+        });
+    });
+
+    describe('dates', () => {
+        const start = '2031-01-01T00:00:00.000Z';
+        const end = '2031-02-01T00:00:00.000Z';
+
+        it('rejects unparseable dates and a start_date not before end_date on create', async () => {
+            const admin = await asAdmin();
+            for (const dates of [{ start_date: 'soon', end_date: end }, { start_date: end, end_date: start }, { start_date: start, end_date: start }]) {
+                const res = await admin.post('/api/elections').send(Object.assign({ title: 'Bad dates' }, dates));
+                assert.strictEqual(res.status, 400, JSON.stringify(dates));
+            }
+        });
+
+        it('checks a single new date against the one already stored', async () => {
+            const { id } = await createElection({ status: 'draft', start_date: start, end_date: end });
+            const admin = await asAdmin();
+
+            assert.strictEqual((await admin.put(`/api/elections/${id}`).send({ start_date: '2031-03-01T00:00:00Z' })).status, 400);
+            assert.strictEqual((await admin.put(`/api/elections/${id}`).send({ end_date: 'later' })).status, 400);
+            assert.strictEqual((await admin.put(`/api/elections/${id}`).send({ end_date: null })).status, 400);
+            assert.strictEqual((await admin.patch(`/api/admin/elections/${id}`).send({ end_date: '2030-12-01T00:00:00Z' })).status, 400);
+            assert.strictEqual((await admin.put(`/api/elections/${id}`).send({ start_date: '2031-01-15T00:00:00Z' })).status, 200);
+        });
+    });
+
+    describe('once voting has started', () => {
+        it('locks the ballot-defining fields but still allows the same values and other fields', async () => {
+            const { id } = await openElection({ privacy_level: 'public', allow_revoting: false });
+            const admin = await asAdmin();
+
+            for (const change of [{ voting_method: 'approval' }, { seats: 2 }, { end_date: new Date(Date.now() + 7200000).toISOString() },
+                { privacy_level: 'private' }, { allow_revoting: true }]) {
+                const res = await admin.put(`/api/elections/${id}`).send(change);
+                assert.strictEqual(res.status, 409, JSON.stringify(change));
+                assert.match(res.body.error, new RegExp(`Cannot change ${Object.keys(change)[0]}`));
+            }
+
+            const unchanged = await admin.put(`/api/elections/${id}`).send({ privacy_level: 'PUBLIC', allow_revoting: false, title: 'Renamed' });
+            assert.strictEqual(unchanged.status, 200, JSON.stringify(unchanged.body));
+        });
+    });
+
+    describe('DELETE /api/elections/:id', () => {
+        it('deletes drafts and scheduled elections', async () => {
+            const admin = await asAdmin();
+            const draft = await createElection({ status: 'draft' });
+            const scheduled = await createElection();
+
+            assert.strictEqual((await admin.delete(`/api/elections/${draft.id}`)).status, 200);
+            assert.strictEqual((await admin.delete(`/api/elections/${scheduled.id}`)).status, 200);
+            assert.strictEqual((await request(app).get(`/api/elections/${scheduled.id}`)).status, 404);
+        });
+
+        it('refuses to delete an election once voting has started', async () => {
+            const admin = await asAdmin();
+            const { id } = await openElection();
+
+            const res = await admin.delete(`/api/elections/${id}`);
+            assert.strictEqual(res.status, 409);
+            assert.strictEqual(res.body.status, 'active');
+            assert.strictEqual((await request(app).get(`/api/elections/${id}`)).status, 200);
+
+            assert.strictEqual((await admin.delete('/api/elections/999999')).status, 404);
+        });
+    });
+
+    describe('PUT /api/contests/:id', () => {
+        it('updates only the contest fields that were sent', async () => {
+            const { id } = await createElection({}, []);
+            const admin = await asAdmin();
+            const created = await admin.post(`/api/elections/${id}/contests`)
+                .send({ title: 'Council', description: 'Two seats', voting_method: 'approval', seats: 2, display_order: 3 });
+            assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+
+            const renamed = await admin.put(`/api/contests/${created.body.id}`).send({ title: 'City council' });
+            assert.strictEqual(renamed.status, 200, JSON.stringify(renamed.body));
+
+            const contest = (await request(app).get(`/api/elections/${id}/contests`)).body.find(c => c.id === created.body.id);
+            assert.strictEqual(contest.title, 'City council');
+            assert.strictEqual(contest.description, 'Two seats');
+            assert.strictEqual(contest.voting_method, 'approval');
+            assert.strictEqual(Number(contest.seats), 2);
+            assert.strictEqual(Number(contest.display_order), 3);
+
+            assert.strictEqual((await admin.put(`/api/contests/${created.body.id}`).send({})).status, 400);
+            assert.strictEqual((await admin.put(`/api/contests/${created.body.id}`).send({ title: '' })).status, 400);
+        });
+    });
+});
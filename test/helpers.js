@@ -0,0 +1,147 @@
+// Shared setup for the test suite. Every test file runs in its own process, so each gets a fresh
+// in-memory store; the settings below must be in place before server.js is loaded.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_API = 'off';
+process.env.RATE_LIMIT_LOGIN = 'off';
+process.env.RATE_LIMIT_VOTER_REGISTER = 'off';
+process.env.RATE_LIMIT_VOTE = 'off';
+process.env.RATE_LIMIT_VOTE_VOTER = 'off';
+process.env.BLOCK_INTERVAL_MS = '20';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+process.env.NULLIFIER_SECRET = process.env.NULLIFIER_SECRET || 'test-nullifier-secret';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const server = require('../server');
+
+const { app } = server;
+const ADMIN_PASSWORD = 'test-superadmin-password';
+
+let adminToken = null;
+
+// The seeded superadmin must change its password before doing anything else
+async function signIn() {
+    if (adminToken) return adminToken;
+
+    const first = await request(app).post('/api/admin/login').send({ username: 'superadmin', password: 'admin123' });
+    await request(app).post('/api/admin/password')
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .send({ current_password: 'admin123', new_password: ADMIN_PASSWORD });
+    const login = await request(app).post('/api/admin/login').send({ username: 'superadmin', password: ADMIN_PASSWORD });
+    adminToken = login.body.token;
+    return adminToken;
+}
+
+// A request signed in as the superadmin, e.g. (await asAdmin()).put(url).send(body)
+async function asAdmin() {
+    const token = await signIn();
+    const withToken = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+    return {
+        get: withToken('get'),
+        post: withToken('post'),
+        put: withToken('put'),
+        patch: withToken('patch'),
+        delete: withToken('delete')
+    };
+}
+
+// A scheduled election open from a minute ago to an hour from now, with the given candidates
+async function createElection(fields = {}, candidateNames = ['Alice', 'Bob', 'Carol']) {
+    const admin = await asAdmin();
+    const created = await admin.post('/api/elections').send(Object.assign({
+        title: 'Test election',
+        status: 'scheduled',
+        start_date: new Date(Date.now() - 60000).toISOString(),
+        end_date: new Date(Date.now() + 3600000).toISOString()
+    }, fields));
+    if (created.status !== 201) throw new Error(`Election not created: ${JSON.stringify(created.body)}`);
+
+    const candidates = [];
+    for (const name of candidateNames) {
+        const added = await admin.post(`/api/elections/${created.body.id}/candidates`).send({ name });
+        candidates.push(added.body.id);
+    }
+    return { id: created.body.id, candidates };
+}
+
+async function setStatus(electionId, status) {
+    const admin = await asAdmin();
+    const res = await admin.patch(`/api/admin/elections/${electionId}`).send({ status });
+    if (res.status !== 200) throw new Error(`Election ${electionId} not moved to ${status}: ${JSON.stringify(res.body)}`);
+}
+
+// A scheduled election moved straight to active
+async function openElection(fields, candidateNames) {
+    const election = await createElection(fields, candidateNames);
+    await setStatus(election.id, 'active');
+    return election;
+}
+
+// Client-side copy of the server's canonical JSON, which voters sign
+function canonicalJson(value) {
+    if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort()
+            .filter(key => typeof value[key] !== 'undefined')
+            .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+            .join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+// Register a voter with a fresh Ed25519 or secp256k1 key
+async function registerVoter(keyType = 'ed25519') {
+    const { publicKey, privateKey } = keyType === 'secp256k1'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' })
+        : crypto.generateKeyPairSync('ed25519');
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const res = await request(app).post('/api/voters/register').send({ public_key: publicKeyPem });
+    if (res.status !== 201) throw new Error(`Voter not registered: ${JSON.stringify(res.body)}`);
+    return { address: res.body.voter_address, publicKeyPem, privateKey, keyType };
+}
+
+// Sign and submit a ballot. selections holds candidate_id, rankings, approvals or contests.
+function castVote(voter, electionId, selections, voteData = { client: 'test' }) {
+    const payload = Object.assign({ election_id: electionId, vote_data: voteData }, selections);
+    const message = Buffer.from(canonicalJson(payload));
+    const signature = voter.keyType === 'secp256k1'
+        ? crypto.sign('sha256', message, voter.privateKey)
+        : crypto.sign(null, message, voter.privateKey);
+    return request(app).post('/api/vote').send(Object.assign({
+        voter_address: voter.address,
+        signature: signature.toString('base64')
+    }, payload));
+}
+
+// Poll a receipt until the block producer has sealed its transaction
+async function waitForSeal(transactionHash, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const res = await request(app).get(`/api/receipts/${transactionHash}`);
+        if (res.body.block) return res.body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Transaction ${transactionHash} was not sealed within ${timeoutMs}ms`);
+}
+
+function stop() {
+    server.stopBackgroundJobs();
+    server.limiterStore.close();
+    server.storage.close(() => {});
+}
+
+module.exports = {
+    app,
+    server,
+    request,
+    asAdmin,
+    createElection,
+    openElection,
+    setStatus,
+    canonicalJson,
+    registerVoter,
+    castVote,
+    waitForSeal,
+    stop
+};
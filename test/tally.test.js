@@ -0,0 +1,94 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { request, app, openElection, setStatus, registerVoter, castVote, stop } = require('./helpers');
+
+// Open an election, cast one ballot per entry of `ballots` (each a selections object built from
+// the candidate ids), close it and return its published results with the candidate ids
+async function runElection(fields, candidateNames, ballots) {
+    const election = await openElection(fields, candidateNames);
+    for (const ballot of ballots) {
+        const res = await castVote(await registerVoter(), election.id, ballot(election.candidates));
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    }
+    await setStatus(election.id, 'closed');
+
+    const results = await request(app).get(`/api/elections/${election.id}/results`);
+    assert.strictEqual(results.status, 200, JSON.stringify(results.body));
+    return { results: results.body, ids: election.candidates };
+}
+
+const repeat = (count, ballot) => Array.from({ length: count }, () => ballot);
+
+describe('tallies', () => {
+    after(stop);
+
+    it('counts plurality ballots, most votes first', async () => {
+        const { results, ids } = await runElection({}, ['Alice', 'Bob', 'Carol'], [
+            ...repeat(3, ([a]) => ({ candidate_id: a })),
+            ...repeat(1, ([, b]) => ({ candidate_id: b }))
+        ]);
+
+        assert.strictEqual(results.voting_method, 'plurality');
+        assert.strictEqual(results.total_votes, 4);
+        assert.deepStrictEqual(results.candidates.map(c => [c.id, c.vote_count]), [[ids[0], 3], [ids[1], 1], [ids[2], 0]]);
+        assert.strictEqual(Number(results.candidates[0].percentage), 75);
+    });
+
+    it('elects the most approved candidates', async () => {
+        const { results, ids } = await runElection({ voting_method: 'approval', seats: 2 }, ['Alice', 'Bob', 'Carol'], [
+            ([a, b]) => ({ approvals: [a, b] }),
+            ([a, , c]) => ({ approvals: [a, c] }),
+            ([a]) => ({ approvals: [a] }),
+            ([, b]) => ({ approvals: [b] })
+        ]);
+
+        assert.deepStrictEqual(results.winners, [ids[0], ids[1]]);
+        assert.strictEqual(results.tie_at_cutoff, false);
+    });
+
+    // A tie between two winners decides nothing; only the first runner-up tying the last winner does
+    it('flags tie_at_cutoff only when the first runner-up ties the last winner', async () => {
+        const tiedWinners = await runElection({ voting_method: 'approval', seats: 2 }, ['Alice', 'Bob', 'Carol'], [
+            ([a, b]) => ({ approvals: [a, b] }),
+            ([a, b]) => ({ approvals: [a, b] }),
+            ([, , c]) => ({ approvals: [c] })
+        ]);
+        assert.strictEqual(tiedWinners.results.tie_at_cutoff, false);
+
+        const tiedRunnerUp = await runElection({ voting_method: 'approval', seats: 2 }, ['Alice', 'Bob', 'Carol'], [
+            ([a, b]) => ({ approvals: [a, b] }),
+            ([a, , c]) => ({ approvals: [a, c] })
+        ]);
+        assert.strictEqual(tiedRunnerUp.results.tie_at_cutoff, true);
+    });
+
+    it('runs instant-runoff rounds until a candidate has a majority', async () => {
+        const { results, ids } = await runElection({ voting_method: 'ranked_choice' }, ['Alice', 'Bob', 'Carol'], [
+            ...repeat(2, ([a, b]) => ({ rankings: [a, b] })),
+            ...repeat(2, ([, b, c]) => ({ rankings: [b, c] })),
+            ([a, , c]) => ({ rankings: [c, a] })
+        ]);
+
+        assert.strictEqual(results.rounds.length, 2);
+        assert.strictEqual(results.rounds[0].eliminated, ids[2]);
+        assert.deepStrictEqual(results.winners, [ids[0]]);
+        assert.strictEqual(results.candidates.find(c => c.id === ids[2]).first_preferences, 1);
+    });
+
+    it('fills several seats by single transferable vote with a Droop quota', async () => {
+        const { results, ids } = await runElection({ voting_method: 'stv', seats: 2 }, ['Alice', 'Bob', 'Carol', 'Dan'], [
+            ...repeat(4, ([a, b]) => ({ rankings: [a, b] })),
+            ...repeat(2, ([, b]) => ({ rankings: [b] })),
+            ([, , c]) => ({ rankings: [c] }),
+            ([, , c, d]) => ({ rankings: [d, c] })
+        ]);
+
+        // 8 ballots for 2 seats: quota floor(8 / 3) + 1 = 3
+        assert.strictEqual(results.quota, 3);
+        assert.deepStrictEqual(results.rounds[0].elected, [ids[0]]);
+        assert.strictEqual(results.rounds[0].transfer.type, 'surplus');
+        // Alice's surplus of 1 passes on to Bob, whose own 2 ballots then reach the quota
+        assert.deepStrictEqual(results.rounds[1].elected, [ids[1]]);
+        assert.deepStrictEqual(results.winners.slice().sort(), [ids[0], ids[1]].sort());
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { server, request, app, openElection, registerVoter, castVote, waitForSeal, stop } = require('./helpers');
+
+// Recomputed here rather than taken from the server, so the proof is checked independently
+const ledgerHash = (data) => '0x' + crypto.createHash('sha256').update(data).digest('hex').substring(0, 62);
+
+describe('casting a vote', () => {
+    before(() => server.startBackgroundJobs());
+    after(stop);
+
+    it('seals the ballot into a block and returns a receipt with a valid Merkle proof', async () => {
+        const election = await openElection();
+        const voters = [await registerVoter(), await registerVoter('secp256k1'), await registerVoter()];
+
+        const cast = [];
+        for (const [k, voter] of voters.entries()) {
+            const res = await castVote(voter, election.id, { candidate_id: election.candidates[k % 2] });
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            cast.push(res.body.transaction_hash);
+        }
+
+        const receipt = await waitForSeal(cast[1]);
+        assert.strictEqual(receipt.recorded, true);
+        assert.strictEqual(receipt.counted, true);
+        assert.strictEqual(receipt.transaction_hash, cast[1]);
+
+        const proof = receipt.merkle_proof;
+        assert.strictEqual(proof.valid, true);
+        assert.strictEqual(proof.root, receipt.block.merkle_root);
+        const root = proof.siblings.reduce((current, step) =>
+            step.position === 'right' ? ledgerHash(current + step.hash) : ledgerHash(step.hash + current), proof.leaf);
+        assert.strictEqual(root, receipt.block.merkle_root);
+
+        const verify = await request(app).get(`/api/elections/${election.id}/verify`);
+        assert.strictEqual(verify.body.valid, true, JSON.stringify(verify.body));
+    });
+
+    it('looks receipts up by verification code and never reveals the selection', async () => {
+        const election = await openElection();
+        const res = await castVote(await registerVoter(), election.id, { candidate_id: election.candidates[0] });
+        assert.strictEqual(res.status, 200);
+
+        const receipt = await request(app).get(`/api/receipts/${res.body.receipt.verification_code}`);
+        assert.strictEqual(receipt.status, 200);
+        assert.strictEqual(receipt.body.transaction_hash, res.body.transaction_hash);
+        assert.ok(!('candidate_id' in receipt.body));
+        assert.ok(!('voter_address' in receipt.body));
+
+        const unknown = await request(app).get('/api/receipts/000000000000');
+        assert.strictEqual(unknown.status, 404);
+    });
+
+    it('rejects a second ballot from the same voter through the nullifier', async () => {
+        const election = await openElection();
+        const voter = await registerVoter();
+
+        const first = await castVote(voter, election.id, { candidate_id: election.candidates[0] });
+        assert.strictEqual(first.status, 200);
+        const second = await castVote(voter, election.id, { candidate_id: election.candidates[1] });
+        assert.strictEqual(second.body.reason, 'already_voted');
+    });
+
+    it('lets a voter replace their ballot when the election allows revoting', async () => {
+        const election = await openElection({ allow_revoting: true });
+        const voter = await registerVoter();
+
+        const first = await castVote(voter, election.id, { candidate_id: election.candidates[0] });
+        const second = await castVote(voter, election.id, { candidate_id: election.candidates[1] });
+        assert.strictEqual(second.status, 200, JSON.stringify(second.body));
+        assert.strictEqual(second.body.receipt.supersedes_previous, true);
+
+        const replaced = await request(app).get(`/api/receipts/${first.body.transaction_hash}`);
+        assert.strictEqual(replaced.body.counted, false);
+    });
+
+    it('rejects a ballot whose signature does not match its content', async () => {
+        const election = await openElection();
+        const voter = await registerVoter();
+
+        const signed = await castVote(voter, election.id, { candidate_id: election.candidates[0] }, { nonce: 1 });
+        assert.strictEqual(signed.status, 200);
+
+        const other = await registerVoter();
+        const forged = await request(app).post('/api/vote').send({
+            election_id: election.id,
+            candidate_id: election.candidates[1],
+            voter_address: other.address,
+            vote_data: { nonce: 1 },
+            signature: crypto.sign(null, Buffer.from('something else'), other.privateKey).toString('base64')
+        });
+        assert.strictEqual(forged.status, 401);
+        assert.strictEqual(forged.body.reason, 'invalid_signature');
+    });
+});